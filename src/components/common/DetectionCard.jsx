@@ -61,6 +61,7 @@ const DetectionCard = ({
     toggleExcludeDetection,
     toggleCardExpansion,
     changeGlyphAssignment,
+    setEditorialStatus,
     toggleWordBoundary,
     toggleColumnBreak,
     toggleLineBreak,
@@ -76,13 +77,23 @@ const DetectionCard = ({
     driveUserEmail,
     changeLog,
 }) => {
-    const conf = Math.round(result.confidence * 100);
+    // Calibrated probability where the calibration has been fitted, else the raw match score
+    const conf = Math.round((typeof Calibration !== 'undefined' ? Calibration.getConfidence(result) : result.confidence) * 100);
     const validation = validations[idx];
     const isSelected = selectedRegions.has(idx);
     const isExpanded = expandedCards.has(idx);
     const isExcluded = excludedDetections.has(idx);
-    const hasAlts = result.topMatches && result.topMatches.length > 1;
+    // Top-k candidates minus the glyph currently assigned (older sessions used topMatches)
+    const alternatives = (result.candidates || result.topMatches || []).filter(c => c.glyph?.id !== result.glyph.id);
+    const hasAlts = alternatives.length > 0;
     const hasBreaks = wordBoundaries.has(idx) || columnBreaks.has(idx) || lineBreaks.has(idx);
+    // Editorial (Leiden) status set by the editor
+    const editorialStatus = result.editorial?.status || 'certain';
+    // Why past corrections moved this detection's scores
+    const confusionNote = result.confusion && typeof ConfusionRanking !== 'undefined'
+        ? ConfusionRanking.describe(result.confusion)
+        : null;
+    const altScore = (alt) => Math.round((alt.adjustedConfidence ?? alt.confidence) * 100);
 
     let borderColor = 'border-gray-200';
     if (isExcluded) borderColor = 'border-gray-300';
@@ -217,7 +228,7 @@ const DetectionCard = ({
                             <span className="font-bold text-xs text-gray-500">#{viewMode === 'reading' ? displayIdx + 1 : idx + 1}</span>
                             <span className={`text-xs font-medium ${conf >= 70 ? 'text-patina' : conf >= 50 ? 'text-ochre' : 'text-rust'}`}>{conf}%</span>
                             {result.matchedTemplateLabel && (
-                                <span className="text-[10px] bg-gray-100 px-1 rounded" title={`Matched ${result.matchedTemplate}${result.matchedTemplateIndex !== undefined ? ' #' + (result.matchedTemplateIndex + 1) : ''}`}>
+                                <span className="text-[10px] bg-gray-100 px-1 rounded" title={`Matched ${result.matchedTemplate}${typeof result.matchedTemplateIndex === 'number' ? ' #' + (result.matchedTemplateIndex + 1) : ''}${result.matchType ? ' via ' + result.matchType : ''}`}>
                                     {result.matchedTemplateLabel}
                                 </span>
                             )}
@@ -227,6 +238,11 @@ const DetectionCard = ({
                             {wordBoundaries.has(idx) && <span className="text-xs font-bold text-stone px-1 bg-stone/20 rounded">|</span>}
                             {columnBreaks.has(idx) && <span className="text-xs font-bold text-amber-700 px-1 bg-stone/20 rounded">‖</span>}
                             {lineBreaks.has(idx) && <span className="text-xs font-bold text-ancient-purple px-1 bg-ancient-purple/20 rounded">⏎</span>}
+                            {editorialStatus !== 'certain' && typeof Leiden !== 'undefined' && (
+                                <span className="text-[10px] font-mono text-amber-800 px-1 bg-amber-100 rounded" title={`Editorial status: ${editorialStatus}`}>
+                                    {Leiden.markGlyph(result.glyph.transliteration || result.glyph.name, editorialStatus, result.editorial?.lostLength)}
+                                </span>
+                            )}
                         </div>
                         {(() => {
                             const latin = result.glyph.transliteration || result.glyph.name;
@@ -243,6 +259,36 @@ const DetectionCard = ({
                                 </>
                             );
                         })()}
+                        {/* Which learned example produced the hit, and where it was learned */}
+                        {result.learnedExample && (
+                            <div className="text-[10px] text-gray-500 truncate"
+                                title={`Learned example ${result.learnedExample.exampleId}${result.learnedExample.originalGlyph ? `, corrected from ${result.learnedExample.originalGlyph}` : ''}${result.learnedExample.timestamp ? ` on ${new Date(result.learnedExample.timestamp).toLocaleDateString()}` : ''} · weight ${Math.round((result.learnedExample.weight ?? 1) * 100)}%`}>
+                                📚 learned from {result.learnedExample.inscriptionId || 'an unsaved session'}
+                            </div>
+                        )}
+                        {confusionNote && (
+                            <div className={`text-[10px] truncate ${result.confusion.reassigned ? 'text-ochre' : 'text-gray-500'}`}
+                                title={confusionNote.details.join('\n')}>
+                                🔀 {confusionNote.summary}
+                            </div>
+                        )}
+                        {/* One-click alternatives (until the detection is confirmed) */}
+                        {hasAlts && !validation?.isCorrect && !isExpanded && (
+                            <div className="flex gap-1 mt-0.5 flex-wrap">
+                                {alternatives.slice(0, 3).map((alt, altIdx) => (
+                                    <button key={altIdx}
+                                        onClick={(e) => { e.stopPropagation(); changeGlyphAssignment(idx, alt.glyph); }}
+                                        className={`flex items-center gap-0.5 ${isMobile ? 'px-2 py-1' : 'px-1 py-0'} bg-gray-50 border border-gray-200 rounded text-[10px] text-gray-600 hover:border-ancient-purple hover:bg-purple-50`}
+                                        title={`Switch to ${alt.glyph.name} (${altScore(alt)}%)`}>
+                                        {glyphThumbnails[alt.glyph.id] && (
+                                            <img src={glyphThumbnails[alt.glyph.id]} alt="" className="w-3 h-3 object-contain" />
+                                        )}
+                                        <span>{alt.glyph.transliteration || alt.glyph.name}</span>
+                                        <span className="text-gray-400">{altScore(alt)}%</span>
+                                    </button>
+                                ))}
+                            </div>
+                        )}
                     </div>
                     <div className="flex flex-col gap-1">
                         {!validation ? (
@@ -265,9 +311,38 @@ const DetectionCard = ({
                 <button onClick={(e) => { e.stopPropagation(); toggleCardExpansion(idx); }}
                     className={`px-2 py-0.5 rounded text-xs ${isExpanded ? 'bg-ancient-purple text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
                     title="Show alternative matches">
-                    {isExpanded ? '▼' : '▶'} Alts {hasAlts ? `(${result.topMatches.length - 1})` : ''}
+                    {isExpanded ? '▼' : '▶'} Alts {hasAlts ? `(${alternatives.length})` : ''}
                 </button>
 
+                {/* Editorial (Leiden) status */}
+                {setEditorialStatus && typeof Leiden !== 'undefined' && (
+                    <>
+                        <select
+                            value={editorialStatus}
+                            onClick={(e) => e.stopPropagation()}
+                            onChange={(e) => setEditorialStatus(idx, e.target.value, result.editorial?.lostLength)}
+                            className={`px-1 py-0.5 rounded text-xs border ${editorialStatus !== 'certain' ? 'border-amber-300 bg-amber-50 text-amber-800' : 'border-gray-200 bg-gray-100 text-gray-600'}`}
+                            title="Editorial status (Leiden conventions)"
+                        >
+                            {Leiden.STATUS_INFO.map(s => (
+                                <option key={s.value} value={s.value}>{s.example} {s.label}</option>
+                            ))}
+                        </select>
+                        {editorialStatus === 'lost' && (
+                            <input
+                                type="number"
+                                min="1"
+                                value={result.editorial?.lostLength || ''}
+                                onClick={(e) => e.stopPropagation()}
+                                onChange={(e) => setEditorialStatus(idx, 'lost', parseInt(e.target.value) || null)}
+                                placeholder="?"
+                                className="w-10 px-1 py-0.5 rounded text-xs border border-amber-300"
+                                title="Estimated number of lost letters (empty = unknown)"
+                            />
+                        )}
+                    </>
+                )}
+
                 {isExcluded && (
                     <button onClick={(e) => { e.stopPropagation(); toggleExcludeDetection(idx); }}
                         className="px-2 py-0.5 rounded text-xs bg-gray-500 text-white"
@@ -361,16 +436,16 @@ const DetectionCard = ({
                         {isMobile ? '👆 Tap to switch glyph:' : 'Alternative matches:'}
                     </div>
                     <div className={`flex flex-wrap gap-${isMobile ? '2' : '1'}`}>
-                        {result.topMatches.slice(1, 6).map((alt, altIdx) => (
+                        {alternatives.map((alt, altIdx) => (
                             <button key={altIdx}
                                 onClick={(e) => { e.stopPropagation(); changeGlyphAssignment(idx, alt.glyph); if (isMobile) toggleCardExpansion(idx); }}
                                 className={`flex items-center gap-1 ${isMobile ? 'px-4 py-3 text-sm' : 'px-2 py-1'} bg-white border border-gray-200 rounded hover:border-ancient-purple hover:bg-purple-50 transition-colors active:scale-95`}
-                                title={`Switch to ${alt.glyph.name} (${Math.round(alt.confidence * 100)}%)`}>
+                                title={`Switch to ${alt.glyph.name} (${altScore(alt)}%${alt.adjustedConfidence !== undefined ? `, match ${Math.round(alt.confidence * 100)}%` : ''})`}>
                                 {glyphThumbnails[alt.glyph.id] && (
                                     <img src={glyphThumbnails[alt.glyph.id]} alt="" className={`${isMobile ? 'w-8 h-8' : 'w-5 h-5'} object-contain`} />
                                 )}
                                 <span className="text-xs font-medium">{alt.glyph.transliteration || alt.glyph.name}</span>
-                                <span className="text-xs text-gray-400">{Math.round(alt.confidence * 100)}%</span>
+                                <span className="text-xs text-gray-400">{altScore(alt)}%</span>
                             </button>
                         ))}
                         {openGlyphSelector && (
@@ -298,6 +298,8 @@ const BookletGenerator = ({
                 
                 // Get transliteration and Arabic
                 const { translit, arabic } = getTranscriptionParts(hki);
+                const glossary = extractLexiconMatches(hki);
+                const edition = extractLeidenEdition(hki);
                 
                 // Prepare image - check all possible locations where image data might be stored
                 let imageSrc = hki.displayImage || 
@@ -343,6 +345,27 @@ const BookletGenerator = ({
                             </div>
                         </div>
                         
+                        ${edition ? `
+                            <div class="edition-section">
+                                <div class="label">Edition (Leiden):</div>
+                                <div class="translit-text">${edition}</div>
+                                <div class="conventions">${Leiden.legend()}</div>
+                            </div>
+                        ` : ''}
+                        
+                        ${glossary.length > 0 ? `
+                            <div class="glossary-section">
+                                <div class="label">Glossary:</div>
+                                ${glossary.map(m => `
+                                    <div class="glossary-row">
+                                        <span class="glossary-word">${m.exact ? '' : '≈ '}${Leiden._escape(m.text)}</span>
+                                        ${m.entry.arabic ? `<span class="glossary-arabic">${Leiden._escape(m.entry.arabic)}</span>` : ''}
+                                        ‘${Leiden._escape(m.entry.gloss || '—')}’${m.exact ? '' : ` (cf. ${Leiden._escape(m.entry.word)})`}
+                                    </div>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                        
                         ${hki.notes ? `
                             <div class="notes-section">
                                 <div class="label">Notes:</div>
@@ -440,6 +463,13 @@ const BookletGenerator = ({
         .arabic-text { font-size: 24px; font-family: 'Traditional Arabic', 'Arabic Typesetting', 'Scheherazade', 'Amiri', sans-serif; direction: rtl; text-align: right; color: #b87333; line-height: 1.8; }
         .notes-section { background: #fff9e6; padding: 15px; border-radius: 6px; border-left: 4px solid #b8956a; margin-top: 15px; }
         .notes-text { color: #666; line-height: 1.6; }
+        .edition-section { background: #f9f9f9; padding: 15px; border-radius: 6px; border-left: 4px solid #5d4e6d; margin-top: 15px; }
+        .conventions { font-size: 11px; color: #999; margin-top: 8px; }
+        ${Leiden.CSS}
+        .glossary-section { background: #f0f7f2; padding: 15px; border-radius: 6px; border-left: 4px solid #6b8e7f; margin-top: 15px; }
+        .glossary-row { color: #444; line-height: 1.8; }
+        .glossary-word { font-weight: bold; color: #2d5a3d; margin-right: 8px; }
+        .glossary-arabic { font-family: 'Traditional Arabic', 'Arabic Typesetting', 'Scheherazade', 'Amiri', sans-serif; color: #b87333; margin-right: 8px; }
         .chart-page { page-break-before: always; background: white; padding: 30px; margin-bottom: 20px; border-radius: 8px; }
         .chart-title { font-size: 28px; font-weight: bold; color: #5d4e6d; text-align: center; margin-bottom: 10px; }
         .chart-subtitle { text-align: center; color: #666; margin-bottom: 30px; }
@@ -767,6 +797,39 @@ const BookletGenerator = ({
         return '';
     };
     
+    // Transcription.generate() over an inscription's included, non-rejected glyphs
+    const generateTranscription = (hki) => {
+        if (!Array.isArray(hki.recognitionResults)) return null;
+        
+        const readingOrder = hki.readingOrder || hki.readingData?.order || hki.readingData?.readingOrder ||
+            hki.recognitionResults.map((_, i) => i);
+        const validIndices = readingOrder.filter(idx => {
+            const r = hki.recognitionResults[idx];
+            return r && r.glyph && !r.excluded && r.validated !== false;
+        });
+        
+        return Transcription.generate(
+            hki.recognitionResults,
+            validIndices,
+            new Set(hki.wordBoundaries || hki.readingData?.wordBoundaries || []),
+            new Set(hki.lineBreaks || hki.readingData?.lineBreaks || []),
+            new Set(hki.columnBreaks || hki.readingData?.columnBreaks || [])
+        );
+    };
+    
+    // Words of an inscription that match the lexicon
+    const extractLexiconMatches = (hki) => {
+        if (typeof LexiconMatcher === 'undefined') return [];
+        return generateTranscription(hki)?.lexiconMatches || [];
+    };
+    
+    // Leiden edition, when the editor has marked damaged, restored, lost or erased glyphs
+    const extractLeidenEdition = (hki) => {
+        if (!hki.recognitionResults?.some(r => r?.editorial?.status)) return '';
+        const transcription = generateTranscription(hki);
+        return transcription ? Leiden.toHTML(transcription) : '';
+    };
+    
     // Get both transcription parts for HTML booklet
     const getTranscriptionParts = (hki) => {
         return {
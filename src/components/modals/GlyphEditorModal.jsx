@@ -144,6 +144,9 @@ const GlyphEditorModal = ({
                     // If primary image changed, update it
                     if (primaryImage) {
                         updatedChart.glyphs[glyphIndex].images.primary = primaryImage;
+                        if (typeof TemplateStore !== 'undefined') {
+                            TemplateStore.invalidateGlyph(glyph.id);
+                        }
                         
                         const img = new Image();
                         img.onload = () => {
@@ -208,6 +211,10 @@ const GlyphEditorModal = ({
         setGlyphThumbnails(newThumbnails);
         setEquivalenceChart(updatedChart);
         
+        if (typeof TemplateStore !== 'undefined') {
+            TemplateStore.invalidateGlyph(glyph.id);
+        }
+        
         alert(`🗑️ Deleted glyph "${glyph.name}"`);
         onClose();
     };
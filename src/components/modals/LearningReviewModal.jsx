@@ -0,0 +1,191 @@
+// ============================================
+// LEARNING REVIEW MODAL
+// Review learned examples before they take part in matching:
+// approve, reject, or move to another glyph
+// ============================================
+
+const LearningReviewModal = ({
+    isOpen,
+    onClose,
+    chartData,
+    onChanged
+}) => {
+    const { useState, useEffect, useCallback } = React;
+
+    const [queue, setQueue] = useState([]);
+    const [reassignTarget, setReassignTarget] = useState({}); // { exampleId: glyphId }
+
+    const refresh = useCallback(() => {
+        setQueue(TemplateLearning.getReviewQueue());
+    }, []);
+
+    useEffect(() => {
+        if (isOpen) refresh();
+    }, [isOpen, refresh]);
+
+    const glyphs = chartData?.glyphs || [];
+    const findGlyph = (glyphId) => glyphs.find(g => String(g.id) === String(glyphId));
+
+    const afterChange = () => {
+        refresh();
+        if (onChanged) onChanged();
+    };
+
+    const handleApprove = (group, example) => {
+        if (!findGlyph(group.glyphId)) {
+            alert(`Glyph "${group.glyphName}" is not in the loaded chart. Load its chart to approve this example.`);
+            return;
+        }
+        TemplateLearning.setExampleStatus(group.glyphId, example.id, TemplateLearning.STATUS.APPROVED);
+        afterChange();
+    };
+
+    const handleReject = (group, example) => {
+        TemplateLearning.setExampleStatus(group.glyphId, example.id, TemplateLearning.STATUS.REJECTED);
+        afterChange();
+    };
+
+    const handleReassign = (group, example) => {
+        const target = findGlyph(reassignTarget[example.id]);
+        if (!target) return;
+        if (TemplateLearning.reassignExample(group.glyphId, example.id, target)) {
+            setReassignTarget(prev => {
+                const next = { ...prev };
+                delete next[example.id];
+                return next;
+            });
+            afterChange();
+        }
+    };
+
+    if (!isOpen) return null;
+
+    const pendingCount = queue.reduce((sum, group) => sum + group.examples.length, 0);
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[60] p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[85vh] flex flex-col">
+                {/* Header */}
+                <div className="flex items-center justify-between p-4 border-b">
+                    <div>
+                        <h2 className="text-xl font-bold text-gray-900">📚 Review Learned Examples</h2>
+                        <p className="text-sm text-gray-500">
+                            {pendingCount} pending · approved examples match as learned templates
+                        </p>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl">×</button>
+                </div>
+
+                {/* Content */}
+                <div className="flex-1 overflow-y-auto p-4">
+                    {queue.length === 0 ? (
+                        <div className="text-center py-8 text-gray-500">
+                            Nothing to review. Corrected detections are queued here.
+                        </div>
+                    ) : queue.map(group => {
+                        const inChart = !!findGlyph(group.glyphId);
+                        return (
+                            <div key={group.glyphId} className="mb-4 border rounded-lg">
+                                <div className="flex items-center justify-between px-3 py-2 bg-gray-50 border-b rounded-t-lg">
+                                    <div className="font-medium text-gray-800">
+                                        {group.glyphName}
+                                        {group.glyphArabic && <span className="ml-2 text-gray-500">{group.glyphArabic}</span>}
+                                        <span className="ml-2 text-xs text-gray-500">({group.examples.length} pending)</span>
+                                    </div>
+                                    <div className="text-xs text-gray-500">
+                                        {!inChart
+                                            ? 'Not in loaded chart'
+                                            : group.eligible ? 'Recurring correction' : 'Not matching until approved'}
+                                    </div>
+                                </div>
+
+                                <div className="divide-y">
+                                    {group.examples.map(example => (
+                                        <div key={example.id} className="flex items-center gap-3 p-3">
+                                            {example.thumbnail ? (
+                                                <img
+                                                    src={example.thumbnail}
+                                                    alt={group.glyphName}
+                                                    className="w-14 h-14 object-contain border rounded bg-white"
+                                                />
+                                            ) : (
+                                                <div className="w-14 h-14 border rounded bg-gray-100" />
+                                            )}
+
+                                            <div className="flex-1 min-w-0 text-sm">
+                                                <div className="text-gray-800">
+                                                    Was read as <span className="font-medium">{example.originalGlyph || '?'}</span>
+                                                </div>
+                                                <div className="text-xs text-gray-500 truncate">
+                                                    {example.inscriptionId || 'Unsaved session'}
+                                                    {example.timestamp && ` · ${new Date(example.timestamp).toLocaleDateString()}`}
+                                                    {(example.hits > 0 || example.misses > 0) &&
+                                                        ` · ${example.hits}✓ ${example.misses}✗`}
+                                                </div>
+                                            </div>
+
+                                            <div className="flex items-center gap-1">
+                                                <button
+                                                    onClick={() => handleApprove(group, example)}
+                                                    disabled={!inChart}
+                                                    className="px-2 py-1 text-xs bg-green-100 text-green-800 rounded hover:bg-green-200 disabled:opacity-50"
+                                                    title="Match this example as a learned template of this glyph"
+                                                >
+                                                    ✓ Approve
+                                                </button>
+                                                <button
+                                                    onClick={() => handleReject(group, example)}
+                                                    className="px-2 py-1 text-xs bg-red-100 text-red-800 rounded hover:bg-red-200"
+                                                    title="Never use this example"
+                                                >
+                                                    ✗ Reject
+                                                </button>
+                                                <select
+                                                    value={reassignTarget[example.id] || ''}
+                                                    onChange={(e) => setReassignTarget(prev => ({ ...prev, [example.id]: e.target.value }))}
+                                                    className="px-1 py-1 text-xs border border-gray-300 rounded max-w-[7rem]"
+                                                    title="Glyph this example actually shows"
+                                                >
+                                                    <option value="">Move to…</option>
+                                                    {glyphs
+                                                        .filter(g => String(g.id) !== String(group.glyphId))
+                                                        .map(g => (
+                                                            <option key={g.id} value={g.id}>
+                                                                {g.name}{g.arabic ? ` ${g.arabic}` : ''}
+                                                            </option>
+                                                        ))}
+                                                </select>
+                                                <button
+                                                    onClick={() => handleReassign(group, example)}
+                                                    disabled={!reassignTarget[example.id]}
+                                                    className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-50"
+                                                >
+                                                    Move
+                                                </button>
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+
+                {/* Footer */}
+                <div className="flex justify-end p-4 border-t">
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Make globally available
+window.LearningReviewModal = LearningReviewModal;
+
+console.log('✅ LearningReviewModal loaded');
@@ -0,0 +1,280 @@
+// ============================================
+// LEXICON MODAL
+// Browse and edit the lexicon of known words, names and
+// formulae; import/export JSON and sync with Drive
+// ============================================
+
+const LexiconModal = ({
+    isOpen,
+    onClose,
+    isSignedIn,
+    onChanged
+}) => {
+    const { useState, useEffect, useCallback, useRef } = React;
+
+    const emptyForm = { word: '', arabic: '', gloss: '', category: Lexicon.CATEGORIES.WORD, reference: '', notes: '' };
+
+    const [entries, setEntries] = useState([]);
+    const [search, setSearch] = useState('');
+    const [form, setForm] = useState(emptyForm);
+    const [editingId, setEditingId] = useState(null);
+    const [syncing, setSyncing] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const refresh = useCallback(() => {
+        setEntries(Lexicon.getEntries().sort((a, b) => a.word.localeCompare(b.word)));
+    }, []);
+
+    useEffect(() => {
+        if (isOpen) refresh();
+    }, [isOpen, refresh]);
+
+    const afterChange = () => {
+        refresh();
+        if (onChanged) onChanged();
+    };
+
+    const resetForm = () => {
+        setForm(emptyForm);
+        setEditingId(null);
+    };
+
+    const handleSave = () => {
+        if (!form.word.trim()) {
+            alert('Enter the word as transliterated');
+            return;
+        }
+        if (editingId) {
+            Lexicon.updateEntry(editingId, form);
+        } else {
+            Lexicon.addEntry(form);
+        }
+        resetForm();
+        afterChange();
+    };
+
+    const handleEdit = (entry) => {
+        setEditingId(entry.id);
+        setForm({
+            word: entry.word,
+            arabic: entry.arabic,
+            gloss: entry.gloss,
+            category: entry.category,
+            reference: entry.reference,
+            notes: entry.notes
+        });
+    };
+
+    const handleDelete = (entry) => {
+        if (!confirm(`Delete "${entry.word}" from the lexicon?`)) return;
+        Lexicon.removeEntry(entry.id);
+        if (editingId === entry.id) resetForm();
+        afterChange();
+    };
+
+    const handleImport = (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const data = JSON.parse(event.target.result);
+                if (Lexicon.importJson(data, true)) afterChange();
+            } catch (error) {
+                console.error('Failed to read lexicon file:', error);
+                alert('❌ Failed to read lexicon file: ' + error.message);
+            }
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    };
+
+    const handleSync = async () => {
+        setSyncing(true);
+        try {
+            const { added, updated, total } = await Lexicon.syncWithDrive();
+            afterChange();
+            alert(`☁️ Lexicon synced with Drive: ${added} new, ${updated} updated (${total} entries)`);
+        } catch (error) {
+            console.error('Lexicon sync failed:', error);
+            alert('❌ Lexicon sync failed: ' + error.message);
+        } finally {
+            setSyncing(false);
+        }
+    };
+
+    if (!isOpen) return null;
+
+    const query = LexiconMatcher.normalize(search);
+    const visible = query
+        ? entries.filter(e =>
+            LexiconMatcher.normalize(e.word).includes(query) ||
+            e.gloss.toLowerCase().includes(query) ||
+            e.arabic.includes(search.trim()))
+        : entries;
+
+    const field = (key, placeholder, extra = {}) => (
+        <input
+            type="text"
+            value={form[key]}
+            onChange={(e) => setForm(prev => ({ ...prev, [key]: e.target.value }))}
+            placeholder={placeholder}
+            className="px-2 py-1 text-sm border border-gray-300 rounded"
+            {...extra}
+        />
+    );
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[60] p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[85vh] flex flex-col">
+                {/* Header */}
+                <div className="flex items-center justify-between p-4 border-b">
+                    <div>
+                        <h2 className="text-xl font-bold text-gray-900">📖 Lexicon</h2>
+                        <p className="text-sm text-gray-500">
+                            {entries.length} entries · transcribed words that match are glossed in the reading and booklet
+                        </p>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl">×</button>
+                </div>
+
+                {/* Entry form */}
+                <div className="p-4 border-b bg-gray-50">
+                    <div className="grid grid-cols-3 gap-2">
+                        {field('word', 'Word (transliteration)', { className: 'px-2 py-1 text-sm border border-gray-300 rounded font-mono' })}
+                        {field('arabic', 'Arabic', { dir: 'rtl' })}
+                        {field('gloss', 'Gloss')}
+                        <select
+                            value={form.category}
+                            onChange={(e) => setForm(prev => ({ ...prev, category: e.target.value }))}
+                            className="px-2 py-1 text-sm border border-gray-300 rounded"
+                        >
+                            <option value={Lexicon.CATEGORIES.WORD}>Word</option>
+                            <option value={Lexicon.CATEGORIES.NAME}>Personal name</option>
+                            <option value={Lexicon.CATEGORIES.FORMULA}>Formula</option>
+                        </select>
+                        {field('reference', 'Reference / attestation')}
+                        {field('notes', 'Notes')}
+                    </div>
+                    <div className="flex justify-end gap-2 mt-2">
+                        {editingId && (
+                            <button
+                                onClick={resetForm}
+                                className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                            >
+                                Cancel
+                            </button>
+                        )}
+                        <button
+                            onClick={handleSave}
+                            className="px-3 py-1 text-sm bg-emerald-600 text-white rounded hover:bg-emerald-700"
+                        >
+                            {editingId ? 'Save changes' : '+ Add entry'}
+                        </button>
+                    </div>
+                </div>
+
+                {/* Entries */}
+                <div className="px-4 pt-3">
+                    <input
+                        type="text"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        placeholder="Search words and glosses…"
+                        className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-lg"
+                    />
+                </div>
+                <div className="flex-1 overflow-y-auto p-4">
+                    {visible.length === 0 ? (
+                        <div className="text-center py-8 text-gray-500">
+                            {entries.length === 0 ? 'The lexicon is empty. Add entries above or import a JSON file.' : 'No matching entries.'}
+                        </div>
+                    ) : (
+                        <div className="divide-y border rounded-lg">
+                            {visible.map(entry => (
+                                <div
+                                    key={entry.id}
+                                    className={`flex items-center gap-3 px-3 py-2 text-sm ${editingId === entry.id ? 'bg-emerald-50' : ''}`}
+                                >
+                                    <div className="flex-1 min-w-0">
+                                        <span className="font-mono font-bold text-gray-900">{entry.word}</span>
+                                        {entry.arabic && <span className="ml-2 text-gray-500" dir="rtl">{entry.arabic}</span>}
+                                        <span className="ml-2 text-gray-700">‘{entry.gloss || '—'}’</span>
+                                        {entry.category !== Lexicon.CATEGORIES.WORD && (
+                                            <span className="ml-2 px-1.5 py-0.5 text-xs bg-gray-100 text-gray-600 rounded">{entry.category}</span>
+                                        )}
+                                        {(entry.reference || entry.notes) && (
+                                            <div className="text-xs text-gray-500 truncate">
+                                                {[entry.reference, entry.notes].filter(Boolean).join(' · ')}
+                                            </div>
+                                        )}
+                                    </div>
+                                    <button
+                                        onClick={() => handleEdit(entry)}
+                                        className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                                    >
+                                        ✏️ Edit
+                                    </button>
+                                    <button
+                                        onClick={() => handleDelete(entry)}
+                                        className="px-2 py-1 text-xs bg-red-100 text-red-800 rounded hover:bg-red-200"
+                                    >
+                                        🗑️
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="flex items-center justify-between p-4 border-t">
+                    <div className="flex gap-2">
+                        <button
+                            onClick={() => fileInputRef.current?.click()}
+                            className="px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+                        >
+                            📤 Import JSON
+                        </button>
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept=".json,application/json"
+                            onChange={handleImport}
+                            className="hidden"
+                        />
+                        <button
+                            onClick={() => Lexicon.exportJson()}
+                            disabled={entries.length === 0}
+                            className="px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                        >
+                            📥 Export JSON
+                        </button>
+                        {isSignedIn && (
+                            <button
+                                onClick={handleSync}
+                                disabled={syncing}
+                                className="px-3 py-2 text-sm bg-blue-100 text-blue-800 rounded-lg hover:bg-blue-200 disabled:opacity-50"
+                                title="Merge with the shared lexicon on Drive, then save the result back"
+                            >
+                                {syncing ? '⏳ Syncing…' : '☁️ Sync with Drive'}
+                            </button>
+                        )}
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Make globally available
+window.LexiconModal = LexiconModal;
+
+console.log('✅ LexiconModal loaded');
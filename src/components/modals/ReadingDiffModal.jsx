@@ -0,0 +1,161 @@
+// ============================================
+// READING DIFF MODAL
+// Side-by-side comparison of two readings: text line by
+// line, glyph assignments, breaks, order and translations
+// ============================================
+
+const ReadingDiffModal = ({
+    isOpen,
+    onClose,
+    readingA,
+    readingB,
+    recognitionResults,
+    onSelectDetection
+}) => {
+    const { useMemo } = React;
+
+    const diff = useMemo(() => {
+        if (!isOpen || !readingA || !readingB) return null;
+        return Readings.diff(readingA, readingB, recognitionResults);
+    }, [isOpen, readingA, readingB, recognitionResults]);
+
+    if (!isOpen || !diff) return null;
+
+    const glyphText = (glyph) => glyph ? (glyph.transliteration || glyph.name) : '—';
+
+    const detectionList = (indices) => indices.length === 0 ? null : indices.map(idx => (
+        <button
+            key={idx}
+            onClick={() => onSelectDetection && onSelectDetection(idx)}
+            className="px-1 font-mono hover:underline"
+            title={`Detection #${idx + 1}`}
+        >
+            #{idx + 1}
+        </button>
+    ));
+
+    const breakRows = [
+        ['Word boundaries', diff.wordBoundaries],
+        ['Line breaks', diff.lineBreaks],
+        ['Column breaks', diff.columnBreaks]
+    ].filter(([, change]) => change.added.length > 0 || change.removed.length > 0);
+
+    const translationRows = [
+        ['English', 'translationEnglish', 'ltr'],
+        ['Arabic', 'translationArabic', 'rtl']
+    ].filter(([, field]) => diff[field]);
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[60] p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl max-h-[85vh] flex flex-col">
+                {/* Header */}
+                <div className="flex items-center justify-between p-4 border-b">
+                    <div>
+                        <h2 className="text-xl font-bold text-gray-900">⇄ Compare readings</h2>
+                        <p className="text-sm text-gray-500">
+                            <span className="text-rust font-medium">{readingA.name}</span> ({readingA.author})
+                            {' vs '}
+                            <span className="text-patina font-medium">{readingB.name}</span> ({readingB.author})
+                        </p>
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl">×</button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-4 space-y-4">
+                    {diff.identical ? (
+                        <div className="text-center py-8 text-gray-500">The two readings are identical.</div>
+                    ) : (
+                        <>
+                            {/* Text, line by line */}
+                            <div>
+                                <h3 className="text-sm font-semibold text-gray-700 mb-1">Transcription</h3>
+                                <div className="border rounded-lg divide-y text-sm font-mono">
+                                    {diff.lines.map((line, i) => (
+                                        <div key={i} className={`grid grid-cols-2 divide-x ${line.changed ? 'bg-amber-50' : ''}`}>
+                                            <div className={`px-2 py-1 whitespace-pre-wrap ${line.changed ? 'text-rust' : 'text-gray-600'}`}>{line.a ?? ''}</div>
+                                            <div className={`px-2 py-1 whitespace-pre-wrap ${line.changed ? 'text-patina' : 'text-gray-600'}`}>{line.b ?? ''}</div>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+
+                            {/* Reading order */}
+                            {(diff.order.direction || diff.order.moved > 0) && (
+                                <div className="text-sm text-gray-700">
+                                    <span className="font-semibold">Reading order: </span>
+                                    {diff.order.direction && `direction ${diff.order.direction[0]} → ${diff.order.direction[1]}; `}
+                                    {diff.order.moved} {diff.order.moved === 1 ? 'glyph' : 'glyphs'} read at a different position
+                                </div>
+                            )}
+
+                            {/* Glyph assignments */}
+                            {diff.glyphs.length > 0 && (
+                                <div>
+                                    <h3 className="text-sm font-semibold text-gray-700 mb-1">
+                                        Glyph assignments ({diff.glyphs.length})
+                                    </h3>
+                                    <div className="flex flex-wrap gap-1">
+                                        {diff.glyphs.map(change => (
+                                            <button
+                                                key={change.index}
+                                                onClick={() => onSelectDetection && onSelectDetection(change.index)}
+                                                className="px-2 py-0.5 bg-gray-50 border border-gray-200 rounded text-xs hover:bg-gray-100"
+                                            >
+                                                <span className="text-gray-400">#{change.index + 1}</span>{' '}
+                                                <span className="font-mono text-rust">{glyphText(change.from)}</span>
+                                                {' → '}
+                                                <span className="font-mono text-patina">{glyphText(change.to)}</span>
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+
+                            {/* Breaks, after the detection they follow */}
+                            {breakRows.length > 0 && (
+                                <div>
+                                    <h3 className="text-sm font-semibold text-gray-700 mb-1">Breaks (after detection)</h3>
+                                    <table className="text-xs">
+                                        <tbody>
+                                            {breakRows.map(([label, change]) => (
+                                                <tr key={label}>
+                                                    <td className="pr-3 py-0.5 text-gray-600">{label}</td>
+                                                    <td className="pr-3 py-0.5 text-patina">{change.added.length > 0 && <>+ {detectionList(change.added)}</>}</td>
+                                                    <td className="py-0.5 text-rust">{change.removed.length > 0 && <>− {detectionList(change.removed)}</>}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+
+                            {/* Translations */}
+                            {translationRows.map(([label, field, dir]) => (
+                                <div key={field}>
+                                    <h3 className="text-sm font-semibold text-gray-700 mb-1">{label} translation</h3>
+                                    <div className="grid grid-cols-2 gap-2 text-sm" dir={dir}>
+                                        <div className="p-2 bg-red-50 border border-red-100 rounded whitespace-pre-wrap">{readingA[field] || '—'}</div>
+                                        <div className="p-2 bg-green-50 border border-green-100 rounded whitespace-pre-wrap">{readingB[field] || '—'}</div>
+                                    </div>
+                                </div>
+                            ))}
+                        </>
+                    )}
+                </div>
+
+                {/* Footer */}
+                <div className="flex justify-end p-4 border-t">
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Make globally available
+window.ReadingDiffModal = ReadingDiffModal;
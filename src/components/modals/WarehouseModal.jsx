@@ -7,6 +7,7 @@
 // Updated: "Generate PDF" → "Generate Booklet" (supports HTML + PDF)
 // Added: Separate "In Review" section for review visibility items
 // Added: 🔄 Refresh Connection button to clear stale auth tokens
+// Added: 🔤 Train the language model from warehouse transcriptions
 // ============================================
 
 const WarehouseModal = ({
@@ -15,7 +16,8 @@ const WarehouseModal = ({
     onLoadHki,
     currentUserEmail,
     onSignIn,
-    onSignOut
+    onSignOut,
+    onLanguageModelTrained
 }) => {
     const { useState, useEffect, useCallback, useRef } = React;
     
@@ -38,6 +40,9 @@ const WarehouseModal = ({
     const [showBookletGenerator, setShowBookletGenerator] = useState(false);
     const [loadingBookletData, setLoadingBookletData] = useState(false);
     
+    // Language model training progress: { current, total } or null
+    const [lmTraining, setLmTraining] = useState(null);
+    
     // Use ref to track which thumbnails are loading to prevent duplicates
     const loadingThumbnailsRef = useRef(new Set());
     const thumbnailsRef = useRef({});
@@ -458,6 +463,34 @@ const WarehouseModal = ({
                     </div>
                     
                     <div className="flex items-center gap-3">
+                        {typeof LanguageModel !== 'undefined' && (
+                            <button
+                                onClick={async () => {
+                                    setLmTraining({ current: 0, total: 0 });
+                                    try {
+                                        const { files, inscriptions } = await LanguageModel.trainFromWarehouse(
+                                            currentUserEmail,
+                                            (current, total) => setLmTraining({ current, total })
+                                        );
+                                        const stats = LanguageModel.getStatistics();
+                                        if (onLanguageModelTrained) onLanguageModelTrained();
+                                        alert(`🔤 Language model updated\n\n${files} warehouse files read, ${inscriptions} with validated glyphs\nCorpus: ${stats.tokens} glyphs from ${stats.inscriptions} inscriptions`);
+                                    } catch (err) {
+                                        console.error('Language model training failed:', err);
+                                        alert('❌ Language model training failed: ' + err.message);
+                                    } finally {
+                                        setLmTraining(null);
+                                    }
+                                }}
+                                disabled={!!lmTraining}
+                                className="px-3 py-1.5 bg-white/20 hover:bg-white/30 rounded-lg text-sm disabled:opacity-60"
+                                title="Train the letter-sequence model from validated transcriptions in the warehouse"
+                            >
+                                {lmTraining
+                                    ? `🔤 ${lmTraining.current}/${lmTraining.total || '…'}`
+                                    : '🔤 Train LM'}
+                            </button>
+                        )}
                         {currentUserEmail ? (
                             <>
                                 <button
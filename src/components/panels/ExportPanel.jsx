@@ -13,15 +13,19 @@ const ExportPanel = ({
     preprocessing,
     readingDirection,
     readingOrder,
+    excludedDetections = new Set(),
     wordBoundaries,
     lineBreaks,
     columnBreaks,
     translationEnglish,
     translationArabic,
+    readings = [],
+    preferredReadingId = null,
     currentInscriptionId,
     inscriptionTitle,
     inscriptionSource,
     inscriptionNotes,
+    inscriptionMetadata,
     inscriptionComplete,
     transcriptionFormat = 'horizontal-rtl', // Added for vertical layout support
     isCollapsed,
@@ -712,10 +716,13 @@ const ExportPanel = ({
                         name: r.glyph?.name,
                         transliteration: r.glyph?.transliteration,
                         arabic: r.glyph?.arabic,
-                        description: r.glyph?.description
+                        description: r.glyph?.description,
+                        glyphClass: r.glyph?.glyphClass
                     },
                     confidence: r.confidence,
                     position: r.position,
+                    originalPosition: r.originalPosition || null,
+                    originalCorners: r.originalCorners || null,
                     thumbnail: r.thumbnail,
                     corrected: r.corrected || false
                 })),
@@ -734,6 +741,10 @@ const ExportPanel = ({
                 translationEnglish: translationEnglish || '',
                 translationArabic: translationArabic || '',
                 
+                // Competing readings (the reading data above is the preferred one)
+                readings: readings,
+                preferredReadingId: preferredReadingId,
+                
                 // Preprocessing settings
                 preprocessing: preprocessing || {}
             };
@@ -804,6 +815,33 @@ const ExportPanel = ({
         }
     };
     
+    /**
+     * Export EpiDoc TEI XML (for epigraphic corpora)
+     */
+    const exportEpiDoc = () => {
+        if (!hasData) return;
+        
+        // Detections taken out of the reading stay out of the edition, as on screen
+        const order = (readingOrder && readingOrder.length > 0 ? readingOrder : recognitionResults.map((_, i) => i))
+            .filter(idx => !excludedDetections.has(idx));
+        
+        EpiDoc.downloadXml({
+            inscriptionId: currentInscriptionId,
+            inscriptionTitle: inscriptionTitle || inscriptionSource || currentInscriptionId,
+            inscriptionNotes,
+            inscriptionSource,
+            metadata: inscriptionMetadata,
+            image,
+            recognitionResults,
+            readingOrder: order,
+            wordBoundaries: wordBoundaries ? Array.from(wordBoundaries) : [],
+            lineBreaks: lineBreaks ? Array.from(lineBreaks) : [],
+            columnBreaks: columnBreaks ? Array.from(columnBreaks) : [],
+            translationEnglish,
+            translationArabic
+        });
+    };
+    
     return (
         <CollapsibleSection
             title="💾 Storage"
@@ -919,7 +957,7 @@ const ExportPanel = ({
                                 <input
                                     ref={fileInputRef}
                                     type="file"
-                                    accept=".hki,.json"
+                                    accept=".hki,.json,.xml"
                                     className="hidden"
                                     onChange={(e) => {
                                         if (onLoadHki && e.target.files && e.target.files[0]) {
@@ -1082,6 +1120,14 @@ const ExportPanel = ({
                                         >
                                             💾 JSON Data (for database import)
                                         </button>
+                                        <button
+                                            onClick={exportEpiDoc}
+                                            disabled={!hasData}
+                                            className="w-full mt-2 px-3 py-2 bg-gray-100 hover:bg-gray-200 disabled:bg-gray-50 disabled:text-gray-400 rounded-lg transition-colors text-sm"
+                                            title="TEI XML with facsimile zones, for epigraphic corpora. Open .xml files with 📂 to import."
+                                        >
+                                            📜 EpiDoc TEI XML
+                                        </button>
                                     </div>
                                 )}
                             </div>
@@ -1,17 +1,19 @@
 // ============================================
 // INSCRIPTION PANEL
-// Title, translations, notes, and completion status
+// Title, translations, notes, object metadata and completion status
 // ============================================
 
 const InscriptionPanel = ({
     inscriptionTitle,
     inscriptionSource,
     inscriptionNotes,
+    inscriptionMetadata = {},
     inscriptionComplete,
     translationEnglish,
     translationArabic,
     onTitleChange,
     onNotesChange,
+    onMetadataChange,
     onSourceChange,
     onCompleteChange,
     onTranslationEnglishChange,
@@ -22,6 +24,16 @@ const InscriptionPanel = ({
 }) => {
     const { useState } = React;
     const [activeTab, setActiveTab] = useState('english');
+
+    // Object metadata, as stored in the .hki `metadata` and mapped to the EpiDoc header
+    const metadataFields = [
+        ['site', 'Site', 'e.g. Wadi Darbat rock shelter'],
+        ['location', 'Location / region', 'e.g. Dhofar'],
+        ['date_photographed', 'Date photographed', 'YYYY-MM-DD'],
+        ['stone_type', 'Stone type', 'e.g. limestone'],
+        ['condition', 'Condition', 'e.g. weathered, clear'],
+        ['notes', 'Object notes', 'e.g. found reused in a wall']
+    ];
     
     return (
         <CollapsibleSection
@@ -139,6 +151,30 @@ const InscriptionPanel = ({
                     />
                 </div>
 
+                {/* Object metadata */}
+                <div className="pt-4 border-t border-[#b5d4c8]">
+                    <label className="block text-sm font-semibold text-gray-700 mb-2">
+                        🗺️ Object
+                    </label>
+                    <div className="grid grid-cols-2 gap-2">
+                        {metadataFields.map(([field, label, placeholder]) => (
+                            <label key={field} className="block text-xs text-gray-600">
+                                {label}
+                                <input
+                                    type="text"
+                                    value={inscriptionMetadata[field] || ''}
+                                    onChange={(e) => onMetadataChange && onMetadataChange(field, e.target.value)}
+                                    className="mt-0.5 w-full px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-patina focus:border-transparent"
+                                    placeholder={placeholder}
+                                />
+                            </label>
+                        ))}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                        Saved with the file and exported in the EpiDoc header.
+                    </p>
+                </div>
+
                 {/* Source / Provenance Field */}
                 <div className="pt-4 border-t border-[#b5d4c8]">
                     <label className="block text-sm font-semibold text-gray-700 mb-2">
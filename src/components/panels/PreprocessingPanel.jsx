@@ -3,6 +3,157 @@
 // Controls for image preprocessing before recognition
 // ============================================
 
+/**
+ * PerspectiveQuadEditor - Draggable four-corner quad over the original image.
+ * Corners are in original-image pixels; changes are committed on release so
+ * the (debounced) preprocessing pipeline doesn't re-run on every pointer move.
+ */
+const PerspectiveQuadEditor = ({ originalMat, corners, onChange }) => {
+    const { useState, useEffect, useRef } = React;
+    const canvasRef = useRef(null);
+    const [draft, setDraft] = useState(corners);
+    const [dragIndex, setDragIndex] = useState(null);
+
+    useEffect(() => {
+        if (dragIndex === null) setDraft(corners);
+    }, [corners, dragIndex]);
+
+    useEffect(() => {
+        if (canvasRef.current && originalMat && !originalMat.isDeleted()) {
+            cv.imshow(canvasRef.current, originalMat);
+        }
+    }, [originalMat]);
+
+    if (!originalMat || !draft) return null;
+
+    const width = originalMat.cols;
+    const height = originalMat.rows;
+    const handleRadius = Math.max(width, height) * 0.015;
+
+    const toImageCoords = (e) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        return {
+            x: Math.round(Math.max(0, Math.min(width, (e.clientX - rect.left) * width / rect.width))),
+            y: Math.round(Math.max(0, Math.min(height, (e.clientY - rect.top) * height / rect.height)))
+        };
+    };
+
+    const handlePointerMove = (e) => {
+        if (dragIndex === null) return;
+        const point = toImageCoords(e);
+        setDraft(prev => prev.map((c, i) => (i === dragIndex ? point : c)));
+    };
+
+    const handlePointerUp = () => {
+        if (dragIndex === null) return;
+        setDragIndex(null);
+        onChange(draft);
+    };
+
+    return (
+        <div className="relative select-none" style={{ touchAction: 'none' }}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerLeave={handlePointerUp}>
+            <canvas ref={canvasRef} className="w-full h-auto rounded border border-gray-300" />
+            <svg className="absolute inset-0 w-full h-full" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+                <polygon
+                    points={draft.map(c => `${c.x},${c.y}`).join(' ')}
+                    fill="rgba(93, 78, 109, 0.15)"
+                    stroke="#5d4e6d"
+                    strokeWidth={handleRadius / 3}
+                />
+                {draft.map((c, i) => (
+                    <circle
+                        key={i}
+                        cx={c.x}
+                        cy={c.y}
+                        r={handleRadius}
+                        fill={dragIndex === i ? '#b8956a' : '#ffffff'}
+                        stroke="#5d4e6d"
+                        strokeWidth={handleRadius / 3}
+                        style={{ cursor: 'move' }}
+                        onPointerDown={(e) => { e.stopPropagation(); setDragIndex(i); }}
+                    />
+                ))}
+            </svg>
+        </div>
+    );
+};
+
+/**
+ * AutoTunePreviews - Sweeps threshold/blur/morphology settings with AutoTune
+ * and offers the best-scoring few as clickable previews.
+ */
+const AutoTunePreviews = ({ originalMat, preprocessing, onApply }) => {
+    const { useState, useRef } = React;
+    const [isRunning, setIsRunning] = useState(false);
+    const [progress, setProgress] = useState({ current: 0, total: 0 });
+    const [proposals, setProposals] = useState([]);
+    const cancelRef = useRef(false);
+
+    const runAutoTune = async () => {
+        if (!originalMat || originalMat.isDeleted()) return;
+        cancelRef.current = false;
+        setIsRunning(true);
+        setProposals([]);
+        try {
+            const results = await AutoTune.run(originalMat, preprocessing, {
+                onProgress: (current, total) => setProgress({ current, total }),
+                shouldCancel: () => cancelRef.current
+            });
+            setProposals(results);
+        } catch (error) {
+            console.error('Auto-tune error:', error);
+            alert('❌ Auto-tune failed: ' + error.message);
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            {isRunning ? (
+                <div className="space-y-1">
+                    <ProgressBar current={progress.current} total={progress.total} />
+                    <button
+                        onClick={() => { cancelRef.current = true; }}
+                        className="w-full px-2 py-1 bg-gray-200 hover:bg-gray-300 rounded text-xs"
+                    >
+                        ✕ Stop
+                    </button>
+                </div>
+            ) : (
+                <button
+                    onClick={runAutoTune}
+                    disabled={!originalMat}
+                    className="w-full px-3 py-2 bg-ochre hover:bg-[#a07a5a] text-white rounded-lg transition-colors text-sm font-medium disabled:bg-gray-300"
+                >
+                    🪄 Auto-tune settings
+                </button>
+            )}
+            
+            {proposals.length > 0 && (
+                <div className="grid grid-cols-3 gap-2">
+                    {proposals.map((proposal, i) => (
+                        <button
+                            key={i}
+                            onClick={() => { onApply(proposal.settings); setProposals([]); }}
+                            className="border-2 border-gray-200 hover:border-ancient-purple rounded overflow-hidden text-left transition-colors"
+                            title={`Block ${proposal.settings.blockSize}, offset ${proposal.settings.constantOffset}, blur ${proposal.settings.gaussianBlur}, ${proposal.settings.morphologyOperation}`}
+                        >
+                            <img src={proposal.preview} alt={`Proposal ${i + 1}`} className="w-full h-16 object-contain bg-white" />
+                            <div className="px-1 py-0.5 text-[10px] text-gray-600 bg-gray-50">
+                                {Math.round(proposal.score * 100)}% · {proposal.regionCount} glyphs
+                            </div>
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
 const PreprocessingPanel = ({
     preprocessing,
     onUpdate,
@@ -256,6 +407,100 @@ const PreprocessingPanel = ({
                     />
                 </div>
                 
+                {/* Contrast Enhancement */}
+                <div className="p-3 bg-gray-50 rounded-lg space-y-3">
+                    <span className="text-sm font-medium text-gray-700">🌗 Contrast Enhancement</span>
+                    
+                    {[
+                        { key: 'useHistogramEqualization', label: 'Histogram Equalization' },
+                        { key: 'useClahe', label: 'CLAHE (local contrast)' },
+                        { key: 'useReliefFilter', label: 'Relief Shading' }
+                    ].map(({ key, label }) => (
+                        <div key={key} className="flex items-center justify-between">
+                            <span className="text-xs text-gray-600">{label}</span>
+                            <button
+                                onClick={() => handleCheckboxChange(key, !preprocessing[key])}
+                                className={`w-12 h-6 rounded-full transition-colors ${
+                                    preprocessing[key] ? 'bg-ancient-purple' : 'bg-gray-300'
+                                }`}
+                            >
+                                <div className={`w-5 h-5 bg-white rounded-full shadow transform transition-transform ${
+                                    preprocessing[key] ? 'translate-x-6' : 'translate-x-1'
+                                }`} />
+                            </button>
+                        </div>
+                    ))}
+                    
+                    {preprocessing.useClahe && (
+                        <>
+                            <div>
+                                <label className="flex items-center justify-between text-xs text-gray-600 mb-1">
+                                    <span>Clip Limit</span>
+                                    <span>{(preprocessing.claheClipLimit ?? 2).toFixed(1)}</span>
+                                </label>
+                                <input
+                                    type="range"
+                                    min="0.5"
+                                    max="10"
+                                    step="0.5"
+                                    value={preprocessing.claheClipLimit ?? 2}
+                                    onChange={(e) => handleSliderChange('claheClipLimit', parseFloat(e.target.value))}
+                                    className="w-full"
+                                />
+                            </div>
+                            <div>
+                                <label className="flex items-center justify-between text-xs text-gray-600 mb-1">
+                                    <span>Tile Grid</span>
+                                    <span>{preprocessing.claheTileSize ?? 8}×{preprocessing.claheTileSize ?? 8}</span>
+                                </label>
+                                <input
+                                    type="range"
+                                    min="2"
+                                    max="32"
+                                    value={preprocessing.claheTileSize ?? 8}
+                                    onChange={(e) => handleSliderChange('claheTileSize', parseInt(e.target.value))}
+                                    className="w-full"
+                                />
+                            </div>
+                        </>
+                    )}
+                    
+                    {preprocessing.useReliefFilter && (
+                        <>
+                            <div>
+                                <label className="flex items-center justify-between text-xs text-gray-600 mb-1">
+                                    <span>Light Direction</span>
+                                    <span>{preprocessing.reliefAngle ?? 135}°</span>
+                                </label>
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max="345"
+                                    step="15"
+                                    value={preprocessing.reliefAngle ?? 135}
+                                    onChange={(e) => handleSliderChange('reliefAngle', parseInt(e.target.value))}
+                                    className="w-full"
+                                />
+                            </div>
+                            <div>
+                                <label className="flex items-center justify-between text-xs text-gray-600 mb-1">
+                                    <span>Strength</span>
+                                    <span>{(preprocessing.reliefStrength ?? 1).toFixed(1)}</span>
+                                </label>
+                                <input
+                                    type="range"
+                                    min="0.1"
+                                    max="5"
+                                    step="0.1"
+                                    value={preprocessing.reliefStrength ?? 1}
+                                    onChange={(e) => handleSliderChange('reliefStrength', parseFloat(e.target.value))}
+                                    className="w-full"
+                                />
+                            </div>
+                        </>
+                    )}
+                </div>
+                
                 {/* Adaptive Threshold */}
                 <div className="p-3 bg-gray-50 rounded-lg space-y-3">
                     <div className="flex items-center justify-between">
@@ -326,6 +571,42 @@ const PreprocessingPanel = ({
                     </select>
                 </div>
                 
+                {/* Perspective Correction */}
+                <div className="p-3 bg-gray-50 rounded-lg space-y-3">
+                    <div className="flex items-center justify-between">
+                        <span className="text-sm font-medium text-gray-700">📐 Perspective Correction</span>
+                        <button
+                            onClick={() => onUpdate(
+                                'perspectiveCorners',
+                                preprocessing.perspectiveCorners || !originalMat
+                                    ? null
+                                    : Preprocessing.getDefaultPerspectiveCorners(originalMat.cols, originalMat.rows)
+                            )}
+                            disabled={!originalMat}
+                            className={`w-12 h-6 rounded-full transition-colors ${
+                                preprocessing.perspectiveCorners ? 'bg-ancient-purple' : 'bg-gray-300'
+                            }`}
+                        >
+                            <div className={`w-5 h-5 bg-white rounded-full shadow transform transition-transform ${
+                                preprocessing.perspectiveCorners ? 'translate-x-6' : 'translate-x-1'
+                            }`} />
+                        </button>
+                    </div>
+                    
+                    {preprocessing.perspectiveCorners && (
+                        <>
+                            <PerspectiveQuadEditor
+                                originalMat={originalMat}
+                                corners={preprocessing.perspectiveCorners}
+                                onChange={(corners) => onUpdate('perspectiveCorners', corners)}
+                            />
+                            <p className="text-xs text-gray-500">
+                                Drag the corners onto the edges of the inscribed panel. Detections are mapped back to the original photo.
+                            </p>
+                        </>
+                    )}
+                </div>
+                
                 {/* Invert Colors */}
                 <div className="flex items-center justify-between">
                     <span className="text-sm font-medium text-gray-700">🔄 Invert Colors</span>
@@ -395,6 +676,16 @@ const PreprocessingPanel = ({
                     </div>
                 )}
                 
+                {/* Auto-tune */}
+                <AutoTunePreviews
+                    originalMat={originalMat}
+                    preprocessing={preprocessing}
+                    onApply={(settings) => {
+                        ['useAdaptiveThreshold', 'blockSize', 'constantOffset', 'gaussianBlur', 'morphologyOperation']
+                            .forEach(key => onUpdate(key, settings[key]));
+                    }}
+                />
+                
                 {/* Action Buttons */}
                 <div className="flex gap-2">
                     <button
@@ -434,3 +725,5 @@ const PreprocessingPanel = ({
 
 // Make globally available
 window.PreprocessingPanel = PreprocessingPanel;
+window.PerspectiveQuadEditor = PerspectiveQuadEditor;
+window.AutoTunePreviews = AutoTunePreviews;
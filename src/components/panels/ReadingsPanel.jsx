@@ -0,0 +1,165 @@
+// ============================================
+// READINGS PANEL
+// Competing readings of the inscription: switch between
+// them, name them, mark one preferred and compare two
+// ============================================
+
+const ReadingsPanel = ({
+    readings,
+    activeReadingId,
+    preferredReadingId,
+    onCreate,
+    onSwitch,
+    onRename,
+    onDelete,
+    onSetPreferred,
+    onCompare,
+    isCollapsed,
+    onToggleCollapse,
+    className = ''
+}) => {
+    const { useState } = React;
+    const [compareA, setCompareA] = useState('');
+    const [compareB, setCompareB] = useState('');
+
+    const handleCreate = () => {
+        const name = prompt('Name of the new reading (it starts as a copy of the reading on screen):',
+            `Reading ${Math.max(readings.length, 1) + 1}`);
+        if (name && name.trim()) onCreate(name.trim());
+    };
+
+    const handleRename = (reading) => {
+        const name = prompt('Rename reading:', reading.name);
+        if (name && name.trim()) onRename(reading.id, name.trim());
+    };
+
+    const handleDelete = (reading) => {
+        if (!confirm(`Delete the reading "${reading.name}" by ${reading.author}?`)) return;
+        onDelete(reading.id);
+    };
+
+    const idA = compareA || preferredReadingId || readings[0]?.id || '';
+    const idB = compareB || readings.find(r => r.id !== idA)?.id || '';
+
+    return (
+        <CollapsibleSection
+            title="📚 Readings"
+            isCollapsed={isCollapsed}
+            onToggle={onToggleCollapse}
+            badge={readings.length > 1 ? readings.length : null}
+            className={`bg-[#f5f3f7] border-2 border-ancient-purple ${className}`}
+            headerClassName="bg-[#ece8f0]"
+            actions={
+                <button
+                    onClick={handleCreate}
+                    className="px-2 py-1 text-xs bg-ancient-purple text-white rounded hover:opacity-90"
+                    title="Start a competing reading from the one on screen"
+                >
+                    + New reading
+                </button>
+            }
+        >
+            {readings.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                    One reading. Add another to record a different reading order, word division,
+                    glyph assignments or translation without overwriting this one.
+                </p>
+            ) : (
+                <div className="space-y-3">
+                    <div className="divide-y border rounded-lg bg-white">
+                        {readings.map(reading => {
+                            const isActive = reading.id === activeReadingId;
+                            const isPreferred = reading.id === preferredReadingId;
+                            return (
+                                <div
+                                    key={reading.id}
+                                    className={`flex items-center gap-2 px-3 py-2 text-sm ${isActive ? 'bg-purple-50' : ''}`}
+                                >
+                                    <button
+                                        onClick={() => onSetPreferred(reading.id)}
+                                        className={`text-lg leading-none ${isPreferred ? 'text-amber-500' : 'text-gray-300 hover:text-amber-400'}`}
+                                        title={isPreferred ? 'Preferred reading (used for exports and booklets)' : 'Mark as preferred for exports and booklets'}
+                                    >
+                                        ★
+                                    </button>
+                                    <div className="flex-1 min-w-0">
+                                        <div className="font-medium text-gray-900 truncate">
+                                            {reading.name}
+                                            {isActive && <span className="ml-2 px-1.5 py-0.5 text-xs bg-ancient-purple text-white rounded">on screen</span>}
+                                        </div>
+                                        <div className="text-xs text-gray-500 truncate">
+                                            by {reading.author} · {Utils.formatDate(reading.created)}
+                                            {reading.modified !== reading.created && ` · edited by ${reading.modifiedBy} ${Utils.formatDate(reading.modified)}`}
+                                        </div>
+                                    </div>
+                                    {!isActive && (
+                                        <button
+                                            onClick={() => onSwitch(reading.id)}
+                                            className="px-2 py-1 text-xs bg-purple-100 text-purple-800 rounded hover:bg-purple-200"
+                                        >
+                                            Open
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={() => handleRename(reading)}
+                                        className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                                        title="Rename"
+                                    >
+                                        ✏️
+                                    </button>
+                                    {!isActive && (
+                                        <button
+                                            onClick={() => handleDelete(reading)}
+                                            className="px-2 py-1 text-xs bg-red-100 text-red-800 rounded hover:bg-red-200"
+                                            title="Delete"
+                                        >
+                                            🗑️
+                                        </button>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+
+                    {preferredReadingId && preferredReadingId !== activeReadingId && (
+                        <p className="text-xs text-gray-600">
+                            ★ Saves, exports and booklets use the preferred reading
+                            "{readings.find(r => r.id === preferredReadingId)?.name}", not the one on screen.
+                        </p>
+                    )}
+
+                    {readings.length > 1 && (
+                        <div className="flex items-center gap-2 text-sm">
+                            <span className="text-gray-600">Compare</span>
+                            <select
+                                value={idA}
+                                onChange={(e) => setCompareA(e.target.value)}
+                                className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded"
+                            >
+                                {readings.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                            </select>
+                            <span className="text-gray-600">with</span>
+                            <select
+                                value={idB}
+                                onChange={(e) => setCompareB(e.target.value)}
+                                className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded"
+                            >
+                                {readings.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                            </select>
+                            <button
+                                onClick={() => onCompare(idA, idB)}
+                                disabled={!idA || !idB || idA === idB}
+                                className="px-3 py-1 bg-ancient-purple text-white rounded hover:opacity-90 disabled:opacity-50"
+                            >
+                                ⇄ Diff
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </CollapsibleSection>
+    );
+};
+
+// Make globally available
+window.ReadingsPanel = ReadingsPanel;
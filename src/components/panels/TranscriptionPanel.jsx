@@ -3,6 +3,195 @@
 // Display and controls for transcription/reading view
 // ============================================
 
+/**
+ * Glyphs the language model finds improbable in context
+ * (see LanguageModel.findImprobable). Clicking one selects its detection.
+ */
+const SequenceFlags = ({ flags, onSelectDetection }) => {
+    if (!flags || flags.length === 0) return null;
+
+    const percent = (p) => p < 0.001 ? '<0.1%' : `${(p * 100).toFixed(1)}%`;
+
+    return (
+        <div className="p-2 bg-amber-50 border border-amber-200 rounded-lg">
+            <div className="text-xs font-medium text-amber-800 mb-1">
+                ⚠️ {flags.length} improbable {flags.length === 1 ? 'sequence' : 'sequences'}
+            </div>
+            <div className="flex flex-wrap gap-1">
+                {flags.map(flag => (
+                    <button
+                        key={flag.index}
+                        onClick={() => onSelectDetection && onSelectDetection(flag.index)}
+                        className="px-1.5 py-0.5 bg-white border border-amber-300 rounded text-xs font-mono hover:bg-amber-100"
+                        title={`#${flag.index + 1}: "${flag.token}" after "${flag.context.join('') || 'word start'}" (${percent(flag.probability)})` +
+                            (flag.expected.length ? `\nMore likely: ${flag.expected.map(e => `${e.token} ${percent(e.probability)}`).join(', ')}` : '')}
+                    >
+                        <span className="text-gray-400">{flag.context.join('')}</span>
+                        <span className="text-rust font-bold">{flag.token}</span>
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Transcribed words found in the lexicon (see Transcription.generate
+ * lexiconMatches), with their glosses. Near matches are marked ≈.
+ * Clicking one selects its first glyph.
+ */
+const LexiconMatches = ({ matches, onSelectDetection }) => {
+    if (!matches || matches.length === 0) return null;
+
+    return (
+        <div className="p-2 bg-emerald-50 border border-emerald-200 rounded-lg">
+            <div className="text-xs font-medium text-emerald-800 mb-1">
+                📖 {matches.length} lexicon {matches.length === 1 ? 'match' : 'matches'}
+            </div>
+            <div className="space-y-1">
+                {matches.map(match => (
+                    <button
+                        key={`${match.start}-${match.entry.id}`}
+                        onClick={() => onSelectDetection && match.detectionIndices?.length && onSelectDetection(match.detectionIndices[0])}
+                        className="w-full text-left px-2 py-1 bg-white border border-emerald-200 rounded text-xs hover:bg-emerald-100"
+                        title={[match.entry.reference, match.entry.notes].filter(Boolean).join('\n') || undefined}
+                    >
+                        <span className={`font-mono font-bold ${match.exact ? 'text-emerald-700' : 'text-amber-700'}`}>
+                            {match.exact ? '' : '≈ '}{match.text}
+                        </span>
+                        {!match.exact && <span className="ml-1 text-gray-500 font-mono">({match.entry.word})</span>}
+                        {match.entry.arabic && <span className="ml-1 text-gray-500" dir="rtl">{match.entry.arabic}</span>}
+                        <span className="ml-2 text-gray-700">‘{match.entry.gloss || '—'}’</span>
+                        {match.entry.category !== 'word' && (
+                            <span className="ml-1 text-gray-400">({match.entry.category})</span>
+                        )}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Confidence of the line placement in the current reading (see
+ * ReadingOrder.reviewOrder), listing glyphs whose placement is doubtful
+ * by their position in the reading order. Clicking one selects it.
+ */
+const ReadingOrderReview = ({ arrangement, readingOrder, onSelectDetection }) => {
+    const confidence = arrangement?.confidence;
+    if (!confidence) return null;
+
+    const panels = arrangement.panels || [];
+    if (confidence.review.length === 0 && panels.length < 2) return null;
+
+    const position = (index) => {
+        const at = (readingOrder || []).indexOf(index);
+        return at === -1 ? index + 1 : at + 1;
+    };
+    const directionLabel = { rtl: '←', ltr: '→', 'ttb-rtl': '↓', 'ttb-ltr': '↓', boustrophedon: '↔' };
+
+    return (
+        <div className="p-2 bg-sky-50 border border-sky-200 rounded-lg">
+            <div className="text-xs font-medium text-sky-800 mb-1">
+                🧭 Line order {Math.round(confidence.overall * 100)}% confident
+                {panels.length > 1 && (
+                    <span className="ml-1 font-normal text-sky-700">
+                        · {panels.length} panels ({panels.map(p => `${directionLabel[p.direction] || ''}${p.members.length}`).join(', ')})
+                    </span>
+                )}
+                {confidence.review.length > 0 && (
+                    <span className="ml-1 font-normal text-sky-700">· check the position of:</span>
+                )}
+            </div>
+            {confidence.review.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                    {confidence.review.map(index => (
+                        <button
+                            key={index}
+                            onClick={() => onSelectDetection && onSelectDetection(index)}
+                            className="px-1.5 py-0.5 bg-white border border-sky-300 rounded text-xs font-mono hover:bg-sky-100"
+                            title={`Glyph #${position(index)}: ${Math.round(confidence.byDetection[index] * 100)}% sure of its line`}
+                        >
+                            #{position(index)}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Proposed word boundaries (see WordBoundaries.propose), each with the
+ * glyphs on either side. Accepting one sets the boundary; rejecting one
+ * hides it. Clicking the glyphs selects the detection.
+ */
+const WordBoundarySuggestions = ({ suggestions, recognitionResults, readingOrder, onAccept, onReject, onAcceptAll, onSelectDetection }) => {
+    if (!suggestions || suggestions.length === 0) return null;
+
+    const text = (index) => {
+        const glyph = recognitionResults[index]?.glyph;
+        return glyph ? (glyph.transliteration || glyph.name) : '?';
+    };
+
+    return (
+        <div className="p-2 bg-amber-50 border border-amber-200 rounded-lg">
+            <div className="flex items-center justify-between mb-1">
+                <span className="text-xs font-medium text-amber-800">
+                    ✂️ {suggestions.length} proposed word {suggestions.length === 1 ? 'boundary' : 'boundaries'}
+                </span>
+                {onAcceptAll && suggestions.length > 1 && (
+                    <button
+                        onClick={() => onAcceptAll(suggestions)}
+                        className="px-2 py-0.5 text-xs bg-amber-600 text-white rounded hover:bg-amber-700"
+                    >
+                        Accept all
+                    </button>
+                )}
+            </div>
+            <div className="flex flex-wrap gap-1">
+                {suggestions.map(s => {
+                    const position = readingOrder.indexOf(s.index);
+                    const before = s.reason === 'divider' ? readingOrder[position - 1] : s.index;
+                    const after = readingOrder[position + 1];
+                    return (
+                        <span
+                            key={`${s.reason}-${s.index}`}
+                            className="inline-flex items-center gap-1 pl-1.5 pr-0.5 py-0.5 bg-white border border-amber-300 rounded text-xs"
+                            title={s.reason === 'divider'
+                                ? `Word divider (${Math.round(s.confidence * 100)}%)`
+                                : `Gap of ${s.gap.toFixed(1)} glyph widths (${Math.round(s.confidence * 100)}%)`}
+                        >
+                            <button
+                                onClick={() => onSelectDetection && onSelectDetection(s.index)}
+                                className="font-mono hover:underline"
+                            >
+                                {before !== undefined ? text(before) : ''}
+                                <span className="text-amber-600 font-bold mx-0.5">{s.reason === 'divider' ? '|' : '␣'}</span>
+                                {after !== undefined ? text(after) : ''}
+                            </button>
+                            <button
+                                onClick={() => onAccept(s.index)}
+                                className="px-1 text-patina hover:bg-green-100 rounded"
+                                title="Accept: set the word boundary"
+                            >
+                                ✓
+                            </button>
+                            <button
+                                onClick={() => onReject(s.index)}
+                                className="px-1 text-rust hover:bg-red-100 rounded"
+                                title="Reject this proposal"
+                            >
+                                ✕
+                            </button>
+                        </span>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
 const TranscriptionPanel = ({
     recognitionResults,
     readingOrder,
@@ -283,4 +472,8 @@ const TranscriptionPanel = ({
 };
 
 // Make globally available
+window.SequenceFlags = SequenceFlags;
+window.LexiconMatches = LexiconMatches;
+window.ReadingOrderReview = ReadingOrderReview;
+window.WordBoundarySuggestions = WordBoundarySuggestions;
 window.TranscriptionPanel = TranscriptionPanel;
@@ -25,7 +25,21 @@ const CONFIG = {
         MIN_ASPECT_RATIO: 0.2,       // Min width/height ratio
         MAX_ASPECT_RATIO: 5.0,       // Max width/height ratio
         MIN_SOLIDITY: 0.2,           // Min contour area / bounding box area
-        PADDING: 5                   // Pixels of padding around detected regions
+        PADDING: 5,                  // Pixels of padding around detected regions
+        GROUPING: {                  // Merging multi-part glyphs (d-dot, h-dot, t-bar, g-dot)
+            ENABLED: true,
+            MIN_COMPONENT_AREA_RATIO: 0.00005,  // Smallest part (dot) kept for grouping, × image area
+            MAX_GAP_RATIO: 0.35,     // Max gap between parts, × typical glyph height
+            MIN_ALIGNMENT: 0.3,      // Horizontal overlap (of the narrower part) for stacked parts
+            MAX_PART_AREA_RATIO: 0.25,  // A part this much smaller than its neighbour is a dot/bar
+            MINOR_PART_GAP_RATIO: 0.15, // Max gap for a dot/bar that lines up with neither axis, × typical glyph height
+            MAX_GROUP_SIZE_RATIO: 1.6   // A group's box may not exceed this × typical glyph height
+        },
+        DIVIDER: {                   // Word dividers: upright strokes kept apart and whole (see WordBoundaries)
+            MAX_ASPECT: 0.35,        // Width / height of a stroke that may be a divider
+            MIN_HEIGHT_RATIO: 0.6,   // ...at least this × typical glyph height
+            MIN_SOLIDITY: 0.5        // ...and solid (a bar, not a thin letter)
+        }
     },
     
     // Recognition settings
@@ -40,6 +54,18 @@ const CONFIG = {
             EXAMPLE: 0.9,
             LEARNED: 0.85
         },
+        TOP_K: 5,                    // Scored glyph alternatives kept per detection
+        TEMPLATE_BUDGET: 8,          // Max templates matched per glyph (chart glyphs may set template_budget)
+        MATCH_ENGINE: 'template',    // 'template' | 'descriptor' | 'combined'
+        ENGINE_WEIGHTS: {            // Blend used by the 'combined' engine
+            TEMPLATE: 0.6,
+            DESCRIPTOR: 0.4
+        },
+        DESCRIPTOR_WEIGHTS: {
+            HU: 0.2,
+            SIGNATURE: 0.4,
+            ZONING: 0.4
+        },
         SHAPE_WEIGHTS: {
             ASPECT: 0.3,
             SHAPE: 0.3,
@@ -48,6 +74,25 @@ const CONFIG = {
         }
     },
     
+    // Duplicate suppression after matching
+    NMS: {
+        STRATEGY: 'standard',        // 'standard' | 'class' | 'soft' | 'merge'
+        SOFT_SIGMA: 0.5,             // Gaussian decay for soft NMS
+        MERGE_THRESHOLD: 0.7         // IoU above which boxes are averaged by 'merge'
+    },
+    
+    // Sliding-window detection for touching / overlapping glyphs
+    SLIDING_WINDOW: {
+        MODE: 'isolation',           // 'isolation' | 'hybrid' | 'full'
+        MIN_SCORE: 0.6,              // Correlation peaks below this are ignored
+        MAX_TEMPLATES_PER_GLYPH: 2,  // Best-ranked templates slid per glyph
+        MAX_PEAKS_PER_TEMPLATE: 40,  // Per scale/rotation, per area
+        MIN_TEMPLATE_SIZE: 8,        // Pixels; smaller resized templates are skipped
+        WIDE_REGION_RATIO: 1.8,      // Hybrid: regions this many × the typical size get scanned
+        DEFAULT_GLYPH_HEIGHT_RATIO: 0.08,  // × image height, when nothing was isolated
+        IOU_THRESHOLD: 0.3           // Class-specific NMS between window peaks
+    },
+    
     // Preprocessing defaults
     PREPROCESSING: {
         rotation: 0,
@@ -56,13 +101,107 @@ const CONFIG = {
         constantOffset: 2,
         gaussianBlur: 0,
         morphologyOperation: 'none',
-        invertColors: false
+        invertColors: false,
+        perspectiveCorners: null,    // [tl, tr, br, bl] in original-image pixels, or null
+        useHistogramEqualization: false,
+        useClahe: false,
+        claheClipLimit: 2.0,         // CLAHE contrast limit
+        claheTileSize: 8,            // CLAHE grid (tiles per side)
+        useReliefFilter: false,
+        reliefAngle: 135,            // Light direction in degrees
+        reliefStrength: 1.0          // Relief gradient gain
+    },
+    
+    // Preprocessing auto-tune sweep
+    AUTO_TUNE: {
+        MAX_DIMENSION: 800,          // Downscale longest side before sweeping
+        TOP_N: 3,                    // Number of proposals to preview
+        EXPECTED_GLYPHS: { MIN: 3, MAX: 80 },  // Plausible region count per photo
+        TARGET_SOLIDITY: 0.45,       // Typical solidity of a carved glyph region
+        WEIGHTS: {
+            COUNT: 0.35,
+            UNIFORMITY: 0.25,
+            SOLIDITY: 0.2,
+            OVERLAP: 0.2
+        },
+        BLOCK_SIZES: [11, 21, 31],
+        OFFSETS: [2, 5, 10],
+        BLURS: [0, 2],
+        MORPHOLOGY: ['none', 'close', 'open']
+    },
+    
+    // Learned examples (from corrections) as a fourth template class
+    LEARNING: {
+        ENABLED: true,
+        DECAY: 0.7,                  // Weight × this for every wrong match an example produced
+        MIN_WEIGHT: 0.3,             // Examples decayed below this stop matching
+        MAX_EXAMPLES_PER_GLYPH: 5
+    },
+    
+    // Per-glyph score → probability calibration from validated detections
+    CALIBRATION: {
+        ENABLED: true,
+        MIN_SAMPLES: 10,             // Validations needed before any curve is fitted
+        MIN_GLYPH_SAMPLES: 3,        // Below this a glyph uses the shared curve
+        PRIOR_STRENGTH: 2,           // How strongly glyph curves are pulled toward the shared one
+        MAX_SAMPLES: 5000            // Oldest samples are dropped beyond this
+    },
+    
+    // Re-rank candidates from past corrections (see ConfusionRanking)
+    CONFUSION: {
+        ENABLED: true,
+        BAND_WIDTH: 0.1,             // Confidence band size for confusion statistics
+        MIN_CORRECTIONS: 2,          // Corrections of a pair needed before it affects ranking
+        MIN_BAND_SAMPLES: 3,         // Below this a band falls back to the glyph's overall rates
+        PRIOR: 2,                    // Pseudo-confirmations that damp rates from few observations
+        STRENGTH: 1.0                // 0 = raw scores, 1 = full adjustment
+    },
+    
+    // Glyph n-gram model for rescoring and flagging readings (see LanguageModel)
+    LANGUAGE_MODEL: {
+        ORDER: 3,                    // Trigrams
+        DISCOUNT: 0.75,              // Absolute discount for smoothing
+        MIN_TRAINING_TOKENS: 50,     // Validated glyphs needed before the model is used
+        LM_WEIGHT: 0.5,              // Language model vs. match score in rescoring
+        BEAM_WIDTH: 8,               // Hypotheses kept per position
+        FLAG_THRESHOLD: 0.02         // Flag glyphs less likely than this in context
+    },
+    
+    // Matching transcribed words against the lexicon (see LexiconMatcher)
+    LEXICON: {
+        MAX_DISTANCE: 1,             // Edit distance still counted as a near match
+        MIN_LENGTH_FOR_NEAR: 3,      // Shorter words must match exactly
+        DIACRITIC_COST: 0.5          // Cost of substituting letters that differ only in diacritics
+    },
+    
+    // Line / column analysis for reading order
+    LAYOUT: {
+        LINE_TOLERANCE: 0.6,         // Max offset from a line's course, × typical glyph height
+        MAX_GAP: 3,                  // Max gap between neighbours on a line, × typical glyph height
+        MAX_CURVE_DEGREE: 2,         // Quadratic baselines follow curved lines
+        MIN_POINTS_FOR_CURVE: 5,     // Fewer glyphs than this get a straight baseline
+        PANEL_GAP: 4,                // Min space between separate text panels, × typical glyph height
+        MIN_PANEL_GLYPHS: 3,         // Smaller clusters join the nearest panel
+        REVIEW_CONFIDENCE: 0.7       // Glyphs placed with less confidence are flagged for review
+    },
+    
+    // Word-boundary proposals from dividers and spacing (see WordBoundaries)
+    WORD_BOUNDARIES: {
+        DIVIDER_GLYPH_ID: 90,        // Chart ID of the built-in word-divider glyph
+        DIVIDER_ASPECT: 0.2,         // Expected width / height of a divider stroke
+        GAP_RATIO: 1.8,              // A word gap is at least this × the typical gap between letters
+        MIN_GAP: 0.35,               // ...and at least this × the typical glyph size
+        MIN_CONFIDENCE: 0.3          // Weaker spacing proposals are not shown
     },
     
     // Storage keys
     STORAGE: {
         INSCRIPTION_KEY: 'hakli_inscriptions',
         CORRECTIONS_KEY: 'hakli_corrections',
+        TEMPLATE_OUTCOMES_KEY: 'hakli_template_outcomes',
+        CALIBRATION_KEY: 'hakli_calibration_samples',
+        LANGUAGE_MODEL_KEY: 'hakli_language_model_corpus',
+        LEXICON_KEY: 'hakli_lexicon',
         RECENT_EXPORTS_KEY: 'hakli_recent_exports',
         SETTINGS_KEY: 'hakli_settings',
         DISMISSED_TIPS_KEY: 'hakli_dismissed_tips',
@@ -103,6 +242,7 @@ const CONFIG = {
         ENABLED: true,
         LOG_LEVEL: 'info',
         SHOW_REGION_BOUNDARIES: false,
+        SHOW_COMPONENT_GROUPS: false,   // Initial state of the grouped-parts overlay
         SHOW_MATCHING_SCORES: false
     }
 };
@@ -112,7 +252,17 @@ Object.freeze(CONFIG);
 Object.freeze(CONFIG.REPO);
 Object.freeze(CONFIG.ISOLATION);
 Object.freeze(CONFIG.RECOGNITION);
+Object.freeze(CONFIG.NMS);
+Object.freeze(CONFIG.SLIDING_WINDOW);
 Object.freeze(CONFIG.PREPROCESSING);
+Object.freeze(CONFIG.AUTO_TUNE);
+Object.freeze(CONFIG.LEARNING);
+Object.freeze(CONFIG.CALIBRATION);
+Object.freeze(CONFIG.CONFUSION);
+Object.freeze(CONFIG.LANGUAGE_MODEL);
+Object.freeze(CONFIG.LEXICON);
+Object.freeze(CONFIG.LAYOUT);
+Object.freeze(CONFIG.WORD_BOUNDARIES);
 Object.freeze(CONFIG.STORAGE);
 Object.freeze(CONFIG.ID_FORMAT);
 Object.freeze(CONFIG.UI);
@@ -24,6 +24,14 @@ const AppState = {
             gaussianBlur: 0,
             morphologyOperation: 'none',
             invertColors: false,
+            perspectiveCorners: null, // [tl, tr, br, bl] quad in original-image pixels
+            useHistogramEqualization: false,
+            useClahe: false,
+            claheClipLimit: 2.0,
+            claheTileSize: 8,
+            useReliefFilter: false,
+            reliefAngle: 135,
+            reliefStrength: 1.0,
             showPreview: true,
             isCollapsed: false
         },
@@ -637,8 +645,14 @@ const AppState = {
                             confidence: d.confidence,
                             position: d.position,
                             corners: d.corners,
+                            originalPosition: d.originalPosition,
+                            originalCorners: d.originalCorners,
                             thumbnail: d.thumbnail,
                             matchType: d.matchType,
+                            candidates: d.candidates || null,
+                            learnedExample: d.learnedExample || null,
+                            confusion: d.confusion || null,
+                            editorial: d.editorial || null,
                             isManual: d.isManual,
                             isMerged: d.isMerged,
                             isAdjusted: d.isAdjusted,
@@ -0,0 +1,508 @@
+// ============================================
+// LANGUAGE MODEL
+// Glyph n-gram model trained from validated transcriptions,
+// used to rescore candidates along the reading order
+// and to flag improbable sequences
+// ============================================
+
+const LanguageModel = {
+    // Word and line edges in a sequence
+    BOUNDARY: '#',
+
+    // Joins context tokens into a count key
+    _SEPARATOR: '\u0001',
+
+    // Fitted counts, rebuilt lazily after the corpus changes or for another excluded inscription
+    _model: null,
+    _modelExcluded: null,
+
+    /**
+     * Token for a glyph. Transliterations are stable across chart versions.
+     * @param {Object} glyph - Glyph
+     * @returns {string|null}
+     */
+    tokenOf: (glyph) => {
+        if (!glyph) return null;
+        return String(glyph.transliteration || glyph.name || glyph.id);
+    },
+
+    /**
+     * Validated glyph sequences of one .hki file, in reading order.
+     * Handles both the `detections` (with `validated`) and the
+     * `recognitionResults` + `validations` layouts. Confirmed, corrected and
+     * manually placed glyphs count as validated; any other glyph ends a segment.
+     * @param {Object} data - Parsed .hki data
+     * @returns {Array} Segments (token arrays), with BOUNDARY at word and line edges
+     */
+    extractSequences: (data) => {
+        if (!data) return [];
+
+        let detections = null;
+        let reading = null;
+        let isTrusted = null;
+
+        if (Array.isArray(data.detections)) {
+            detections = data.detections;
+            reading = data.readingData || {};
+            isTrusted = (d) => d.validated?.isCorrect || d.corrected || d.isManual;
+        } else if (Array.isArray(data.recognitionResults)) {
+            detections = data.recognitionResults;
+            reading = data;
+            const validations = data.validations || {};
+            isTrusted = (d, i) => validations[i]?.isCorrect || d.corrected || d.isManual;
+        } else {
+            return [];
+        }
+
+        const order = reading.readingOrder?.length ? reading.readingOrder : detections.map((_, i) => i);
+        const wordEnds = new Set(reading.wordBoundaries || []);
+        const lineEnds = new Set([...(reading.lineBreaks || []), ...(reading.columnBreaks || [])]);
+
+        return LanguageModel._segments(LanguageModel._withoutDividers(order
+            .filter(i => detections[i])
+            .map(i => ({
+                token: isTrusted(detections[i], i) ? LanguageModel.tokenOf(detections[i].glyph) : null,
+                divider: LanguageModel._isDivider(detections[i]),
+                wordEnd: wordEnds.has(i),
+                lineEnd: lineEnds.has(i)
+            }))));
+    },
+
+    // Word dividers are not tokens (see WordBoundaries)
+    _isDivider: (detection) => typeof WordBoundaries !== 'undefined' && WordBoundaries.isDivider(detection.glyph),
+
+    /**
+     * Drop word dividers from a sequence: each ends the word before it
+     * @param {Array} items - [{ divider, wordEnd, lineEnd, ... }]
+     * @returns {Array} Items without dividers
+     */
+    _withoutDividers: (items) => {
+        const kept = [];
+        items.forEach(item => {
+            if (!item.divider) {
+                kept.push(item);
+                return;
+            }
+            const previous = kept[kept.length - 1];
+            if (previous) {
+                previous.wordEnd = true;
+                previous.lineEnd = previous.lineEnd || item.lineEnd;
+            }
+        });
+        return kept;
+    },
+
+    /**
+     * Split a reading into segments of known tokens
+     * @param {Array} items - [{ token (null = unknown), wordEnd, lineEnd }]
+     * @returns {Array} Token arrays
+     */
+    _segments: (items) => {
+        const B = LanguageModel.BOUNDARY;
+        const segments = [];
+        let current = [B];
+
+        const close = () => {
+            if (current.some(t => t !== B) && current.length >= 2) segments.push(current);
+        };
+
+        items.forEach(({ token, wordEnd, lineEnd }) => {
+            if (token === null) {
+                // An unknown glyph: what follows can't be tied to what came before
+                close();
+                current = [];
+                return;
+            }
+            current.push(token);
+            if (wordEnd || lineEnd) current.push(B);
+            if (lineEnd) {
+                close();
+                current = [B];
+            }
+        });
+
+        if (current.length > 0 && current[current.length - 1] !== B && current.some(t => t !== B)) {
+            current.push(B);
+        }
+        close();
+        return segments;
+    },
+
+    /**
+     * Get the training corpus
+     * @returns {Object} key → { segments, tokens, source, modifiedTime, timestamp }
+     */
+    getCorpus: () => {
+        try {
+            const stored = localStorage.getItem(CONFIG.STORAGE.LANGUAGE_MODEL_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Failed to load language model corpus:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Save the corpus
+     * @param {Object} corpus - Corpus to save
+     */
+    _saveCorpus: (corpus) => {
+        try {
+            localStorage.setItem(CONFIG.STORAGE.LANGUAGE_MODEL_KEY, JSON.stringify(corpus));
+        } catch (error) {
+            console.error('Failed to save language model corpus:', error);
+        }
+        LanguageModel._model = null;
+    },
+
+    /**
+     * Put one inscription's sequences into a corpus (replacing earlier ones)
+     * @returns {number} Tokens added
+     */
+    _addToCorpus: (corpus, data, meta = {}) => {
+        const key = data?.inscriptionId || data?.currentInscriptionId || meta.fileId;
+        if (!key) return 0;
+
+        const segments = LanguageModel.extractSequences(data);
+        const tokens = segments.reduce((sum, s) => sum + s.filter(t => t !== LanguageModel.BOUNDARY).length, 0);
+
+        if (tokens === 0) {
+            delete corpus[key];
+            return 0;
+        }
+
+        corpus[key] = {
+            segments,
+            tokens,
+            source: meta.source || 'file',
+            fileId: meta.fileId || corpus[key]?.fileId || null,
+            modifiedTime: meta.modifiedTime || null,
+            timestamp: new Date().toISOString()
+        };
+        return tokens;
+    },
+
+    /**
+     * Harvest validated transcriptions from a loaded .hki file
+     * @param {Object} data - Parsed .hki data
+     * @returns {number} Validated glyphs taken from the file
+     */
+    addFromHki: (data) => {
+        const corpus = LanguageModel.getCorpus();
+        const tokens = LanguageModel._addToCorpus(corpus, data);
+        LanguageModel._saveCorpus(corpus);
+        if (tokens > 0) {
+            console.log(`🔤 Language model: ${tokens} validated glyphs from ${data.inscriptionId || data.currentInscriptionId}`);
+        }
+        return tokens;
+    },
+
+    /**
+     * Train from every inscription in the local library
+     * @returns {number} Inscriptions that contributed
+     */
+    trainFromLibrary: () => {
+        let library = {};
+        try {
+            library = JSON.parse(localStorage.getItem(CONFIG.STORAGE.INSCRIPTION_KEY) || '{}');
+        } catch (error) {
+            console.error('Failed to read inscription library:', error);
+            return 0;
+        }
+
+        const corpus = LanguageModel.getCorpus();
+        let used = 0;
+        Object.values(library).forEach(data => {
+            if (LanguageModel._addToCorpus(corpus, data, { source: 'library' }) > 0) used++;
+        });
+        LanguageModel._saveCorpus(corpus);
+        return used;
+    },
+
+    /**
+     * Train from the Drive warehouse: published inscriptions, plus the user's
+     * drafts and shared items when signed in. Files unchanged since they were
+     * last read are skipped.
+     * @param {string} userEmail - Signed-in user (or null)
+     * @param {Function} onProgress - (current, total) => void
+     * @returns {Promise<Object>} { files, inscriptions }
+     */
+    trainFromWarehouse: async (userEmail, onProgress) => {
+        if (typeof DriveSync === 'undefined') return { files: 0, inscriptions: 0 };
+
+        const lists = await Promise.all([
+            DriveSync.listPublished(),
+            userEmail ? DriveSync.listDrafts(userEmail) : [],
+            userEmail ? DriveSync.listSharedWithMe(userEmail) : []
+        ]);
+        const files = [...new Map(lists.flat().map(f => [f.id, f])).values()];
+
+        const corpus = LanguageModel.getCorpus();
+        const seen = new Map(Object.values(corpus).filter(e => e.fileId).map(e => [e.fileId, e.modifiedTime]));
+        let inscriptions = 0;
+
+        for (let i = 0; i < files.length; i++) {
+            const file = files[i];
+            if (onProgress) onProgress(i + 1, files.length);
+            if (file.modifiedTime && seen.get(file.id) === file.modifiedTime) continue;
+
+            try {
+                const data = await DriveSync.loadHki(file.id);
+                const meta = { source: 'warehouse', fileId: file.id, modifiedTime: file.modifiedTime };
+                if (LanguageModel._addToCorpus(corpus, data, meta) > 0) inscriptions++;
+            } catch (error) {
+                console.warn('Language model: could not read', file.name, error);
+            }
+        }
+
+        LanguageModel._saveCorpus(corpus);
+        console.log(`🔤 Language model: read ${files.length} warehouse files, ${inscriptions} with validated glyphs`);
+        return { files: files.length, inscriptions };
+    },
+
+    /**
+     * Build n-gram counts from the corpus
+     * @param {string|null} excludeId - Inscription to leave out, e.g. the one being scored,
+     *   so its own (possibly wrong) reading doesn't vouch for itself
+     * @returns {Object|null} { order, counts, vocab, tokens, inscriptions }, or null without enough data
+     */
+    getModel: (excludeId = null) => {
+        excludeId = excludeId || null;
+        if (LanguageModel._model !== null && LanguageModel._modelExcluded === excludeId) {
+            return LanguageModel._model || null;
+        }
+        LanguageModel._modelExcluded = excludeId;
+
+        const order = CONFIG.LANGUAGE_MODEL.ORDER;
+        const corpus = Object.entries(LanguageModel.getCorpus())
+            .filter(([key]) => key !== excludeId)
+            .map(([, entry]) => entry);
+        const counts = {};
+        const vocab = new Set();
+        let tokens = 0;
+
+        corpus.forEach(entry => entry.segments.forEach(segment => {
+            segment.forEach((token, i) => {
+                // The leading boundary is given, not predicted
+                if (i === 0 && token === LanguageModel.BOUNDARY) return;
+                vocab.add(token);
+                if (token !== LanguageModel.BOUNDARY) tokens++;
+
+                for (let k = 0; k <= Math.min(order - 1, i); k++) {
+                    const key = segment.slice(i - k, i).join(LanguageModel._SEPARATOR);
+                    if (!counts[key]) counts[key] = { total: 0, types: 0, next: {} };
+                    const entry = counts[key];
+                    if (!entry.next[token]) entry.types++;
+                    entry.next[token] = (entry.next[token] || 0) + 1;
+                    entry.total++;
+                }
+            });
+        }));
+
+        if (tokens < CONFIG.LANGUAGE_MODEL.MIN_TRAINING_TOKENS) {
+            LanguageModel._model = false;
+            return null;
+        }
+
+        LanguageModel._model = { order, counts, vocab: [...vocab], tokens, inscriptions: corpus.length };
+        console.log(`🔤 Language model: ${order}-grams from ${tokens} glyphs in ${corpus.length} inscriptions`);
+        return LanguageModel._model;
+    },
+
+    /**
+     * P(token | context), interpolated absolute discounting down to a uniform floor
+     * @param {string} token - Next token
+     * @param {Array} context - Preceding tokens
+     * @param {Object} model - Result of getModel()
+     * @returns {number}
+     */
+    probability: (token, context, model = LanguageModel.getModel()) => {
+        if (!model) return null;
+
+        const D = CONFIG.LANGUAGE_MODEL.DISCOUNT;
+        let p = 1 / (model.vocab.length + 1);
+
+        for (let k = 0; k <= Math.min(model.order - 1, context.length); k++) {
+            const entry = model.counts[context.slice(context.length - k).join(LanguageModel._SEPARATOR)];
+            if (!entry) break;
+            const c = entry.next[token] || 0;
+            p = Math.max(c - D, 0) / entry.total + (D * entry.types / entry.total) * p;
+        }
+
+        return p;
+    },
+
+    /**
+     * Detections in reading order with their word/line edges
+     * @returns {Array} [{ index, detection, wordEnd, lineEnd }]
+     */
+    _sequence: (detections, readingOrder, { wordBoundaries, lineBreaks, columnBreaks, excluded } = {}) => {
+        const order = readingOrder?.length ? readingOrder : detections.map((_, i) => i);
+        const has = (set, i) => !!set && set.has(i);
+
+        return LanguageModel._withoutDividers(order
+            .filter(i => detections[i] && !has(excluded, i))
+            .map(i => ({
+                index: i,
+                detection: detections[i],
+                divider: LanguageModel._isDivider(detections[i]),
+                wordEnd: has(wordBoundaries, i),
+                lineEnd: has(lineBreaks, i) || has(columnBreaks, i)
+            })));
+    },
+
+    /**
+     * Beam search over each detection's candidates along the reading order,
+     * combining match scores with the language model. Validated, corrected
+     * and manual glyphs are kept as they are.
+     * @param {Array} detections - Recognition results
+     * @param {Array} readingOrder - Detection indices in reading sequence
+     * @param {Object} context - { wordBoundaries, lineBreaks, columnBreaks, excluded, validations,
+     *   inscriptionId (left out of the model) }
+     * @returns {Object|null} { changes: [{ index, from, to }], logProb }, or null without a model
+     */
+    rescore: (detections, readingOrder, context = {}) => {
+        const model = LanguageModel.getModel(context.inscriptionId);
+        if (!model) return null;
+
+        const params = CONFIG.LANGUAGE_MODEL;
+        const B = LanguageModel.BOUNDARY;
+        const validations = context.validations || {};
+        const lm = (token, ctx) => params.LM_WEIGHT * Math.log(LanguageModel.probability(token, ctx, model));
+        const trim = (ctx) => ctx.slice(-(model.order - 1));
+
+        const positions = LanguageModel._sequence(detections, readingOrder, context).map(item => {
+            const d = item.detection;
+            const fixed = validations[item.index]?.isCorrect || d.corrected || d.isManual;
+            let options = fixed || !d.candidates?.length
+                ? [{ glyph: d.glyph, score: 1, candidate: null }]
+                : d.candidates.map(c => ({ glyph: c.glyph, score: c.adjustedConfidence ?? c.confidence, candidate: c }));
+            if (!options.some(o => String(o.glyph.id) === String(d.glyph.id))) {
+                options.push({ glyph: d.glyph, score: d.confidence, candidate: null });
+            }
+
+            const total = options.reduce((sum, o) => sum + Math.max(o.score, 1e-6), 0);
+            options = options.map(o => ({ ...o, logp: Math.log(Math.max(o.score, 1e-6) / total) }));
+            return { ...item, options };
+        });
+
+        let beam = [{ ctx: [B], logp: 0, picks: [] }];
+
+        positions.forEach(({ options, wordEnd, lineEnd }) => {
+            const expanded = new Map();
+
+            beam.forEach(state => {
+                options.forEach((option, optionIndex) => {
+                    const token = LanguageModel.tokenOf(option.glyph);
+                    let logp = state.logp + option.logp + lm(token, state.ctx);
+                    let ctx = trim([...state.ctx, token]);
+
+                    if (wordEnd || lineEnd) {
+                        logp += lm(B, ctx);
+                        ctx = trim([...ctx, B]);
+                    }
+                    if (lineEnd) ctx = [B];
+
+                    // Hypotheses with the same context can only differ in the past: keep the best
+                    const key = ctx.join(LanguageModel._SEPARATOR);
+                    const existing = expanded.get(key);
+                    if (!existing || existing.logp < logp) {
+                        expanded.set(key, { ctx, logp, picks: [...state.picks, optionIndex] });
+                    }
+                });
+            });
+
+            beam = [...expanded.values()]
+                .sort((a, b) => b.logp - a.logp)
+                .slice(0, params.BEAM_WIDTH);
+        });
+
+        beam.forEach(state => {
+            if (state.ctx[state.ctx.length - 1] !== B) state.logp += lm(B, state.ctx);
+        });
+        beam.sort((a, b) => b.logp - a.logp);
+        const best = beam[0];
+
+        const changes = [];
+        positions.forEach((position, p) => {
+            const option = position.options[best.picks[p]];
+            if (String(option.glyph.id) !== String(position.detection.glyph.id)) {
+                changes.push({ index: position.index, from: position.detection.glyph, to: option.candidate });
+            }
+        });
+
+        return { changes, logProb: best.logp };
+    },
+
+    /**
+     * Glyphs the model finds unlikely where they stand in the reading
+     * @param {Array} detections - Recognition results
+     * @param {Array} readingOrder - Detection indices in reading sequence
+     * @param {Object} context - { wordBoundaries, lineBreaks, columnBreaks, excluded,
+     *   inscriptionId (left out of the model) }
+     * @returns {Array} [{ index, token, context, probability, expected: [{ token, probability }] }]
+     */
+    findImprobable: (detections, readingOrder, context = {}) => {
+        const model = LanguageModel.getModel(context.inscriptionId);
+        if (!model || !detections?.length) return [];
+
+        const B = LanguageModel.BOUNDARY;
+        const known = new Set(model.vocab);
+        const flags = [];
+        let ctx = [B];
+
+        LanguageModel._sequence(detections, readingOrder, context).forEach(({ index, detection, wordEnd, lineEnd }) => {
+            const token = LanguageModel.tokenOf(detection.glyph);
+            const history = ctx.slice(-(model.order - 1));
+
+            // Glyphs never seen in a validated reading say more about the corpus than the inscription
+            if (known.has(token)) {
+                const probability = LanguageModel.probability(token, history, model);
+                if (probability < CONFIG.LANGUAGE_MODEL.FLAG_THRESHOLD) {
+                    const expected = model.vocab
+                        .filter(t => t !== B && t !== token)
+                        .map(t => ({ token: t, probability: LanguageModel.probability(t, history, model) }))
+                        .sort((a, b) => b.probability - a.probability)
+                        .slice(0, 3);
+                    flags.push({ index, token, context: history.filter(t => t !== B), probability, expected });
+                }
+            }
+
+            ctx.push(token);
+            if (wordEnd || lineEnd) ctx.push(B);
+            if (lineEnd) ctx = [B];
+        });
+
+        return flags;
+    },
+
+    /**
+     * Corpus summary
+     * @returns {Object} { inscriptions, tokens, bySource }
+     */
+    getStatistics: () => {
+        const entries = Object.values(LanguageModel.getCorpus());
+        const bySource = {};
+        entries.forEach(e => { bySource[e.source] = (bySource[e.source] || 0) + 1; });
+        return {
+            inscriptions: entries.length,
+            tokens: entries.reduce((sum, e) => sum + e.tokens, 0),
+            bySource
+        };
+    },
+
+    /**
+     * Drop the corpus
+     */
+    clearAll: () => {
+        try {
+            localStorage.removeItem(CONFIG.STORAGE.LANGUAGE_MODEL_KEY);
+        } catch (error) {
+            console.error('Failed to clear language model corpus:', error);
+        }
+        LanguageModel._model = null;
+    }
+};
+
+// Make globally available
+window.LanguageModel = LanguageModel;
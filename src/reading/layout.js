@@ -0,0 +1,447 @@
+// ============================================
+// LAYOUT ANALYSIS
+// Find text lines (or columns) and their baselines
+// so reading order can follow the carving
+// ============================================
+
+const Layout = {
+    ORIENTATIONS: {
+        HORIZONTAL: 'horizontal',   // Lines run across (rtl, ltr, boustrophedon)
+        VERTICAL: 'vertical'        // Columns run down (ttb-rtl, ttb-ltr)
+    },
+
+    /**
+     * Orientation implied by a reading direction
+     * @param {string} direction - ReadingOrder.DIRECTIONS value
+     * @returns {string} Layout.ORIENTATIONS value
+     */
+    orientationForDirection: (direction) => {
+        return direction && direction.startsWith('ttb')
+            ? Layout.ORIENTATIONS.VERTICAL
+            : Layout.ORIENTATIONS.HORIZONTAL;
+    },
+
+    /**
+     * Find lines and assign every detection (or isolated region) to one
+     * @param {Array} items - Detections ({ position }) or regions ({ bounds })
+     * @param {string} orientation - 'horizontal' | 'vertical' | 'auto'
+     * @returns {Object} { orientation, lines, lineOf, glyphSize, confidence }
+     *   lines: [{ members, center, baseline, extent, confidence }] in reading-independent order
+     *          (top → bottom for lines, left → right for columns)
+     *   members: item indices sorted along the line (left → right / top → bottom)
+     *   center, baseline: polynomial coefficients [c0, c1, c2] giving the cross
+     *          coordinate (y for lines, x for columns) along the line
+     *   lineOf: item index → line index
+     *   confidence: item index → 0..1, how clearly the item belongs to its line
+     *          (see _confidence); a line's confidence is that of its least clear member
+     */
+    analyze: (items, orientation = 'auto') => {
+        if (orientation === 'auto') {
+            const horizontal = Layout.analyze(items, Layout.ORIENTATIONS.HORIZONTAL);
+            const vertical = Layout.analyze(items, Layout.ORIENTATIONS.VERTICAL);
+            // Fewer, longer lines is the better reading
+            return vertical.lines.length < horizontal.lines.length ? vertical : horizontal;
+        }
+
+        const points = Layout._points(items, orientation);
+
+        const empty = { orientation, lines: [], lineOf: [], glyphSize: 0, confidence: [] };
+        if (points.length === 0) return empty;
+
+        const glyphSize = Layout._glyphSize(points);
+
+        let lines = Layout._chainLines(points, glyphSize);
+        lines = Layout._mergeFragments(lines, glyphSize);
+        // Each fragment absorbed extends its line's curve, which may then reach the next one out
+        for (let pass = 0; pass < 3; pass++) {
+            const count = lines.length;
+            lines = Layout._reassign(points, lines, glyphSize);
+            if (lines.length === count) break;
+        }
+
+        const result = lines
+            .map(members => Layout._describeLine(members))
+            .sort((a, b) => Layout.evaluate(a.center, a.mid) - Layout.evaluate(b.center, b.mid));
+
+        const lineOf = new Array(points.length).fill(-1);
+        result.forEach((line, lineIndex) => line.members.forEach(i => { lineOf[i] = lineIndex; }));
+
+        const confidence = Layout._confidence(points, result, lineOf, glyphSize);
+        result.forEach(line => {
+            line.confidence = Math.min(...line.members.map(i => confidence[i]));
+        });
+
+        return { orientation, lines: result, lineOf, glyphSize, confidence };
+    },
+
+    /**
+     * How clearly each item belongs to a given line, for lines someone else
+     * drew (e.g. the user's reading order split at its line breaks)
+     * @param {Array} items - Detections ({ position }) or regions ({ bounds })
+     * @param {Array} groups - Lines as arrays of item indices
+     * @param {string} orientation - 'horizontal' | 'vertical'
+     * @returns {Array} item index → 0..1 (see _confidence); 0 for items in no group
+     */
+    scoreLines: (items, groups, orientation) => {
+        const points = Layout._points(items, orientation);
+        const lines = groups
+            .filter(members => members.length > 0)
+            .map(members => Layout._describeLine(members.map(i => points[i]).sort((a, b) => a.along - b.along)));
+        if (lines.length === 0) return points.map(() => 0);
+
+        const lineOf = new Array(points.length).fill(-1);
+        lines.forEach((line, lineIndex) => line.members.forEach(i => { lineOf[i] = lineIndex; }));
+        return Layout._confidence(points, lines, lineOf, Layout._glyphSize(points));
+    },
+
+    /**
+     * Items in (along, across) coordinates, so columns reuse the line logic
+     */
+    _points: (items, orientation) => {
+        const vertical = orientation === Layout.ORIENTATIONS.VERTICAL;
+        return (items || []).map((item, index) => {
+            const box = item.position || item.bounds;
+            return vertical
+                ? { index, along: box.y + box.height / 2, across: box.x + box.width / 2, edge: box.x + box.width, size: box.width, length: box.height }
+                : { index, along: box.x + box.width / 2, across: box.y + box.height / 2, edge: box.y + box.height, size: box.height, length: box.width };
+        });
+    },
+
+    /**
+     * Typical glyph size across the lines (median)
+     */
+    _glyphSize: (points) => {
+        const sizes = points.map(p => p.size).sort((a, b) => a - b);
+        return sizes[Math.floor(sizes.length / 2)] || 1;
+    },
+
+    /**
+     * Split items into panels: groups of glyphs separated from each other by
+     * clear space, which may run in different orientations. Glyphs are linked
+     * when the space between their boxes is under PANEL_GAP glyph heights;
+     * each connected group is a panel.
+     * @param {Array} items - Detections ({ position }) or regions ({ bounds })
+     * @returns {Array} Panels as arrays of item indices, largest first
+     */
+    findPanels: (items) => {
+        const boxes = (items || []).map(item => item.position || item.bounds);
+        if (boxes.length === 0) return [];
+
+        const heights = boxes.map(b => Math.min(b.width, b.height)).sort((a, b) => a - b);
+        const maxGap = (heights[Math.floor(heights.length / 2)] || 1) * CONFIG.LAYOUT.PANEL_GAP;
+
+        const gap = (a, b) => Math.max(
+            a.x - (b.x + b.width), b.x - (a.x + a.width),
+            a.y - (b.y + b.height), b.y - (a.y + a.height),
+            0);
+
+        // Union-find over the neighbour graph
+        const parent = boxes.map((_, i) => i);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+        for (let i = 0; i < boxes.length; i++) {
+            for (let j = i + 1; j < boxes.length; j++) {
+                if (gap(boxes[i], boxes[j]) <= maxGap) parent[find(i)] = find(j);
+            }
+        }
+
+        const groups = new Map();
+        boxes.forEach((_, i) => {
+            const root = find(i);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(i);
+        });
+
+        // Stray glyphs join the panel with the nearest glyph
+        const panels = Array.from(groups.values()).sort((a, b) => b.length - a.length);
+        const main = panels.filter(p => p.length >= CONFIG.LAYOUT.MIN_PANEL_GLYPHS);
+        if (main.length === 0) return [panels.flat()];
+
+        panels.filter(p => p.length < CONFIG.LAYOUT.MIN_PANEL_GLYPHS).forEach(stray => {
+            let best = main[0];
+            let bestGap = Infinity;
+            main.forEach(panel => {
+                stray.forEach(i => panel.forEach(j => {
+                    const g = gap(boxes[i], boxes[j]);
+                    if (g < bestGap) {
+                        best = panel;
+                        bestGap = g;
+                    }
+                }));
+            });
+            best.push(...stray);
+        });
+
+        return main;
+    },
+
+    /**
+     * How clearly each item belongs to its line: high when it sits on its
+     * line's curve and well away from any other line's, low when it is off
+     * course, about as close to a neighbouring line, or on a stray short line
+     * @returns {Array} item index → 0..1
+     */
+    _confidence: (points, lines, lineOf, glyphSize) => {
+        const tolerance = glyphSize * CONFIG.LAYOUT.LINE_TOLERANCE;
+        const reach = glyphSize * CONFIG.LAYOUT.MAX_GAP;
+        const longest = Math.max(...lines.map(line => line.members.length));
+
+        return points.map(point => {
+            const own = lines[lineOf[point.index]];
+            if (!own) return 0;
+
+            const distance = Math.abs(Layout.evaluate(own.center, point.along) - point.across);
+            let nearestOther = Infinity;
+            lines.forEach(line => {
+                if (line === own || point.along < line.extent.start - reach || point.along > line.extent.end + reach) return;
+                nearestOther = Math.min(nearestOther, Math.abs(Layout.evaluate(line.center, point.along) - point.across));
+            });
+
+            const fit = Math.max(0, 1 - distance / (2 * tolerance));
+            const separation = nearestOther === Infinity ? 1 : Math.max(0, Math.min(1, (nearestOther - distance) / tolerance));
+            // One or two glyphs hardly define a line of their own beside longer ones
+            const support = own.members.length < longest ? Math.min(1, own.members.length / 3) : 1;
+            return fit * separation * support;
+        });
+    },
+
+    /**
+     * Evaluate a polynomial at t
+     * @param {Array} coeffs - [c0, c1, c2]
+     * @param {number} t
+     * @returns {number}
+     */
+    evaluate: (coeffs, t) => coeffs.reduce((sum, c, power) => sum + c * t ** power, 0),
+
+    /**
+     * Least-squares polynomial fit, dropping to a lower degree when there are
+     * too few points to constrain a curve
+     * @param {Array} samples - [{ t, v }]
+     * @returns {Array} Coefficients [c0, c1, c2]
+     */
+    fitCurve: (samples) => {
+        const n = samples.length;
+        const maxDegree = n >= CONFIG.LAYOUT.MIN_POINTS_FOR_CURVE ? CONFIG.LAYOUT.MAX_CURVE_DEGREE : Math.min(1, n - 1);
+
+        for (let degree = maxDegree; degree >= 0; degree--) {
+            const size = degree + 1;
+            // Normal equations, centered on the mean t for conditioning
+            const t0 = samples.reduce((sum, s) => sum + s.t, 0) / n;
+            const A = Array.from({ length: size }, () => new Array(size).fill(0));
+            const b = new Array(size).fill(0);
+            samples.forEach(({ t, v }) => {
+                const powers = Array.from({ length: size }, (_, k) => (t - t0) ** k);
+                for (let r = 0; r < size; r++) {
+                    b[r] += powers[r] * v;
+                    for (let c = 0; c < size; c++) A[r][c] += powers[r] * powers[c];
+                }
+            });
+
+            const solution = Layout._solve(A, b);
+            if (!solution) continue;
+
+            // Expand Σ a_k (t - t0)^k into plain powers of t
+            const coeffs = [0, 0, 0];
+            solution.forEach((a, k) => {
+                for (let j = 0; j <= k; j++) {
+                    const binomial = k === 2 && j === 1 ? 2 : 1;
+                    coeffs[j] += a * binomial * (-t0) ** (k - j);
+                }
+            });
+            return coeffs;
+        }
+
+        return [samples.reduce((sum, s) => sum + s.v, 0) / n, 0, 0];
+    },
+
+    /**
+     * Line breaks implied by the layout for a reading order: the last glyph
+     * of every line except the final one
+     * @param {Object} layout - Result of analyze()
+     * @param {Array} readingOrder - Detection indices in reading sequence
+     * @returns {Set} Detection indices followed by a line break
+     */
+    getLineBreaks: (layout, readingOrder) => {
+        const breaks = new Set();
+        for (let i = 0; i < readingOrder.length - 1; i++) {
+            const current = layout.lineOf[readingOrder[i]];
+            const next = layout.lineOf[readingOrder[i + 1]];
+            if (current !== undefined && next !== undefined && current !== next) {
+                breaks.add(readingOrder[i]);
+            }
+        }
+        return breaks;
+    },
+
+    /**
+     * Greedy chaining along the line direction: each glyph joins the line whose
+     * extrapolated course passes closest to it, which follows gently curved lines
+     */
+    _chainLines: (points, glyphSize) => {
+        const maxGap = glyphSize * CONFIG.LAYOUT.MAX_GAP;
+        const lines = [];
+
+        [...points].sort((a, b) => a.along - b.along).forEach(point => {
+            let best = null;
+            let bestDistance = Infinity;
+
+            lines.forEach(line => {
+                const last = line[line.length - 1];
+                if (point.along - last.along > maxGap + (point.length + last.length) / 2) return;
+
+                // Tall and short glyphs together (mixed sizes) allow a wider offset
+                const tolerance = Math.max(glyphSize, (point.size + last.size) / 2) * CONFIG.LAYOUT.LINE_TOLERANCE;
+                const distance = Math.abs(Layout._predict(line, point.along) - point.across);
+                if (distance <= tolerance && distance <= bestDistance) {
+                    best = line;
+                    bestDistance = distance;
+                }
+            });
+
+            if (best) best.push(point);
+            else lines.push([point]);
+        });
+
+        return lines;
+    },
+
+    /**
+     * Where a partial line is heading at `along`, from its last few glyphs
+     */
+    _predict: (line, along) => {
+        const recent = line.slice(-3);
+        if (recent.length < 2) return recent[0].across;
+
+        const first = recent[0];
+        const last = recent[recent.length - 1];
+        const span = last.along - first.along;
+        if (span <= 0) return last.across;
+
+        // Limit the slope so one misplaced glyph can't send the line off course
+        const slope = Math.max(-0.5, Math.min(0.5, (last.across - first.across) / span));
+        return last.across + slope * (along - last.along);
+    },
+
+    /**
+     * Join pieces of the same line that a wide gap split apart
+     */
+    _mergeFragments: (lines, glyphSize) => {
+        const tolerance = glyphSize * CONFIG.LAYOUT.LINE_TOLERANCE;
+        const pieces = lines.map(line => [...line]);
+        let merged = true;
+
+        while (merged) {
+            merged = false;
+            pieces.sort((a, b) => a[0].along - b[0].along);
+
+            for (let i = 0; i < pieces.length && !merged; i++) {
+                for (let j = i + 1; j < pieces.length && !merged; j++) {
+                    const left = pieces[i];
+                    const right = pieces[j];
+                    if (right[0].along <= left[left.length - 1].along) continue;
+
+                    const forward = Math.abs(Layout._predict(left, right[0].along) - right[0].across);
+                    const backward = Math.abs(Layout._predict([...right].reverse(), left[left.length - 1].along) - left[left.length - 1].across);
+                    if (forward <= tolerance && backward <= tolerance) {
+                        pieces[i] = [...left, ...right];
+                        pieces.splice(j, 1);
+                        merged = true;
+                    }
+                }
+            }
+        }
+
+        return pieces;
+    },
+
+    /**
+     * Move each glyph to the line whose fitted curve passes closest to it.
+     * Chaining breaks the steep ends of strongly curved lines into fragments
+     * too short for a curve; those join a full line whose curve passes within
+     * LINE_TOLERANCE of them.
+     */
+    _reassign: (points, lines, glyphSize) => {
+        const reach = glyphSize * CONFIG.LAYOUT.MAX_GAP;
+        const tolerance = glyphSize * CONFIG.LAYOUT.LINE_TOLERANCE;
+        const isFragment = (line) => line.length < CONFIG.LAYOUT.MIN_POINTS_FOR_CURVE;
+        const curves = lines.map(line => ({
+            center: Layout.fitCurve(line.map(p => ({ t: p.along, v: p.across }))),
+            from: line[0].along - reach,
+            to: line[line.length - 1].along + reach
+        }));
+
+        const regrouped = lines.map(() => []);
+        lines.forEach((line, lineIndex) => {
+            // A fragment's own fit passes through it trivially, so it doesn't count
+            const fragment = isFragment(line);
+
+            line.forEach(point => {
+                let best = lineIndex;
+                let bestDistance = fragment
+                    ? tolerance
+                    : Math.abs(Layout.evaluate(curves[lineIndex].center, point.along) - point.across);
+
+                curves.forEach((curve, other) => {
+                    if (other === lineIndex || point.along < curve.from || point.along > curve.to) return;
+                    if (fragment && isFragment(lines[other])) return;
+                    const distance = Math.abs(Layout.evaluate(curve.center, point.along) - point.across);
+                    if (distance < bestDistance) {
+                        best = other;
+                        bestDistance = distance;
+                    }
+                });
+
+                regrouped[best].push(point);
+            });
+        });
+
+        return regrouped
+            .filter(line => line.length > 0)
+            .map(line => line.sort((a, b) => a.along - b.along));
+    },
+
+    /**
+     * Geometry of one line
+     */
+    _describeLine: (points) => {
+        const start = points[0].along - points[0].length / 2;
+        const end = points[points.length - 1].along + points[points.length - 1].length / 2;
+
+        return {
+            members: points.map(p => p.index),
+            center: Layout.fitCurve(points.map(p => ({ t: p.along, v: p.across }))),
+            // Bottom edge for lines, right edge for columns
+            baseline: Layout.fitCurve(points.map(p => ({ t: p.along, v: p.edge }))),
+            extent: { start, end },
+            mid: (start + end) / 2
+        };
+    },
+
+    /**
+     * Solve a small linear system by Gaussian elimination
+     * @returns {Array|null} Solution, or null if singular
+     */
+    _solve: (A, b) => {
+        const n = b.length;
+        const M = A.map((row, i) => [...row, b[i]]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+            }
+            if (Math.abs(M[pivot][col]) < 1e-9) return null;
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+
+            for (let row = 0; row < n; row++) {
+                if (row === col) continue;
+                const factor = M[row][col] / M[col][col];
+                for (let k = col; k <= n; k++) M[row][k] -= factor * M[col][k];
+            }
+        }
+
+        return M.map((row, i) => row[n] / row[i]);
+    }
+};
+
+// Make globally available
+window.Layout = Layout;
@@ -0,0 +1,214 @@
+// ============================================
+// LEIDEN
+// Epigraphic markup of transcriptions from each detection's
+// editorial status (Leiden conventions)
+// ============================================
+
+/*
+ * Transliterations already use underdots as letters (ḥ, ṣ, ṭ, ẓ, ḍ), so
+ * damaged letters are marked with half brackets rather than the Leiden
+ * underdot, and doubtful readings with a following (?).
+ *
+ *   certain      x
+ *   damaged      ⸢x⸣
+ *   uncertain    x(?)
+ *   restored     [x]
+ *   lost         [...] one dot per estimated letter, [- - -] if unknown
+ *   erased       ⟦x⟧
+ *
+ * Consecutive restored/lost, damaged or erased glyphs share one pair of
+ * brackets, across word dividers but not across lines.
+ */
+
+const Leiden = {
+    STATUS: {
+        CERTAIN: 'certain',
+        DAMAGED: 'damaged',
+        UNCERTAIN: 'uncertain',
+        RESTORED: 'restored',
+        LOST: 'lost',
+        ERASED: 'erased'
+    },
+
+    // Labels for the status picker, in menu order
+    STATUS_INFO: [
+        { value: 'certain', label: 'Certain', example: 'x' },
+        { value: 'damaged', label: 'Damaged', example: '⸢x⸣' },
+        { value: 'uncertain', label: 'Uncertain reading', example: 'x(?)' },
+        { value: 'restored', label: 'Restored', example: '[x]' },
+        { value: 'lost', label: 'Lost', example: '[...]' },
+        { value: 'erased', label: 'Erased', example: '⟦x⟧' }
+    ],
+
+    // Bracket pair shared by consecutive glyphs of a status
+    GROUPS: {
+        damaged: ['⸢', '⸣'],
+        restored: ['[', ']'],
+        lost: ['[', ']'],
+        erased: ['⟦', '⟧']
+    },
+
+    /**
+     * Editorial status of a detection. Without one set by the editor, low
+     * machine confidence counts as an uncertain reading.
+     * @param {Object} detection - Detection ({ editorial: { status, lostLength } })
+     * @param {Object} options - { confidence, uncertainThreshold }
+     * @returns {string} Leiden.STATUS value
+     */
+    getStatus: (detection, { confidence, uncertainThreshold } = {}) => {
+        const status = detection?.editorial?.status;
+        if (status && Object.values(Leiden.STATUS).includes(status)) return status;
+        if (typeof uncertainThreshold === 'number' && (confidence ?? detection?.confidence) < uncertainThreshold) {
+            return Leiden.STATUS.UNCERTAIN;
+        }
+        return Leiden.STATUS.CERTAIN;
+    },
+
+    /**
+     * Editorial record to store on a detection
+     * @param {string} status - Leiden.STATUS value
+     * @param {number|null} lostLength - Estimated letters lost (lost only)
+     * @returns {Object|null} { status, lostLength } or null for certain
+     */
+    makeEditorial: (status, lostLength = null) => {
+        if (!status || status === Leiden.STATUS.CERTAIN) return null;
+        return {
+            status,
+            lostLength: status === Leiden.STATUS.LOST && lostLength > 0 ? Math.round(lostLength) : null
+        };
+    },
+
+    /**
+     * Text of one glyph inside its brackets
+     * @param {string} text - Glyph text
+     * @param {Object} glyph - Transcription word glyph ({ status, lostLength })
+     * @returns {string}
+     */
+    _glyphText: (text, glyph) => {
+        switch (glyph.status) {
+            case Leiden.STATUS.LOST:
+                return glyph.lostLength ? '.'.repeat(glyph.lostLength) : '- - -';
+            case Leiden.STATUS.UNCERTAIN:
+                return `${text}(?)`;
+            default:
+                return text;
+        }
+    },
+
+    /**
+     * Mark a single glyph on its own (e.g. a detection card)
+     * @param {string} text - Glyph text
+     * @param {string} status - Leiden.STATUS value
+     * @param {number|null} lostLength - Estimated letters lost
+     * @returns {string}
+     */
+    markGlyph: (text, status, lostLength = null) => {
+        const inner = Leiden._glyphText(text, { status, lostLength });
+        const group = Leiden.GROUPS[status];
+        return group ? `${group[0]}${inner}${group[1]}` : inner;
+    },
+
+    /**
+     * One-line key to the conventions, for exports
+     * @returns {string}
+     */
+    legend: () => Leiden.STATUS_INFO
+        .filter(s => s.value !== Leiden.STATUS.CERTAIN)
+        .map(s => `${s.example} ${s.label.toLowerCase()}`)
+        .join(' · '),
+
+    _escape: (text) => String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;'),
+
+    /**
+     * Render words (one line) with Leiden brackets
+     * @param {Array} words - Transcription.generate() words; word[field][k] is the text of word.glyphs[k]
+     * @param {string} field - 'transliteration' or 'arabic'
+     * @param {Object} options - { html: wrap each glyph in a span with its status and detection index }
+     * @returns {string}
+     */
+    renderWords: (words, field = 'transliteration', { html = false } = {}) => {
+        let output = '';
+        let open = null;        // Status whose brackets are open
+        let pendingSpace = false;
+
+        const close = () => {
+            if (open) output += Leiden.GROUPS[open][1];
+            open = null;
+        };
+
+        words.forEach((word, wordIndex) => {
+            if (wordIndex > 0) pendingSpace = true;
+
+            word.glyphs.forEach((glyph, k) => {
+                const status = glyph.status || Leiden.STATUS.CERTAIN;
+                // Restored and lost text share square brackets
+                const group = Leiden.GROUPS[status] ? (status === Leiden.STATUS.LOST ? Leiden.STATUS.RESTORED : status) : null;
+
+                if (group !== open) {
+                    close();
+                    if (pendingSpace) output += ' ';
+                    if (group) output += Leiden.GROUPS[group][0];
+                    open = group;
+                } else if (pendingSpace) {
+                    output += ' ';
+                }
+                pendingSpace = false;
+
+                const text = Leiden._glyphText(word[field]?.[k] ?? '', glyph);
+                output += html
+                    ? `<span class="leiden-${status}" data-index="${glyph.index}">${Leiden._escape(text)}</span>`
+                    : text;
+            });
+        });
+
+        close();
+        return output;
+    },
+
+    /**
+     * Plain-text edition: one line per line, a blank line between columns
+     * @param {Object} transcription - Result of Transcription.generate()
+     * @param {string} field - 'transliteration' or 'arabic'
+     * @returns {string}
+     */
+    toText: (transcription, field = 'transliteration') => {
+        return (transcription.columns || [])
+            .map(column => column.map(line => Leiden.renderWords(line, field)).join('\n'))
+            .join('\n\n');
+    },
+
+    /**
+     * HTML edition with numbered lines; style it with Leiden.CSS
+     * @param {Object} transcription - Result of Transcription.generate()
+     * @param {string} field - 'transliteration' or 'arabic'
+     * @returns {string}
+     */
+    toHTML: (transcription, field = 'transliteration') => {
+        let lineNumber = 0;
+        const columns = (transcription.columns || []).map(column => {
+            const lines = column.map(line => {
+                lineNumber++;
+                return `<div class="leiden-line"><span class="leiden-lineno">${lineNumber}</span>${Leiden.renderWords(line, field, { html: true })}</div>`;
+            });
+            return `<div class="leiden-column">${lines.join('')}</div>`;
+        });
+        return `<div class="leiden${field === 'arabic' ? ' leiden-arabic' : ''}">${columns.join('')}</div>`;
+    },
+
+    // Styles for toHTML() output in exported pages
+    CSS: `
+        .leiden-column + .leiden-column { margin-top: 1em; }
+        .leiden-lineno { display: inline-block; min-width: 2em; color: #999; font-size: 0.7em; }
+        .leiden-arabic { direction: rtl; }
+        .leiden-damaged, .leiden-uncertain { color: #8a6d3b; }
+        .leiden-restored, .leiden-lost { color: #777; font-style: italic; }
+        .leiden-erased { color: #999; text-decoration: line-through; }
+    `
+};
+
+// Make globally available
+window.Leiden = Leiden;
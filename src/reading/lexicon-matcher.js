@@ -0,0 +1,130 @@
+// ============================================
+// LEXICON MATCHER
+// Find transcribed words that match or nearly match
+// lexicon entries (see Lexicon)
+// ============================================
+
+const LexiconMatcher = {
+    /**
+     * Comparable form of a transliteration: NFC, lower case, without
+     * uncertainty brackets, illegible marks or word dividers
+     * @param {string} text - Transliteration
+     * @returns {string}
+     */
+    normalize: (text) => {
+        return String(text || '')
+            .normalize('NFC')
+            .toLowerCase()
+            .replace(/[\[\]()?·|]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Letter without diacritics (ḥ → h, š → s)
+     * @param {string} char - One code point
+     * @returns {string}
+     */
+    _base: (char) => char.normalize('NFD').replace(/[\u0300-\u036f]/g, ''),
+
+    /**
+     * Edit distance between two normalized strings, by code point.
+     * Substituting letters that differ only in diacritics costs less.
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    distance: (a, b) => {
+        const s = Array.from(a);
+        const t = Array.from(b);
+        const diacriticCost = CONFIG.LEXICON.DIACRITIC_COST;
+
+        let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= s.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= t.length; j++) {
+                let substitution = 0;
+                if (s[i - 1] !== t[j - 1]) {
+                    substitution = LexiconMatcher._base(s[i - 1]) === LexiconMatcher._base(t[j - 1]) ? diacriticCost : 1;
+                }
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + substitution
+                );
+            }
+            previous = current;
+        }
+        return previous[t.length];
+    },
+
+    /**
+     * Largest distance accepted for a lexicon form of this length
+     * @param {string} form - Normalized lexicon form
+     * @returns {number}
+     */
+    allowedDistance: (form) => {
+        return Array.from(form.replace(/ /g, '')).length < CONFIG.LEXICON.MIN_LENGTH_FOR_NEAR
+            ? 0
+            : CONFIG.LEXICON.MAX_DISTANCE;
+    },
+
+    /**
+     * Match transcribed words against the lexicon. Multi-word entries
+     * (formulae) match runs of consecutive words. Overlapping matches are
+     * resolved in favour of exact, then longer, then closer matches.
+     * @param {Array} words - Transcription.generate() words ({ transliteration: [glyph text] })
+     * @param {Array} entries - Lexicon entries (defaults to Lexicon.getEntries())
+     * @returns {Array} [{ start, end, text, entry, distance, exact }] sorted by start; end is exclusive
+     */
+    matchWords: (words, entries = null) => {
+        const lexicon = entries || (typeof Lexicon !== 'undefined' ? Lexicon.getEntries() : []);
+        if (!words || words.length === 0 || lexicon.length === 0) return [];
+
+        const forms = lexicon
+            .map(entry => {
+                const form = LexiconMatcher.normalize(entry.word);
+                return { entry, form, length: form.split(' ').length };
+            })
+            .filter(f => f.form);
+
+        const texts = words.map(w => LexiconMatcher.normalize((w.transliteration || []).join('')));
+        const candidates = [];
+
+        for (let start = 0; start < texts.length; start++) {
+            forms.forEach(({ entry, form, length }) => {
+                const end = start + length;
+                if (end > texts.length) return;
+
+                const text = texts.slice(start, end).join(' ');
+                if (!text) return;
+
+                const distance = text === form ? 0 : LexiconMatcher.distance(text, form);
+                if (distance <= LexiconMatcher.allowedDistance(form)) {
+                    candidates.push({ start, end, text, entry, distance, exact: distance === 0 });
+                }
+            });
+        }
+
+        candidates.sort((a, b) =>
+            (b.exact - a.exact) ||
+            ((b.end - b.start) - (a.end - a.start)) ||
+            (a.distance - b.distance) ||
+            (a.start - b.start));
+
+        const taken = new Set();
+        const matches = [];
+        candidates.forEach(candidate => {
+            for (let i = candidate.start; i < candidate.end; i++) {
+                if (taken.has(i)) return;
+            }
+            for (let i = candidate.start; i < candidate.end; i++) taken.add(i);
+            matches.push(candidate);
+        });
+
+        return matches.sort((a, b) => a.start - b.start);
+    }
+};
+
+// Make globally available
+window.LexiconMatcher = LexiconMatcher;
@@ -47,10 +47,19 @@ const ReadingOrder = {
     /**
      * Generate automatic reading order based on direction
      * Returns array of detection indices in reading sequence
+     * @param {Array} detections - Detections
+     * @param {string} direction - ReadingOrder.DIRECTIONS value
+     * @param {Object} layout - Layout.analyze() result (computed if omitted)
      */
-    generateOrder: (detections, direction = 'rtl') => {
+    generateOrder: (detections, direction = 'rtl', layout = null) => {
         if (!detections || detections.length === 0) return [];
 
+        // Follow detected lines/columns when layout analysis is available
+        if (layout || typeof Layout !== 'undefined') {
+            const lines = layout || Layout.analyze(detections, Layout.orientationForDirection(direction));
+            return ReadingOrder._orderByLayout(lines, direction);
+        }
+
         // Create indexed copy with centroids
         const indexed = detections.map((d, i) => ({
             index: i,
@@ -79,6 +88,219 @@ const ReadingOrder = {
         }
     },
 
+    /**
+     * Order glyphs line by line from a layout. Lines come top → bottom and
+     * columns left → right, each with members left → right / top → bottom.
+     */
+    _orderByLayout: (layout, direction) => {
+        const lines = layout.lines.map(line => line.members);
+
+        switch (direction) {
+            case ReadingOrder.DIRECTIONS.LTR:
+            case ReadingOrder.DIRECTIONS.TTB_LTR:
+                return lines.flat();
+            case ReadingOrder.DIRECTIONS.TTB_RTL:
+                return [...lines].reverse().flat();
+            case ReadingOrder.DIRECTIONS.BOUSTROPHEDON:
+                // RTL for even lines, LTR for odd lines
+                return lines.flatMap((members, i) => (i % 2 === 0 ? [...members].reverse() : members));
+            case ReadingOrder.DIRECTIONS.RTL:
+            default:
+                return lines.flatMap(members => [...members].reverse());
+        }
+    },
+
+    /**
+     * Direction for a panel of the given orientation that keeps the side the
+     * chosen direction starts from (rtl ↔ ttb-rtl, ltr ↔ ttb-ltr)
+     * @param {string} direction - ReadingOrder.DIRECTIONS value
+     * @param {string} orientation - Layout.ORIENTATIONS value
+     * @returns {string} ReadingOrder.DIRECTIONS value
+     */
+    directionForOrientation: (direction, orientation) => {
+        const D = ReadingOrder.DIRECTIONS;
+        if (orientation === Layout.ORIENTATIONS.VERTICAL) {
+            if (direction === D.TTB_RTL || direction === D.TTB_LTR) return direction;
+            return direction === D.LTR ? D.TTB_LTR : D.TTB_RTL;
+        }
+        if (direction === D.TTB_RTL) return D.RTL;
+        if (direction === D.TTB_LTR) return D.LTR;
+        return direction;
+    },
+
+    /**
+     * Reading order plus the line breaks between detected lines.
+     * Panels separated by clear space are arranged on their own; a panel may
+     * run in the other orientation (e.g. a vertical panel beside horizontal
+     * lines) when that reads as fewer lines. Each detection gets a confidence
+     * for its placement so doubtful orderings can be reviewed.
+     * @param {Array} detections - Detections
+     * @param {string} direction - ReadingOrder.DIRECTIONS value
+     * @returns {Object} { order, lineBreaks, layout, panels, confidence }
+     *   layout: Layout.analyze() result when there is a single panel
+     *   panels: [{ members, direction, lines }] in reading order
+     *   confidence: { overall, byDetection, review } (see _summarizeConfidence);
+     *   lineBreaks, layout, panels and confidence are null without Layout
+     */
+    autoArrange: (detections, direction = 'rtl') => {
+        if (typeof Layout === 'undefined' || !detections || detections.length === 0) {
+            return { order: ReadingOrder.generateOrder(detections, direction), lineBreaks: null, layout: null, panels: null, confidence: null };
+        }
+
+        const preferred = Layout.orientationForDirection(direction);
+        const groups = Layout.findPanels(detections);
+
+        const panels = groups.map(members => {
+            const items = members.map(i => detections[i]);
+            let layout = Layout.analyze(items, preferred);
+            if (groups.length > 1) {
+                const other = Layout.analyze(items, preferred === Layout.ORIENTATIONS.VERTICAL
+                    ? Layout.ORIENTATIONS.HORIZONTAL
+                    : Layout.ORIENTATIONS.VERTICAL);
+                if (other.lines.length < layout.lines.length) layout = other;
+            }
+
+            const panelDirection = ReadingOrder.directionForOrientation(direction, layout.orientation);
+            const local = ReadingOrder._orderByLayout(layout, panelDirection);
+            return {
+                members,
+                layout,
+                direction: panelDirection,
+                order: local.map(i => members[i]),
+                lineBreaks: Array.from(Layout.getLineBreaks(layout, local)).map(i => members[i]),
+                bounds: ReadingOrder._bounds(items)
+            };
+        });
+
+        const ordered = ReadingOrder._orderPanels(panels, direction);
+        const order = ordered.flatMap(p => p.order);
+
+        // Each panel ends its last line
+        const lineBreaks = new Set(ordered.flatMap(p => p.lineBreaks));
+        ordered.slice(0, -1).forEach(p => lineBreaks.add(p.order[p.order.length - 1]));
+
+        const byDetection = new Array(detections.length).fill(1);
+        panels.forEach(p => p.members.forEach((index, local) => {
+            byDetection[index] = p.layout.confidence[local];
+        }));
+
+        return {
+            order,
+            lineBreaks,
+            layout: panels.length === 1 ? panels[0].layout : null,
+            panels: ordered.map(p => ({ members: p.members, direction: p.direction, lines: p.layout.lines.length })),
+            confidence: ReadingOrder._summarizeConfidence(byDetection, order)
+        };
+    },
+
+    /**
+     * The automatic arrangement, with its confidence taken from the reading
+     * the user actually has: each glyph is scored against the line it is read
+     * in (the reading order split at its line and column breaks), so manual
+     * fixes to the order count and the review points at glyphs as they are read
+     * @param {Array} detections - Recognition results
+     * @param {Array} readingOrder - Detection indices in reading sequence (excluded ones left out)
+     * @param {Object} options - { lineBreaks, columnBreaks (Sets), direction }
+     * @returns {Object} autoArrange() result; confidence scores readingOrder when there is one
+     */
+    reviewOrder: (detections, readingOrder, { lineBreaks, columnBreaks, direction = 'rtl' } = {}) => {
+        const arrangement = ReadingOrder.autoArrange(detections, direction);
+        if (!arrangement.confidence || !readingOrder || readingOrder.length === 0) return arrangement;
+
+        // The user's lines
+        const lines = [[]];
+        readingOrder.forEach(index => {
+            if (!detections[index]) return;
+            lines[lines.length - 1].push(index);
+            if (lineBreaks?.has(index) || columnBreaks?.has(index)) lines.push([]);
+        });
+
+        // Each line is scored in the orientation of the panel most of it lies in
+        const orientationOf = new Map();
+        arrangement.panels.forEach(panel => panel.members.forEach(index => {
+            orientationOf.set(index, Layout.orientationForDirection(panel.direction));
+        }));
+        const byOrientation = new Map();
+        lines.filter(line => line.length > 0).forEach(line => {
+            const vertical = line.filter(i => orientationOf.get(i) === Layout.ORIENTATIONS.VERTICAL).length;
+            const orientation = vertical * 2 > line.length ? Layout.ORIENTATIONS.VERTICAL : Layout.ORIENTATIONS.HORIZONTAL;
+            if (!byOrientation.has(orientation)) byOrientation.set(orientation, []);
+            byOrientation.get(orientation).push(line);
+        });
+
+        const byDetection = new Array(detections.length).fill(1);
+        byOrientation.forEach((groups, orientation) => {
+            const scores = Layout.scoreLines(detections, groups, orientation);
+            groups.forEach(line => line.forEach(index => { byDetection[index] = scores[index]; }));
+        });
+
+        const order = readingOrder.filter(index => detections[index]);
+        return { ...arrangement, confidence: ReadingOrder._summarizeConfidence(byDetection, order) };
+    },
+
+    /**
+     * Overall confidence and the placements to review
+     * @param {Array} byDetection - Detection index → 0..1
+     * @param {Array} order - Reading order
+     * @returns {Object} { overall (mean over the order), byDetection, review: detection indices below
+     *   CONFIG.LAYOUT.REVIEW_CONFIDENCE, in reading order }
+     */
+    _summarizeConfidence: (byDetection, order) => {
+        const overall = order.length > 0
+            ? order.reduce((sum, i) => sum + byDetection[i], 0) / order.length
+            : 1;
+        return {
+            overall,
+            byDetection,
+            review: order.filter(i => byDetection[i] < CONFIG.LAYOUT.REVIEW_CONFIDENCE)
+        };
+    },
+
+    /**
+     * Bounding box of detections
+     */
+    _bounds: (detections) => {
+        const boxes = detections.map(d => d.position || d.bounds);
+        return {
+            left: Math.min(...boxes.map(b => b.x)),
+            top: Math.min(...boxes.map(b => b.y)),
+            right: Math.max(...boxes.map(b => b.x + b.width)),
+            bottom: Math.max(...boxes.map(b => b.y + b.height))
+        };
+    },
+
+    /**
+     * Order panels like glyphs: in bands top → bottom, each read from the
+     * starting side (for vertical directions, bands of columns read
+     * right → left or left → right, each top → bottom)
+     */
+    _orderPanels: (panels, direction) => {
+        if (panels.length < 2) return panels;
+
+        const vertical = Layout.orientationForDirection(direction) === Layout.ORIENTATIONS.VERTICAL;
+        const rtl = direction !== ReadingOrder.DIRECTIONS.LTR && direction !== ReadingOrder.DIRECTIONS.TTB_LTR;
+        const start = (p) => (vertical ? p.bounds.left : p.bounds.top);
+        const end = (p) => (vertical ? p.bounds.right : p.bounds.bottom);
+
+        // Bands of panels that overlap across the reading direction
+        const bands = [];
+        [...panels].sort((a, b) => start(a) - start(b)).forEach(panel => {
+            const band = bands[bands.length - 1];
+            if (band && start(panel) < band.end) {
+                band.panels.push(panel);
+                band.end = Math.max(band.end, end(panel));
+            } else {
+                bands.push({ panels: [panel], end: end(panel) });
+            }
+        });
+        if (vertical && rtl) bands.reverse();
+
+        return bands.flatMap(band => band.panels.sort((a, b) => {
+            if (vertical) return a.bounds.top - b.bounds.top;
+            return rtl ? b.bounds.right - a.bounds.right : a.bounds.left - b.bounds.left;
+        }));
+    },
+
     /**
      * Calculate threshold for grouping glyphs into lines
      */
@@ -96,39 +318,31 @@ const ReadingOrder = {
      * Order glyphs right-to-left, top-to-bottom
      */
     _orderRTL: (indexed, lineThreshold) => {
-        // Sort by Y first (top to bottom), then X descending (right to left)
-        const sorted = [...indexed].sort((a, b) => {
-            const yDiff = a.y - b.y;
-            if (Math.abs(yDiff) > lineThreshold) return yDiff;
-            return b.x - a.x; // Right to left within same line
-        });
-        return sorted.map(g => g.index);
+        return ReadingOrder._groupIntoLines(indexed, lineThreshold)
+            .flatMap(line => line.sort((a, b) => b.x - a.x)) // Right to left within each line
+            .map(g => g.index);
     },
 
     /**
      * Order glyphs left-to-right, top-to-bottom
      */
     _orderLTR: (indexed, lineThreshold) => {
-        const sorted = [...indexed].sort((a, b) => {
-            const yDiff = a.y - b.y;
-            if (Math.abs(yDiff) > lineThreshold) return yDiff;
-            return a.x - b.x; // Left to right within same line
-        });
-        return sorted.map(g => g.index);
+        return ReadingOrder._groupIntoLines(indexed, lineThreshold)
+            .flatMap(line => line.sort((a, b) => a.x - b.x)) // Left to right within each line
+            .map(g => g.index);
     },
 
     /**
      * Order glyphs top-to-bottom in columns
      */
     _orderTTB: (indexed, lineThreshold, rtlColumns) => {
-        // Group into columns first
-        const columnThreshold = lineThreshold * 1.2;
-        const sorted = [...indexed].sort((a, b) => {
-            const xDiff = rtlColumns ? (b.x - a.x) : (a.x - b.x);
-            if (Math.abs(a.x - b.x) > columnThreshold) return xDiff;
-            return a.y - b.y; // Top to bottom within column
-        });
-        return sorted.map(g => g.index);
+        // Columns are lines with the axes swapped
+        const transposed = indexed.map(g => ({ ...g, x: g.y, y: g.x, width: g.height, height: g.width }));
+        const columns = ReadingOrder._groupIntoLines(transposed, ReadingOrder._calculateLineThreshold(transposed));
+        if (rtlColumns) columns.reverse();
+        return columns
+            .flatMap(column => column.sort((a, b) => a.x - b.x)) // Top to bottom within each column
+            .map(g => g.index);
     },
 
     /**
@@ -151,20 +365,28 @@ const ReadingOrder = {
     },
 
     /**
-     * Group glyphs into lines based on Y position
+     * Group glyphs into lines based on Y position. A glyph joins the line
+     * when it is close to the line's mean Y, allowing for its own height so
+     * tall and short glyphs on one line stay together.
      */
     _groupIntoLines: (indexed, threshold) => {
+        if (indexed.length === 0) return [];
+
         const sorted = [...indexed].sort((a, b) => a.y - b.y);
         const lines = [];
         let currentLine = [sorted[0]];
+        let sumY = sorted[0].y;
         
         for (let i = 1; i < sorted.length; i++) {
-            const prevY = currentLine[currentLine.length - 1].y;
-            if (Math.abs(sorted[i].y - prevY) > threshold) {
+            const glyph = sorted[i];
+            const meanY = sumY / currentLine.length;
+            if (Math.abs(glyph.y - meanY) > Math.max(threshold, glyph.height * 0.6)) {
                 lines.push(currentLine);
-                currentLine = [sorted[i]];
+                currentLine = [glyph];
+                sumY = glyph.y;
             } else {
-                currentLine.push(sorted[i]);
+                currentLine.push(glyph);
+                sumY += glyph.y;
             }
         }
         lines.push(currentLine);
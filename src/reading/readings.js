@@ -0,0 +1,246 @@
+// ============================================
+// READINGS
+// Named, attributed competing readings of one inscription:
+// each with its own order, breaks, glyph assignments, editorial
+// status and translations, one of them preferred for exports
+// ============================================
+
+/*
+ * Detections (boxes, thumbnails, validations) are shared by all readings;
+ * a reading records which glyph it assigns to each detection and whether
+ * it reads that glyph as certain, restored, lost or uncertain (Leiden).
+ *
+ * In a .hki the readings are stored as `readings` with `preferredReadingId`.
+ * The top-level reading fields (recognitionResults glyphs, readingOrder,
+ * breaks, translations) always hold the preferred reading, so booklets,
+ * exports and older versions see that one.
+ */
+
+const Readings = {
+    // Fields a reading stores; the rest of the record is attribution
+    CONTENT_FIELDS: [
+        'readingDirection', 'readingOrder', 'wordBoundaries', 'lineBreaks', 'columnBreaks',
+        'glyphs', 'editorial', 'translationEnglish', 'translationArabic'
+    ],
+
+    _glyph: (glyph) => glyph ? {
+        id: glyph.id,
+        name: glyph.name,
+        transliteration: glyph.transliteration,
+        arabic: glyph.arabic,
+        glyphClass: glyph.glyphClass
+    } : null,
+
+    /**
+     * Snapshot of the reading being edited
+     * @param {Object} state - { recognitionResults, readingOrder, readingDirection,
+     *   wordBoundaries, lineBreaks, columnBreaks, translationEnglish, translationArabic }
+     * @returns {Object} Reading content (see CONTENT_FIELDS)
+     */
+    capture: (state) => ({
+        readingDirection: state.readingDirection,
+        readingOrder: Array.from(state.readingOrder || []),
+        wordBoundaries: Array.from(state.wordBoundaries || []).sort((a, b) => a - b),
+        lineBreaks: Array.from(state.lineBreaks || []).sort((a, b) => a - b),
+        columnBreaks: Array.from(state.columnBreaks || []).sort((a, b) => a - b),
+        glyphs: (state.recognitionResults || []).map(r => Readings._glyph(r.glyph)),
+        editorial: (state.recognitionResults || []).map(r => r.editorial || null),
+        translationEnglish: state.translationEnglish || '',
+        translationArabic: state.translationArabic || ''
+    }),
+
+    /**
+     * New reading
+     * @param {string} name - Display name
+     * @param {string|null} author - Email of the scholar proposing it
+     * @param {Object} content - Result of capture()
+     * @returns {Object} Reading
+     */
+    create: (name, author, content) => {
+        const now = new Date().toISOString();
+        return {
+            id: Utils.generateId('reading'),
+            name: name || 'Reading',
+            author: author || 'anonymous',
+            created: now,
+            modifiedBy: author || 'anonymous',
+            modified: now,
+            ...content
+        };
+    },
+
+    // Readings saved before editorial status was kept per reading have none; all-certain is the same
+    _normalized: (reading, field) => {
+        const value = reading[field] ?? null;
+        return field === 'editorial' && Array.isArray(value) && value.every(e => !e) ? null : value;
+    },
+
+    _sameContent: (a, b) => Readings.CONTENT_FIELDS.every(field =>
+        JSON.stringify(Readings._normalized(a, field)) === JSON.stringify(Readings._normalized(b, field))),
+
+    /**
+     * Store new content for one reading; attribution changes only if the content did
+     * @param {Array} readings - Readings
+     * @param {string} id - Reading to update
+     * @param {Object} content - Result of capture()
+     * @param {string|null} user - Email of the editor
+     * @returns {Array} Updated readings (the same array if nothing changed)
+     */
+    update: (readings, id, content, user) => {
+        const index = readings.findIndex(r => r.id === id);
+        if (index < 0 || Readings._sameContent(readings[index], content)) return readings;
+
+        const updated = [...readings];
+        updated[index] = {
+            ...readings[index],
+            ...content,
+            modifiedBy: user || 'anonymous',
+            modified: new Date().toISOString()
+        };
+        return updated;
+    },
+
+    /**
+     * Renumber readings after a detection is deleted
+     * @param {Array} readings - Readings
+     * @param {number} index - Deleted detection
+     * @returns {Array}
+     */
+    removeDetection: (readings, index) => {
+        const shift = (list) => list.filter(i => i !== index).map(i => i > index ? i - 1 : i);
+        return readings.map(r => ({
+            ...r,
+            readingOrder: shift(r.readingOrder || []),
+            wordBoundaries: shift(r.wordBoundaries || []),
+            lineBreaks: shift(r.lineBreaks || []),
+            columnBreaks: shift(r.columnBreaks || []),
+            glyphs: (r.glyphs || []).filter((_, i) => i !== index),
+            editorial: r.editorial && r.editorial.filter((_, i) => i !== index)
+        }));
+    },
+
+    /**
+     * Detections with a reading's glyph assignments and editorial status
+     * @param {Array} recognitionResults - Shared detections
+     * @param {Array} glyphs - Reading glyphs by detection index
+     * @param {Object} chart - Chart data, to use the full glyph (images etc.)
+     * @param {Array} editorial - Reading editorial status by detection index
+     *   (see Leiden.makeEditorial); without it the detections keep theirs
+     * @returns {Array}
+     */
+    applyGlyphs: (recognitionResults, glyphs, chart = null, editorial = null) => {
+        return recognitionResults.map((result, i) => {
+            let applied = result;
+
+            const glyph = glyphs?.[i];
+            if (glyph && glyph.id !== result.glyph?.id) {
+                const chartGlyph = chart?.glyphs?.find(g => g.id === glyph.id);
+                applied = { ...applied, glyph: chartGlyph || { ...result.glyph, ...glyph } };
+            }
+
+            if (editorial) {
+                const status = editorial[i] || null;
+                if (JSON.stringify(status) !== JSON.stringify(result.editorial || null)) {
+                    applied = { ...applied, editorial: status };
+                }
+            }
+            return applied;
+        });
+    },
+
+    /**
+     * Editing state for a reading, as held by the app
+     * @param {Object} reading - Reading
+     * @param {Array} recognitionResults - Shared detections
+     * @param {Object} chart - Chart data
+     * @returns {Object} { recognitionResults, readingOrder, readingDirection,
+     *   wordBoundaries, lineBreaks, columnBreaks (Sets), translationEnglish, translationArabic }
+     */
+    toState: (reading, recognitionResults, chart = null) => {
+        const count = recognitionResults.length;
+        const valid = (list) => (list || []).filter(i => i >= 0 && i < count);
+        return {
+            recognitionResults: Readings.applyGlyphs(recognitionResults, reading.glyphs, chart, reading.editorial),
+            readingOrder: valid(reading.readingOrder),
+            readingDirection: reading.readingDirection || CONFIG.UI.DEFAULT_READING_DIRECTION,
+            wordBoundaries: new Set(valid(reading.wordBoundaries)),
+            lineBreaks: new Set(valid(reading.lineBreaks)),
+            columnBreaks: new Set(valid(reading.columnBreaks)),
+            translationEnglish: reading.translationEnglish || '',
+            translationArabic: reading.translationArabic || ''
+        };
+    },
+
+    /**
+     * Leiden text of a reading, one entry per line ('' between columns)
+     * @param {Object} reading - Reading
+     * @param {Array} recognitionResults - Shared detections
+     * @returns {Array<string>}
+     */
+    lines: (reading, recognitionResults) => {
+        const state = Readings.toState(reading, recognitionResults);
+        const order = state.readingOrder.length > 0 ? state.readingOrder : recognitionResults.map((_, i) => i);
+        const edition = Transcription.generate(state.recognitionResults, order,
+            state.wordBoundaries, state.lineBreaks, state.columnBreaks, { lexicon: false });
+        const text = Leiden.toText(edition);
+        return text ? text.split('\n') : [];
+    },
+
+    _setDiff: (a, b) => {
+        const before = new Set(a || []);
+        const after = new Set(b || []);
+        return {
+            added: [...after].filter(i => !before.has(i)).sort((x, y) => x - y),
+            removed: [...before].filter(i => !after.has(i)).sort((x, y) => x - y)
+        };
+    },
+
+    /**
+     * Differences between two readings
+     * @param {Object} a - Reading
+     * @param {Object} b - Reading
+     * @param {Array} recognitionResults - Shared detections
+     * @returns {Object} { lines: [{ a, b, changed }], glyphs: [{ index, from, to }],
+     *   order: { direction: [a, b]|null, moved }, wordBoundaries/lineBreaks/columnBreaks: { added, removed },
+     *   translationEnglish/translationArabic: changed, identical }
+     */
+    diff: (a, b, recognitionResults) => {
+        const linesA = Readings.lines(a, recognitionResults);
+        const linesB = Readings.lines(b, recognitionResults);
+        const lines = Array.from({ length: Math.max(linesA.length, linesB.length) }, (_, i) => ({
+            a: linesA[i] ?? null,
+            b: linesB[i] ?? null,
+            changed: linesA[i] !== linesB[i]
+        }));
+
+        const glyphs = [];
+        recognitionResults.forEach((_, index) => {
+            const from = a.glyphs?.[index] || null;
+            const to = b.glyphs?.[index] || null;
+            if ((from?.id ?? null) !== (to?.id ?? null)) glyphs.push({ index, from, to });
+        });
+
+        // Detections read at a different place in the sequence
+        const positionA = new Map((a.readingOrder || []).map((idx, pos) => [idx, pos]));
+        const moved = (b.readingOrder || []).filter((idx, pos) => positionA.get(idx) !== pos).length;
+
+        const result = {
+            lines,
+            glyphs,
+            order: {
+                direction: a.readingDirection !== b.readingDirection ? [a.readingDirection, b.readingDirection] : null,
+                moved
+            },
+            wordBoundaries: Readings._setDiff(a.wordBoundaries, b.wordBoundaries),
+            lineBreaks: Readings._setDiff(a.lineBreaks, b.lineBreaks),
+            columnBreaks: Readings._setDiff(a.columnBreaks, b.columnBreaks),
+            translationEnglish: (a.translationEnglish || '') !== (b.translationEnglish || ''),
+            translationArabic: (a.translationArabic || '') !== (b.translationArabic || '')
+        };
+        result.identical = Readings._sameContent(a, b);
+        return result;
+    }
+};
+
+// Make globally available
+window.Readings = Readings;
@@ -1,18 +1,34 @@
 // ============================================
 // TRANSCRIPTION
 // Generate text from ordered glyph detections
+// (marked up with Leiden conventions, see Leiden)
 // ============================================
 
 const Transcription = {
+    /**
+     * Confidence used for uncertainty marks and statistics
+     * (calibrated probability when Calibration is available)
+     * @param {Object} detection - Detection
+     * @returns {number}
+     */
+    _confidence: (detection) => {
+        return typeof Calibration !== 'undefined'
+            ? Calibration.getConfidence(detection)
+            : detection.confidence;
+    },
+
     /**
      * Generate transcription from detections in reading order
      * @param {Array} detections - Array of detection objects
      * @param {Array} readingOrder - Array of indices in reading sequence
-     * @param {Set} wordBoundaries - Set of indices where words end
-     * @param {Set} lineBreaks - Set of indices where lines end
-     * @param {Set} columnBreaks - Set of indices where columns end
-     * @param {Object} options - Output options
-     * @returns {Object} Transcription in multiple formats
+     * @param {Set} wordBoundaries - Set of detection indices where words end
+     * @param {Set} lineBreaks - Set of detection indices where lines end
+     * @param {Set} columnBreaks - Set of detection indices where columns end
+     * @param {Object} options - Output options ({ lexicon: false } skips lexicon matching)
+     * @returns {Object} Transcription in multiple formats. Words that match the
+     *   lexicon carry a `lexicon` match, also listed in `lexiconMatches`.
+     *   Word dividers (see WordBoundaries) are not read as letters; a word
+     *   boundary set on a divider ends the word before it.
      */
     generate: (detections, readingOrder, wordBoundaries, lineBreaks, columnBreaks, options = {}) => {
         const {
@@ -22,7 +38,7 @@ const Transcription = {
         } = options;
 
         if (!detections || !readingOrder || readingOrder.length === 0) {
-            return { transliteration: '', arabic: '', formatted: '' };
+            return { transliteration: '', arabic: '', formatted: '', words: [], lexiconMatches: [] };
         }
 
         const result = {
@@ -30,56 +46,64 @@ const Transcription = {
             arabic: [],
             words: [],
             lines: [],
-            columns: []
+            columns: [],
+            lexiconMatches: []
         };
 
         let currentWord = { transliteration: [], arabic: [], glyphs: [] };
         let currentLine = [];
         let currentColumn = [];
 
-        readingOrder.forEach((detectionIndex, orderIndex) => {
+        readingOrder.forEach((detectionIndex) => {
             const detection = detections[detectionIndex];
             if (!detection || !detection.glyph) return;
 
-            const isUncertain = detection.confidence < uncertainThreshold;
-            
-            // Get glyph text
-            let translit = detection.glyph.transliteration || detection.glyph.name || '?';
-            let arabic = detection.glyph.arabic || detection.glyph.transliteration || '?';
-
-            // Mark uncertain readings
-            if (isUncertain && includeUncertain) {
-                translit = `[${translit}]`;
-                arabic = `[${arabic}]`;
-            }
+            const isDivider = typeof WordBoundaries !== 'undefined' && WordBoundaries.isDivider(detection.glyph);
+            if (!isDivider) {
+                const confidence = Transcription._confidence(detection);
+                // Editorial status; low confidence without one reads as uncertain
+                let status = Leiden.getStatus(detection, { confidence, uncertainThreshold });
 
-            // Skip if excluding uncertain and this is uncertain
-            if (!includeUncertain && isUncertain) {
-                translit = '·';
-                arabic = '·';
-            }
+                // Get glyph text (lost glyphs have none)
+                let translit = detection.glyph.transliteration || detection.glyph.name || '?';
+                let arabic = detection.glyph.arabic || detection.glyph.transliteration || '?';
+                if (status === Leiden.STATUS.LOST) {
+                    translit = '';
+                    arabic = '';
+                }
 
-            currentWord.transliteration.push(translit);
-            currentWord.arabic.push(arabic);
-            currentWord.glyphs.push({
-                index: detectionIndex,
-                glyph: detection.glyph,
-                confidence: detection.confidence
-            });
+                // Skip if excluding uncertain and this is uncertain
+                if (!includeUncertain && status === Leiden.STATUS.UNCERTAIN) {
+                    translit = '·';
+                    arabic = '·';
+                    status = Leiden.STATUS.CERTAIN;
+                }
+
+                currentWord.transliteration.push(translit);
+                currentWord.arabic.push(arabic);
+                currentWord.glyphs.push({
+                    index: detectionIndex,
+                    glyph: detection.glyph,
+                    confidence: confidence,
+                    rawConfidence: detection.confidence,
+                    status: status,
+                    lostLength: detection.editorial?.lostLength || null
+                });
+            }
 
             // Check for word boundary
-            if (wordBoundaries.has(orderIndex)) {
-                result.words.push({ ...currentWord });
-                currentLine.push({ ...currentWord });
+            if (wordBoundaries.has(detectionIndex) && currentWord.glyphs.length > 0) {
+                result.words.push(currentWord);
+                currentLine.push(currentWord);
                 currentWord = { transliteration: [], arabic: [], glyphs: [] };
             }
 
             // Check for line break
-            if (lineBreaks.has(orderIndex)) {
+            if (lineBreaks.has(detectionIndex)) {
                 // Finish current word if not empty
                 if (currentWord.transliteration.length > 0) {
-                    result.words.push({ ...currentWord });
-                    currentLine.push({ ...currentWord });
+                    result.words.push(currentWord);
+                    currentLine.push(currentWord);
                     currentWord = { transliteration: [], arabic: [], glyphs: [] };
                 }
                 result.lines.push([...currentLine]);
@@ -88,7 +112,7 @@ const Transcription = {
             }
 
             // Check for column break
-            if (columnBreaks.has(orderIndex)) {
+            if (columnBreaks.has(detectionIndex)) {
                 if (currentLine.length > 0) {
                     result.lines.push([...currentLine]);
                     currentColumn.push([...currentLine]);
@@ -101,8 +125,8 @@ const Transcription = {
 
         // Finish remaining content
         if (currentWord.transliteration.length > 0) {
-            result.words.push({ ...currentWord });
-            currentLine.push({ ...currentWord });
+            result.words.push(currentWord);
+            currentLine.push(currentWord);
         }
         if (currentLine.length > 0) {
             result.lines.push([...currentLine]);
@@ -112,6 +136,17 @@ const Transcription = {
             result.columns.push([...currentColumn]);
         }
 
+        if (options.lexicon !== false && typeof LexiconMatcher !== 'undefined') {
+            result.lexiconMatches = LexiconMatcher.matchWords(result.words);
+            result.lexiconMatches.forEach(match => {
+                match.detectionIndices = [];
+                for (let i = match.start; i < match.end; i++) {
+                    result.words[i].lexicon = match;
+                    match.detectionIndices.push(...result.words[i].glyphs.map(g => g.index));
+                }
+            });
+        }
+
         // Generate string outputs
         result.transliteration = Transcription._wordsToString(result.words, 'transliteration');
         result.arabic = Transcription._wordsToString(result.words, 'arabic');
@@ -121,10 +156,10 @@ const Transcription = {
     },
 
     /**
-     * Convert words array to string
+     * Convert words array to string (Leiden markup)
      */
     _wordsToString: (words, field) => {
-        return words.map(w => w[field].join('')).join(' ');
+        return Leiden.renderWords(words, field);
     },
 
     /**
@@ -137,7 +172,7 @@ const Transcription = {
         
         result.columns.forEach((column, colIndex) => {
             column.forEach((line, lineIndex) => {
-                const lineText = line.map(w => w.transliteration.join('')).join(' ');
+                const lineText = Leiden.renderWords(line, 'transliteration');
                 output += lineText;
                 if (lineIndex < column.length - 1) {
                     output += lineBreakChar;
@@ -160,14 +195,14 @@ const Transcription = {
         let html = '<div class="transcription">';
         let inWord = true;
         
-        readingOrder.forEach((detectionIndex, orderIndex) => {
+        readingOrder.forEach((detectionIndex) => {
             const d = detections[detectionIndex];
             if (!d || !d.glyph) return;
             
             const confidence = Math.round(d.confidence * 100);
             const confidenceClass = confidence >= 70 ? 'high' : confidence >= 50 ? 'medium' : 'low';
             
-            html += `<span class="glyph ${confidenceClass}" data-index="${detectionIndex}" data-confidence="${confidence}">`;
+            html += `<span class="glyph ${confidenceClass} leiden-${Leiden.getStatus(d)}" data-index="${detectionIndex}" data-confidence="${confidence}">`;
             html += `<span class="transliteration">${d.glyph.transliteration || d.glyph.name}</span>`;
             
             if (showArabic && d.glyph.arabic) {
@@ -180,11 +215,11 @@ const Transcription = {
             
             html += '</span>';
             
-            if (wordBoundaries.has(orderIndex)) {
+            if (wordBoundaries.has(detectionIndex)) {
                 html += '<span class="word-break"> </span>';
             }
             
-            if (lineBreaks.has(orderIndex)) {
+            if (lineBreaks.has(detectionIndex)) {
                 html += '<br class="line-break">';
             }
         });
@@ -224,7 +259,7 @@ const Transcription = {
         );
 
         const confidences = readingOrder
-            .map(i => detections[i]?.confidence || 0)
+            .map(i => (detections[i] ? Transcription._confidence(detections[i]) : 0))
             .filter(c => c > 0);
 
         const avgConfidence = confidences.length > 0
@@ -0,0 +1,183 @@
+// ============================================
+// WORD BOUNDARIES
+// Word-divider glyphs and word-boundary proposals
+// from dividers and the spacing between glyphs
+// ============================================
+
+const WordBoundaries = {
+    // Chart glyph class of word dividers
+    DIVIDER_CLASS: 'divider',
+
+    REASONS: {
+        DIVIDER: 'divider',
+        SPACING: 'spacing'
+    },
+
+    /**
+     * Whether a glyph is a word divider rather than a letter
+     * @param {Object} glyph - Chart or detection glyph
+     * @returns {boolean}
+     */
+    isDivider: (glyph) => {
+        return glyph?.glyphClass === WordBoundaries.DIVIDER_CLASS;
+    },
+
+    /**
+     * Template of a divider: a vertical stroke, dark on white like the chart
+     * @returns {string|null} PNG data URL (null without a canvas)
+     */
+    _dividerTemplate: () => {
+        if (typeof document === 'undefined') return null;
+
+        const height = 49;
+        const width = Math.round(height * CONFIG.WORD_BOUNDARIES.DIVIDER_ASPECT);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(Math.round(width / 2) - 3, 2, 6, height - 4);
+        return canvas.toDataURL('image/png');
+    },
+
+    /**
+     * Add the built-in word-divider glyph to a chart that has none, so the
+     * matcher recognizes dividers like any other glyph. It is marked builtIn
+     * and left out when the chart is exported or backed up (see withoutBuiltIn).
+     * @param {Object} chart - Chart data ({ glyphs })
+     * @returns {Object} The chart, or a copy with the divider added
+     */
+    ensureDividerGlyph: (chart) => {
+        if (!chart?.glyphs || chart.glyphs.some(WordBoundaries.isDivider)) return chart;
+
+        const template = WordBoundaries._dividerTemplate();
+        if (!template) return chart;
+
+        const ids = chart.glyphs.map(g => g.id);
+        const preferred = CONFIG.WORD_BOUNDARIES.DIVIDER_GLYPH_ID;
+        const divider = {
+            id: ids.includes(preferred) ? Math.max(...ids, 0) + 1 : preferred,
+            name: '|',
+            arabic: '|',
+            description: 'word divider',
+            glyphClass: WordBoundaries.DIVIDER_CLASS,
+            builtIn: true,
+            expected_aspect_ratio: CONFIG.WORD_BOUNDARIES.DIVIDER_ASPECT,
+            images: { primary: template, variants: [], examples: [] }
+        };
+
+        console.log(`➗ Added word-divider glyph (id ${divider.id}) to the chart`);
+        return { ...chart, glyphs: [...chart.glyphs, divider] };
+    },
+
+    /**
+     * The chart as the team keeps it, without glyphs added by ensureDividerGlyph
+     * @param {Object} chart - Chart data ({ glyphs })
+     * @returns {Object} The chart, or a copy without built-in glyphs
+     */
+    withoutBuiltIn: (chart) => {
+        if (!chart?.glyphs || !chart.glyphs.some(g => g.builtIn)) return chart;
+        return { ...chart, glyphs: chart.glyphs.filter(g => !g.builtIn) };
+    },
+
+    /**
+     * Space between two boxes along the line (x for lines, y for columns)
+     */
+    _gap: (a, b, vertical) => {
+        return vertical
+            ? Math.max(0, a.y - (b.y + b.height), b.y - (a.y + a.height))
+            : Math.max(0, a.x - (b.x + b.width), b.x - (a.x + a.width));
+    },
+
+    /**
+     * Propose word boundaries along the reading order. A recognized divider
+     * ends the word before it (the boundary is placed after the divider,
+     * which is not read as a letter). Otherwise a gap clearly wider than the
+     * usual space between letters suggests a boundary.
+     * @param {Array} detections - Recognition results
+     * @param {Array} readingOrder - Detection indices in reading sequence
+     * @param {Object} options - { wordBoundaries, lineBreaks, columnBreaks, direction, rejected }
+     *   rejected: Set of detection indices whose proposals were turned down
+     * @returns {Array} [{ index, position, reason, confidence, gap }] in reading order;
+     *   index: detection to set the boundary after, position: its place in the reading order,
+     *   gap: space in glyph sizes (spacing proposals)
+     */
+    propose: (detections, readingOrder, options = {}) => {
+        const {
+            wordBoundaries = new Set(),
+            lineBreaks = new Set(),
+            columnBreaks = new Set(),
+            direction = CONFIG.UI.DEFAULT_READING_DIRECTION,
+            rejected = new Set()
+        } = options;
+        if (!detections || !readingOrder || readingOrder.length < 2) return [];
+
+        const order = readingOrder.filter(i => detections[i]?.position);
+        const vertical = typeof Layout !== 'undefined' &&
+            Layout.orientationForDirection(direction) === Layout.ORIENTATIONS.VERTICAL;
+        const endsLine = (i) => lineBreaks.has(i) || columnBreaks.has(i);
+        const divider = (i) => WordBoundaries.isDivider(detections[i].glyph);
+        const proposals = [];
+
+        // Dividers
+        order.forEach((index, position) => {
+            if (!divider(index) || wordBoundaries.has(index) || rejected.has(index)) return;
+            const previous = order[position - 1];
+            if (previous === undefined || endsLine(previous) || divider(previous)) return;
+            proposals.push({
+                index,
+                position,
+                reason: WordBoundaries.REASONS.DIVIDER,
+                confidence: detections[index].confidence ?? 1,
+                gap: null
+            });
+        });
+
+        // Spacing between consecutive letters on a line
+        const letters = order.filter(i => !divider(i));
+        const sizes = letters
+            .map(i => vertical ? detections[i].position.width : detections[i].position.height)
+            .sort((a, b) => a - b);
+        const glyphSize = sizes[Math.floor(sizes.length / 2)] || 1;
+
+        const pairs = [];
+        for (let k = 0; k < order.length - 1; k++) {
+            const a = order[k];
+            const b = order[k + 1];
+            if (endsLine(a) || divider(a) || divider(b)) continue;
+            pairs.push({
+                index: a,
+                position: k,
+                gap: WordBoundaries._gap(detections[a].position, detections[b].position, vertical)
+            });
+        }
+
+        // Typical letter spacing, from gaps not already marked as word gaps
+        const letterGaps = pairs.filter(p => !wordBoundaries.has(p.index)).map(p => p.gap).sort((a, b) => a - b);
+        if (letterGaps.length >= 3) {
+            const letterGap = letterGaps[Math.floor(letterGaps.length / 2)];
+            const threshold = Math.max(letterGap * CONFIG.WORD_BOUNDARIES.GAP_RATIO, glyphSize * CONFIG.WORD_BOUNDARIES.MIN_GAP);
+
+            pairs.forEach(pair => {
+                if (wordBoundaries.has(pair.index) || rejected.has(pair.index)) return;
+                // 0.5 at the threshold, 1 at twice its distance from the letter gap
+                const confidence = Math.min(1, 0.5 * (pair.gap - letterGap) / (threshold - letterGap));
+                if (confidence < CONFIG.WORD_BOUNDARIES.MIN_CONFIDENCE) return;
+                proposals.push({
+                    index: pair.index,
+                    position: pair.position,
+                    reason: WordBoundaries.REASONS.SPACING,
+                    confidence,
+                    gap: pair.gap / glyphSize
+                });
+            });
+        }
+
+        return proposals.sort((a, b) => a.position - b.position);
+    }
+};
+
+// Make globally available
+window.WordBoundaries = WordBoundaries;
@@ -0,0 +1,193 @@
+// ============================================
+// PREPROCESSING AUTO-TUNE
+// Sweep preprocessing settings and score the isolated glyphs
+// ============================================
+
+const AutoTune = {
+    /**
+     * Build the candidate settings grid around the user's current settings
+     * Geometry (rotation, perspective) and contrast stages are kept as-is;
+     * only threshold, blur and morphology are swept.
+     * @param {Object} baseSettings - Current preprocessing settings
+     * @returns {Array} Candidate settings objects
+     */
+    buildCandidates: (baseSettings) => {
+        const cfg = CONFIG.AUTO_TUNE;
+        const thresholds = [{ useAdaptiveThreshold: false }];
+        cfg.BLOCK_SIZES.forEach(blockSize => {
+            cfg.OFFSETS.forEach(constantOffset => {
+                thresholds.push({ useAdaptiveThreshold: true, blockSize, constantOffset });
+            });
+        });
+
+        const candidates = [];
+        thresholds.forEach(threshold => {
+            cfg.BLURS.forEach(gaussianBlur => {
+                cfg.MORPHOLOGY.forEach(morphologyOperation => {
+                    candidates.push({
+                        ...baseSettings,
+                        ...threshold,
+                        gaussianBlur,
+                        morphologyOperation
+                    });
+                });
+            });
+        });
+        return candidates;
+    },
+
+    /**
+     * Score a set of isolated regions (0-1, higher is better)
+     * @param {Array} regions - Output of Isolation.isolateGlyphs
+     * @returns {Object} { score, breakdown }
+     */
+    scoreRegions: (regions) => {
+        const cfg = CONFIG.AUTO_TUNE;
+        const count = regions.length;
+
+        if (count === 0) {
+            return { score: 0, breakdown: { count: 0, uniformity: 0, solidity: 0, overlap: 0 } };
+        }
+
+        // Region count plausibility - flat inside the expected range, decaying outside
+        const { MIN, MAX } = cfg.EXPECTED_GLYPHS;
+        let countScore = 1;
+        if (count < MIN) countScore = count / MIN;
+        else if (count > MAX) countScore = MAX / count;
+
+        // Size uniformity - glyphs in one inscription are roughly the same height
+        const heights = regions.map(r => r.bounds.height);
+        const meanHeight = heights.reduce((a, b) => a + b, 0) / count;
+        const variance = heights.reduce((sum, h) => sum + Math.pow(h - meanHeight, 2), 0) / count;
+        const coefficientOfVariation = meanHeight > 0 ? Math.sqrt(variance) / meanHeight : 1;
+        const uniformityScore = Math.max(0, 1 - coefficientOfVariation);
+
+        // Solidity - strokes, not blobs or speckle
+        const meanSolidity = regions.reduce((sum, r) => sum + r.solidity, 0) / count;
+        const solidityScore = Math.max(0, 1 - Math.abs(meanSolidity - cfg.TARGET_SOLIDITY) * 2);
+
+        // Overlap - well-separated glyphs shouldn't overlap each other
+        let overlapping = 0;
+        for (let i = 0; i < count; i++) {
+            for (let j = 0; j < count; j++) {
+                if (i !== j && Utils.calculateIoU(regions[i].bounds, regions[j].bounds) > 0) {
+                    overlapping++;
+                    break;
+                }
+            }
+        }
+        const overlapScore = 1 - overlapping / count;
+
+        const breakdown = {
+            count: countScore,
+            uniformity: uniformityScore,
+            solidity: solidityScore,
+            overlap: overlapScore
+        };
+
+        const score =
+            countScore * cfg.WEIGHTS.COUNT +
+            uniformityScore * cfg.WEIGHTS.UNIFORMITY +
+            solidityScore * cfg.WEIGHTS.SOLIDITY +
+            overlapScore * cfg.WEIGHTS.OVERLAP;
+
+        return { score, breakdown };
+    },
+
+    /**
+     * Downscale a Mat so its longest side is at most maxDimension
+     * @param {cv.Mat} mat - Source Mat
+     * @param {number} maxDimension - Longest side limit
+     * @returns {Object} { mat (caller must delete), scale }
+     */
+    _downscale: (mat, maxDimension) => {
+        const scale = Math.min(1, maxDimension / Math.max(mat.cols, mat.rows));
+        const small = new cv.Mat();
+        if (scale < 1) {
+            cv.resize(mat, small, new cv.Size(Math.round(mat.cols * scale), Math.round(mat.rows * scale)), 0, 0, cv.INTER_AREA);
+        } else {
+            mat.copyTo(small);
+        }
+        return { mat: small, scale };
+    },
+
+    /**
+     * Scale the geometry-bearing settings to the downscaled sweep image
+     */
+    _scaleSettings: (settings, scale) => {
+        if (!Preprocessing.hasPerspectiveCorrection(settings) || scale === 1) return settings;
+        return {
+            ...settings,
+            perspectiveCorners: settings.perspectiveCorners.map(c => ({ x: c.x * scale, y: c.y * scale }))
+        };
+    },
+
+    /**
+     * Run the sweep and return the best few settings with previews
+     * @param {cv.Mat} sourceMat - Original image Mat
+     * @param {Object} baseSettings - Current preprocessing settings
+     * @param {Object} options - { topN, onProgress(done, total), shouldCancel() }
+     * @returns {Promise<Array>} Proposals: { settings, score, breakdown, regionCount, preview }
+     */
+    run: async (sourceMat, baseSettings, options = {}) => {
+        const {
+            topN = CONFIG.AUTO_TUNE.TOP_N,
+            onProgress = null,
+            shouldCancel = null
+        } = options;
+
+        if (!sourceMat || sourceMat.empty()) {
+            throw new Error('Invalid source image for auto-tune');
+        }
+
+        const { mat: small, scale } = AutoTune._downscale(sourceMat, CONFIG.AUTO_TUNE.MAX_DIMENSION);
+        const candidates = AutoTune.buildCandidates(baseSettings);
+        const scored = [];
+
+        console.log(`🪄 Auto-tuning preprocessing over ${candidates.length} candidates (scale ${scale.toFixed(2)})`);
+
+        try {
+            for (let i = 0; i < candidates.length; i++) {
+                if (shouldCancel && shouldCancel()) break;
+
+                const settings = candidates[i];
+                let processed = null;
+                let regions = [];
+                try {
+                    processed = Preprocessing.processImageWithSettings(small, AutoTune._scaleSettings(settings, scale));
+                    regions = Isolation.isolateGlyphs(processed, { includeThumbnails: false });
+                    const { score, breakdown } = AutoTune.scoreRegions(regions);
+                    scored.push({ settings, score, breakdown, regionCount: regions.length });
+                } catch (error) {
+                    console.warn('Auto-tune candidate failed:', error);
+                } finally {
+                    regions.forEach(r => r.contour && !r.contour.isDeleted() && r.contour.delete());
+                    if (processed) processed.delete();
+                }
+
+                if (onProgress) onProgress(i + 1, candidates.length);
+
+                // Yield so progress renders and the page stays responsive
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            scored.sort((a, b) => b.score - a.score);
+            const best = scored.slice(0, topN);
+
+            // Previews only for the proposals, not the whole sweep
+            best.forEach(proposal => {
+                const processed = Preprocessing.processImageWithSettings(small, AutoTune._scaleSettings(proposal.settings, scale));
+                proposal.preview = Utils.matToDataUrl(processed);
+                processed.delete();
+            });
+
+            console.log(`   ✅ Best score ${best[0]?.score.toFixed(3) || 'n/a'} (${best[0]?.regionCount || 0} regions)`);
+            return best;
+        } finally {
+            small.delete();
+        }
+    }
+};
+
+// Make globally available
+window.AutoTune = AutoTune;
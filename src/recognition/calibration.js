@@ -0,0 +1,301 @@
+// ============================================
+// CONFIDENCE CALIBRATION
+// Turn raw match scores into per-glyph probabilities
+// fitted from validated detections
+// ============================================
+
+const Calibration = {
+    // Prior for the shared curve before there is data: σ(10s − 5) keeps 0.5 at 0.5
+    BASE_CURVE: { a: 10, b: -5 },
+
+    // Fitted curves, rebuilt lazily after samples change
+    _model: null,
+
+    /**
+     * Build the key that identifies one validated detection, so re-validating
+     * or re-loading the same inscription replaces its sample instead of adding one
+     * @param {string} inscriptionId - Inscription ID (or null for an unsaved session)
+     * @param {Object} position - Detection bounds {x, y}
+     * @param {number|string} glyphId - Glyph the score belongs to
+     * @returns {string}
+     */
+    makeSampleKey: (inscriptionId, position, glyphId) => {
+        const x = Math.round(position?.x || 0);
+        const y = Math.round(position?.y || 0);
+        return `${inscriptionId || 'session'}:${x},${y}:${glyphId}`;
+    },
+
+    /**
+     * Get stored samples
+     * @returns {Object} key → { glyphId, score, correct, timestamp }
+     */
+    getAllSamples: () => {
+        try {
+            const stored = localStorage.getItem(CONFIG.STORAGE.CALIBRATION_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Failed to load calibration samples:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Save samples, dropping the oldest beyond CONFIG.CALIBRATION.MAX_SAMPLES
+     * @param {Object} samples - Samples to save
+     */
+    _saveSamples: (samples) => {
+        try {
+            let entries = Object.entries(samples);
+            if (entries.length > CONFIG.CALIBRATION.MAX_SAMPLES) {
+                entries = entries
+                    .sort((a, b) => (a[1].timestamp || '').localeCompare(b[1].timestamp || ''))
+                    .slice(-CONFIG.CALIBRATION.MAX_SAMPLES);
+            }
+            localStorage.setItem(CONFIG.STORAGE.CALIBRATION_KEY, JSON.stringify(Object.fromEntries(entries)));
+        } catch (error) {
+            console.error('Failed to save calibration samples:', error);
+        }
+        Calibration._model = null;
+    },
+
+    /**
+     * Whether a detection's score can be used as a calibration sample.
+     * Manual boxes have no match score, and a corrected detection's score
+     * may still belong to the glyph it was corrected from.
+     */
+    _isUsable: (detection) => {
+        return !!detection?.glyph
+            && typeof detection.confidence === 'number'
+            && !detection.isManual
+            && !detection.corrected;
+    },
+
+    /**
+     * Record one validation of a detection
+     * @param {Object} detection - Detection that was validated
+     * @param {boolean} isCorrect - Validation result
+     * @param {string} inscriptionId - Source inscription ID
+     * @returns {boolean} Whether a sample was recorded
+     */
+    recordValidation: (detection, isCorrect, inscriptionId) => {
+        if (!Calibration._isUsable(detection)) return false;
+
+        const samples = Calibration.getAllSamples();
+        const glyphId = detection.glyph.id ?? detection.glyph.name;
+        samples[Calibration.makeSampleKey(inscriptionId, detection.position, glyphId)] = {
+            glyphId,
+            score: detection.confidence,
+            correct: !!isCorrect,
+            timestamp: new Date().toISOString()
+        };
+        Calibration._saveSamples(samples);
+        return true;
+    },
+
+    /**
+     * Withdraw the sample of a validation that was undone
+     * @param {Object} detection - Detection whose validation was withdrawn
+     * @param {string} inscriptionId - Source inscription ID
+     * @returns {boolean} Whether a sample was removed
+     */
+    retract: (detection, inscriptionId) => {
+        if (!detection?.glyph) return false;
+
+        const samples = Calibration.getAllSamples();
+        const key = Calibration.makeSampleKey(inscriptionId, detection.position, detection.glyph.id ?? detection.glyph.name);
+        if (!(key in samples)) return false;
+
+        delete samples[key];
+        Calibration._saveSamples(samples);
+        return true;
+    },
+
+    /**
+     * Harvest validated detections from a loaded .hki file.
+     * Handles both the `detections` (with `validated`) and the
+     * `recognitionResults` + `validations` layouts.
+     * @param {Object} data - Parsed .hki data
+     * @returns {number} Number of samples added or updated
+     */
+    addFromHki: (data) => {
+        if (!data) return 0;
+
+        const inscriptionId = data.inscriptionId || data.currentInscriptionId || null;
+        const validated = [];
+
+        if (Array.isArray(data.detections)) {
+            data.detections.forEach(d => {
+                if (d.validated) validated.push([d, d.validated.isCorrect]);
+            });
+        } else if (Array.isArray(data.recognitionResults) && data.validations) {
+            Object.entries(data.validations).forEach(([index, v]) => {
+                const d = data.recognitionResults[parseInt(index)];
+                if (d && v) validated.push([d, v.isCorrect]);
+            });
+        }
+
+        const samples = Calibration.getAllSamples();
+        let added = 0;
+
+        validated.forEach(([detection, isCorrect]) => {
+            if (!Calibration._isUsable(detection)) return;
+            const glyphId = detection.glyph.id ?? detection.glyph.name;
+            const key = Calibration.makeSampleKey(inscriptionId, detection.position, glyphId);
+            samples[key] = {
+                glyphId,
+                score: detection.confidence,
+                correct: !!isCorrect,
+                timestamp: samples[key]?.timestamp || new Date().toISOString()
+            };
+            added++;
+        });
+
+        if (added > 0) {
+            Calibration._saveSamples(samples);
+            console.log(`📐 Calibration: ${added} validated detections from ${inscriptionId || 'file'}`);
+        }
+        return added;
+    },
+
+    /**
+     * Negative samples from TemplateLearning: each learned example is a
+     * detection of `originalGlyphId` that the user corrected
+     * @returns {Object} key → sample (not persisted)
+     */
+    _learningSamples: () => {
+        if (typeof TemplateLearning === 'undefined') return {};
+
+        const samples = {};
+        Object.values(TemplateLearning.getAllVariants()).forEach(data => {
+            (data.learnedExamples || []).forEach(ex => {
+                // Older examples only kept the glyph name
+                if (ex.originalGlyphId === undefined || typeof ex.confidence !== 'number') return;
+                const key = Calibration.makeSampleKey(ex.inscriptionId, ex.position, ex.originalGlyphId);
+                samples[key] = { glyphId: ex.originalGlyphId, score: ex.confidence, correct: false, timestamp: ex.timestamp };
+            });
+        });
+        return samples;
+    },
+
+    /**
+     * Fit σ(a·score + b) by Newton's method, with an L2 pull toward a prior curve
+     * @param {Array} samples - [{ score, correct }]
+     * @param {Object} prior - { a, b }
+     * @param {number} strength - Prior weight
+     * @returns {Object} { a, b, n }
+     */
+    fitCurve: (samples, prior, strength) => {
+        // Platt's smoothed targets keep tiny or one-sided sets from saturating
+        const positives = samples.filter(s => s.correct).length;
+        const negatives = samples.length - positives;
+        const hi = (positives + 1) / (positives + 2);
+        const lo = 1 / (negatives + 2);
+
+        let { a, b } = prior;
+
+        for (let iter = 0; iter < 50; iter++) {
+            let ga = strength * (a - prior.a), gb = strength * (b - prior.b);
+            let haa = strength, hab = 0, hbb = strength;
+
+            samples.forEach(({ score, correct }) => {
+                const p = 1 / (1 + Math.exp(-(a * score + b)));
+                const diff = p - (correct ? hi : lo);
+                const w = Math.max(p * (1 - p), 1e-9);
+                ga += diff * score;
+                gb += diff;
+                haa += w * score * score;
+                hab += w * score;
+                hbb += w;
+            });
+
+            const det = haa * hbb - hab * hab;
+            if (det <= 1e-12) break;
+
+            const da = (hbb * ga - hab * gb) / det;
+            const db = (haa * gb - hab * ga) / det;
+            a -= da;
+            b -= db;
+
+            if (Math.abs(da) < 1e-6 && Math.abs(db) < 1e-6) break;
+        }
+
+        return { a, b, n: samples.length };
+    },
+
+    /**
+     * Fit the shared curve and one curve per glyph from every sample
+     * @returns {Object|null} { shared, glyphs: { glyphId: curve }, samples }, or null without enough data
+     */
+    getModel: () => {
+        if (Calibration._model !== null) return Calibration._model || null;
+
+        const all = Object.values({ ...Calibration._learningSamples(), ...Calibration.getAllSamples() });
+
+        if (all.length < CONFIG.CALIBRATION.MIN_SAMPLES) {
+            Calibration._model = false;
+            return null;
+        }
+
+        const shared = Calibration.fitCurve(all, Calibration.BASE_CURVE, 1);
+
+        const byGlyph = {};
+        all.forEach(sample => {
+            const id = String(sample.glyphId);
+            if (!byGlyph[id]) byGlyph[id] = [];
+            byGlyph[id].push(sample);
+        });
+
+        const glyphs = {};
+        Object.entries(byGlyph).forEach(([id, samples]) => {
+            if (samples.length >= CONFIG.CALIBRATION.MIN_GLYPH_SAMPLES) {
+                glyphs[id] = Calibration.fitCurve(samples, shared, CONFIG.CALIBRATION.PRIOR_STRENGTH);
+            }
+        });
+
+        Calibration._model = { shared, glyphs, samples: all.length };
+        console.log(`📐 Calibration fitted from ${all.length} samples (${Object.keys(glyphs).length} glyph curves)`);
+        return Calibration._model;
+    },
+
+    /**
+     * Map a raw score to a calibrated probability
+     * @param {number|string} glyphId - Glyph ID
+     * @param {number} score - Raw match score
+     * @returns {number} Probability 0-1 (the raw score if calibration is off or unfitted)
+     */
+    calibrate: (glyphId, score) => {
+        if (!CONFIG.CALIBRATION.ENABLED || typeof score !== 'number') return score;
+
+        const model = Calibration.getModel();
+        if (!model) return score;
+
+        const curve = model.glyphs[String(glyphId)] || model.shared;
+        return 1 / (1 + Math.exp(-(curve.a * score + curve.b)));
+    },
+
+    /**
+     * Calibrated confidence of a detection. Manual boxes keep their confidence.
+     * @param {Object} detection - Detection
+     * @returns {number}
+     */
+    getConfidence: (detection) => {
+        if (!detection) return 0;
+        if (detection.isManual || !detection.glyph) return detection.confidence;
+        return Calibration.calibrate(detection.glyph.id ?? detection.glyph.name, detection.confidence);
+    },
+
+    /**
+     * Drop all samples
+     */
+    clearAll: () => {
+        try {
+            localStorage.removeItem(CONFIG.STORAGE.CALIBRATION_KEY);
+        } catch (error) {
+            console.error('Failed to clear calibration samples:', error);
+        }
+        Calibration._model = null;
+    }
+};
+
+// Make globally available
+window.Calibration = Calibration;
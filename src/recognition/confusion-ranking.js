@@ -0,0 +1,226 @@
+// ============================================
+// CONFUSION RANKING
+// Re-rank each detection's candidates using the confusion
+// matrix built from past corrections
+// ============================================
+
+const ConfusionRanking = {
+    /**
+     * Gather correction and confirmation statistics.
+     * CorrectionMemory and TemplateLearning both record each correction, so
+     * per pair the longer of the two lists is used rather than their sum.
+     * @returns {Object} { corrections: { fromId: { toId: [confidences] } }, confirmations: { glyphId: [scores] } }
+     */
+    buildStats: () => {
+        const corrections = {};
+        const addPair = (from, to, confidences) => {
+            if (from === undefined || from === null || to === undefined || to === null) return;
+            const list = (confidences || []).filter(c => typeof c === 'number');
+            const fromKey = String(from);
+            const toKey = String(to);
+            if (fromKey === toKey || list.length === 0) return;
+            if (!corrections[fromKey]) corrections[fromKey] = {};
+            if (!corrections[fromKey][toKey] || corrections[fromKey][toKey].length < list.length) {
+                corrections[fromKey][toKey] = list;
+            }
+        };
+
+        if (typeof CorrectionMemory !== 'undefined') {
+            Object.values(CorrectionMemory.getAllCorrections()).forEach(c => {
+                addPair(c.originalGlyph, c.correctedGlyph, c.confidences);
+            });
+        }
+
+        if (typeof TemplateLearning !== 'undefined') {
+            TemplateLearning.analyzeConfusionPatterns().forEach(pattern => {
+                pattern.confusedWith.forEach(confusion => {
+                    // Older examples only kept the glyph name
+                    addPair(confusion.originalGlyphId, pattern.correctGlyph, confusion.confidences);
+                });
+            });
+        }
+
+        const confirmations = {};
+        if (typeof Calibration !== 'undefined') {
+            Object.values(Calibration.getAllSamples()).forEach(sample => {
+                if (!sample.correct) return;
+                const key = String(sample.glyphId);
+                if (!confirmations[key]) confirmations[key] = [];
+                confirmations[key].push(sample.score);
+            });
+        }
+
+        return { corrections, confirmations };
+    },
+
+    /**
+     * How often a glyph read at this score was corrected to each other glyph.
+     * Uses the score's confidence band when it has enough observations,
+     * otherwise all of the glyph's observations.
+     * @param {Object} stats - Result of buildStats()
+     * @param {number|string} glyphId - Glyph the matcher read
+     * @param {number} score - Raw match score
+     * @returns {Object} { rates: { toId: rate }, counts: { toId: n }, total, band: [lo, hi] | null }
+     */
+    getRates: (stats, glyphId, score) => {
+        const params = CONFIG.CONFUSION;
+        const outgoing = stats.corrections[String(glyphId)] || {};
+        const confirmed = stats.confirmations[String(glyphId)] || [];
+
+        const band = Math.floor(score / params.BAND_WIDTH);
+        const inBand = (value) => Math.floor(value / params.BAND_WIDTH) === band;
+
+        const bandTotal = confirmed.filter(inBand).length +
+            Object.values(outgoing).reduce((sum, list) => sum + list.filter(inBand).length, 0);
+        const useBand = bandTotal >= params.MIN_BAND_SAMPLES;
+        const keep = useBand ? inBand : () => true;
+
+        let total = confirmed.filter(keep).length;
+        const counts = {};
+        Object.entries(outgoing).forEach(([to, list]) => {
+            const n = list.filter(keep).length;
+            total += n;
+            // Rare pairs still count toward the total, but don't move scores
+            if (list.length >= params.MIN_CORRECTIONS && n > 0) counts[to] = n;
+        });
+
+        const rates = {};
+        Object.entries(counts).forEach(([to, n]) => {
+            rates[to] = n / (total + params.PRIOR);
+        });
+
+        return {
+            rates,
+            counts,
+            total,
+            band: useBand ? [band * params.BAND_WIDTH, (band + 1) * params.BAND_WIDTH] : null
+        };
+    },
+
+    /**
+     * Re-rank one detection's candidates. Each candidate keeps the share of its
+     * score that past corrections say was right, and receives the share that
+     * other candidates' readings were corrected to it.
+     * @param {Object} detection - Detection with candidates
+     * @param {Object} stats - Result of buildStats()
+     * @param {Array} glyphs - Chart glyphs (full glyph for a re-ranked winner)
+     * @returns {Object} The detection, re-ranked with a `confusion` record, or unchanged
+     */
+    rerank: (detection, stats, glyphs = []) => {
+        const candidates = detection.candidates || [];
+        if (candidates.length === 0 || !detection.glyph) return detection;
+
+        const strength = CONFIG.CONFUSION.STRENGTH;
+        const rated = candidates.map(c => ({ candidate: c, ...ConfusionRanking.getRates(stats, c.glyph.id, c.confidence) }));
+        const reasons = [];
+
+        const adjusted = rated.map(({ candidate, rates }) => {
+            const id = String(candidate.glyph.id);
+            const leaving = Object.values(rates).reduce((sum, r) => sum + r, 0);
+            const arriving = rated.reduce((sum, other) => {
+                if (other.candidate === candidate) return sum;
+                return sum + other.candidate.confidence * (other.rates[id] || 0);
+            }, 0);
+
+            return {
+                ...candidate,
+                adjustedConfidence: Math.min(candidate.confidence * (1 - strength * leaving) + strength * arriving, 0.99)
+            };
+        });
+
+        rated.forEach(({ candidate, counts, total, band }) => {
+            Object.entries(counts).forEach(([to, count]) => {
+                const target = adjusted.find(c => String(c.glyph.id) === to)?.glyph ||
+                    glyphs.find(g => String(g.id) === to);
+                reasons.push({
+                    from: candidate.glyph.id,
+                    fromName: candidate.glyph.transliteration || candidate.glyph.name,
+                    to: target?.id ?? to,
+                    toName: target ? (target.transliteration || target.name) : to,
+                    count,
+                    total,
+                    band
+                });
+            });
+        });
+
+        if (reasons.length === 0) return detection;
+
+        adjusted.sort((a, b) => b.adjustedConfidence - a.adjustedConfidence);
+        const top = adjusted[0];
+        const reassigned = String(top.glyph.id) !== String(detection.glyph.id);
+        const own = adjusted.find(c => String(c.glyph.id) === String(detection.glyph.id));
+
+        const confusion = {
+            rawGlyph: { id: detection.glyph.id, name: detection.glyph.transliteration || detection.glyph.name },
+            rawConfidence: detection.confidence,
+            adjustedConfidence: reassigned ? top.adjustedConfidence : (own?.adjustedConfidence ?? detection.confidence),
+            reassigned,
+            reasons
+        };
+
+        if (!reassigned) {
+            return { ...detection, candidates: adjusted, confusion };
+        }
+
+        // Same fields changeGlyphAssignment takes from a candidate
+        return {
+            ...detection,
+            glyph: glyphs.find(g => String(g.id) === String(top.glyph.id)) || top.glyph,
+            confidence: top.confidence,
+            matchedTemplate: top.matchedTemplate,
+            matchedTemplateIndex: top.matchedTemplateIndex,
+            matchedTemplateId: top.matchedTemplateId || null,
+            matchedTemplateLabel: top.matchedTemplateLabel,
+            learnedExample: top.learnedExample || null,
+            matchType: top.matchType || detection.matchType,
+            candidates: adjusted,
+            confusion
+        };
+    },
+
+    /**
+     * Re-rank every detection from the current correction history
+     * @param {Array} detections - Recognition results
+     * @param {Array} glyphs - Chart glyphs
+     * @returns {Array} Detections
+     */
+    apply: (detections, glyphs = []) => {
+        if (!CONFIG.CONFUSION.ENABLED || !detections || detections.length === 0) return detections;
+
+        const stats = ConfusionRanking.buildStats();
+        if (Object.keys(stats.corrections).length === 0) return detections;
+
+        const result = detections.map(d => ConfusionRanking.rerank(d, stats, glyphs));
+        const adjusted = result.filter(d => d.confusion).length;
+        const reassigned = result.filter(d => d.confusion?.reassigned).length;
+        if (adjusted > 0) {
+            console.log(`🔀 Confusion ranking: ${adjusted} detections adjusted, ${reassigned} re-ranked to another glyph`);
+        }
+        return result;
+    },
+
+    /**
+     * Human-readable account of a detection's adjustment
+     * @param {Object} confusion - detection.confusion
+     * @returns {Object} { summary, details: [string] }
+     */
+    describe: (confusion) => {
+        if (!confusion) return null;
+
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        const details = (confusion.reasons || []).map(r => {
+            const band = r.band ? ` at ${percent(r.band[0])}–${percent(r.band[1])}` : '';
+            return `${r.fromName} was corrected to ${r.toName} ${r.count} of ${r.total} times${band}`;
+        });
+
+        const summary = confusion.reassigned
+            ? `read as ${confusion.rawGlyph.name} (${percent(confusion.rawConfidence)}), re-ranked from past corrections`
+            : `${percent(confusion.rawConfidence)} → ${percent(confusion.adjustedConfidence)} from past corrections`;
+
+        return { summary, details };
+    }
+};
+
+// Make globally available
+window.ConfusionRanking = ConfusionRanking;
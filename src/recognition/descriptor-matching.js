@@ -0,0 +1,196 @@
+// ============================================
+// DESCRIPTOR MATCHING
+// Shape-descriptor matcher (Hu moments, radial contour
+// signature, zoning) as an alternative to template matching
+// ============================================
+
+const DescriptorMatching = {
+    SIGNATURE_BINS: 32,
+    ZONING_GRID: 4,
+    NORMALIZED_SIZE: 32,
+
+    /**
+     * Binarize an image so ink is white on black
+     * @param {cv.Mat} mat - Source image (gray, RGB or RGBA)
+     * @returns {cv.Mat} Binary Mat (caller must delete)
+     */
+    binarize: (mat) => {
+        const gray = Utils.preprocessImageForMatching(mat);
+        const binary = new cv.Mat();
+        cv.threshold(gray, binary, 0, 255, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
+        gray.delete();
+
+        // Same dark-ink assumption as Isolation; flip if the image was already inverted
+        if (cv.countNonZero(binary) > (binary.rows * binary.cols) / 2) {
+            cv.bitwise_not(binary, binary);
+        }
+
+        return binary;
+    },
+
+    /**
+     * Compute the seven Hu invariants from normalized central moments
+     * @param {Object} m - Result of cv.moments()
+     * @returns {Array<number>}
+     */
+    huMoments: (m) => {
+        const { nu20, nu11, nu02, nu30, nu21, nu12, nu03 } = m;
+        const a = nu30 + nu12;
+        const b = nu21 + nu03;
+
+        return [
+            nu20 + nu02,
+            (nu20 - nu02) ** 2 + 4 * nu11 ** 2,
+            (nu30 - 3 * nu12) ** 2 + (3 * nu21 - nu03) ** 2,
+            a ** 2 + b ** 2,
+            (nu30 - 3 * nu12) * a * (a ** 2 - 3 * b ** 2) + (3 * nu21 - nu03) * b * (3 * a ** 2 - b ** 2),
+            (nu20 - nu02) * (a ** 2 - b ** 2) + 4 * nu11 * a * b,
+            (3 * nu21 - nu03) * a * (a ** 2 - 3 * b ** 2) - (nu30 - 3 * nu12) * b * (3 * a ** 2 - b ** 2)
+        ];
+    },
+
+    /**
+     * Compute a scale-invariant shape descriptor for a glyph image
+     * @param {cv.Mat} mat - Glyph image
+     * @returns {Object|null} { hu, signature, zoning }, or null if there is no ink
+     */
+    computeDescriptor: (mat) => {
+        const binary = DescriptorMatching.binarize(mat);
+        const contours = new cv.MatVector();
+        const hierarchy = new cv.Mat();
+
+        try {
+            cv.findContours(binary, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_NONE);
+            if (contours.size() === 0) return null;
+
+            // Ink bounding box across every part of the glyph
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            for (let i = 0; i < contours.size(); i++) {
+                const contour = contours.get(i);
+                const rect = cv.boundingRect(contour);
+                minX = Math.min(minX, rect.x);
+                minY = Math.min(minY, rect.y);
+                maxX = Math.max(maxX, rect.x + rect.width);
+                maxY = Math.max(maxY, rect.y + rect.height);
+                contour.delete();
+            }
+
+            // Hu moments (log-scaled; the sign of h7 flips under mirroring, so drop it)
+            const moments = cv.moments(binary, true);
+            if (!moments.m00) return null;
+            const hu = DescriptorMatching.huMoments(moments)
+                .slice(0, 6)
+                .map(h => -Math.sign(h) * Math.log10(Math.max(Math.abs(h), 1e-30)));
+
+            // Radial signature: farthest contour point per angle bin around the centroid
+            const cx = moments.m10 / moments.m00;
+            const cy = moments.m01 / moments.m00;
+            const bins = DescriptorMatching.SIGNATURE_BINS;
+            const signature = new Array(bins).fill(0);
+            for (let i = 0; i < contours.size(); i++) {
+                const contour = contours.get(i);
+                const points = contour.data32S;
+                for (let p = 0; p < points.length; p += 2) {
+                    const dx = points[p] - cx;
+                    const dy = points[p + 1] - cy;
+                    const angle = Math.atan2(dy, dx) + Math.PI;
+                    const bin = Math.min(bins - 1, Math.floor((angle / (2 * Math.PI)) * bins));
+                    signature[bin] = Math.max(signature[bin], Math.hypot(dx, dy));
+                }
+                contour.delete();
+            }
+            const maxRadius = Math.max(...signature) || 1;
+            const normalizedSignature = signature.map(r => r / maxRadius);
+
+            // Zoning: ink density per cell of the ink box, resized to a fixed size
+            const size = DescriptorMatching.NORMALIZED_SIZE;
+            const grid = DescriptorMatching.ZONING_GRID;
+            const cell = size / grid;
+            const inkBox = binary.roi(new cv.Rect(minX, minY, maxX - minX, maxY - minY));
+            const normalized = new cv.Mat();
+            cv.resize(inkBox, normalized, new cv.Size(size, size), 0, 0, cv.INTER_AREA);
+            inkBox.delete();
+
+            const zoning = [];
+            for (let gy = 0; gy < grid; gy++) {
+                for (let gx = 0; gx < grid; gx++) {
+                    const zone = normalized.roi(new cv.Rect(gx * cell, gy * cell, cell, cell));
+                    zoning.push(cv.mean(zone)[0] / 255);
+                    zone.delete();
+                }
+            }
+            normalized.delete();
+
+            return { hu, signature: normalizedSignature, zoning };
+
+        } catch (error) {
+            console.error('Descriptor computation error:', error);
+            return null;
+        } finally {
+            binary.delete();
+            contours.delete();
+            hierarchy.delete();
+        }
+    },
+
+    /**
+     * Cosine similarity of two equal-length vectors
+     * @returns {number} 0-1 for non-negative vectors
+     */
+    cosine: (a, b) => {
+        let dot = 0, normA = 0, normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    },
+
+    /**
+     * Compare two descriptors
+     * @param {Object} a - Descriptor
+     * @param {Object} b - Descriptor
+     * @returns {number} Similarity 0-1
+     */
+    compareDescriptors: (a, b) => {
+        if (!a || !b) return 0;
+
+        // Relative difference of the log Hu invariants
+        const huDiff = a.hu.reduce((sum, value, i) => {
+            const scale = Math.max(Math.abs(value), Math.abs(b.hu[i]), 1e-6);
+            return sum + Math.abs(value - b.hu[i]) / scale;
+        }, 0) / a.hu.length;
+        const huScore = Math.max(0, 1 - huDiff);
+
+        const signatureScore = DescriptorMatching.cosine(a.signature, b.signature);
+        const zoningScore = DescriptorMatching.cosine(a.zoning, b.zoning);
+
+        const weights = CONFIG.RECOGNITION.DESCRIPTOR_WEIGHTS;
+        return huScore * weights.HU + signatureScore * weights.SIGNATURE + zoningScore * weights.ZONING;
+    },
+
+    /**
+     * Match a region against a prepared template using descriptors
+     * @param {cv.Mat} regionMat - Region to match
+     * @param {Object} prepared - Template from TemplateStore (carries .descriptor)
+     * @param {string} matchType - Template type (primary/variant/example/learned)
+     * @param {Object} regionDescriptor - Precomputed region descriptor (optional)
+     * @returns {Object} Match result with confidence
+     */
+    matchPrepared: (regionMat, prepared, matchType = 'primary', regionDescriptor = null) => {
+        const descriptor = regionDescriptor || DescriptorMatching.computeDescriptor(regionMat);
+        const matchWeight = CONFIG.RECOGNITION.CONFIDENCE_WEIGHTS[matchType.toUpperCase()] || 1.0;
+
+        return {
+            confidence: DescriptorMatching.compareDescriptors(descriptor, prepared.descriptor) * matchWeight,
+            scale: 1.0,
+            rotation: 0,
+            method: 'descriptor',
+            matchType: matchType
+        };
+    }
+};
+
+// Make globally available
+window.DescriptorMatching = DescriptorMatching;
@@ -7,9 +7,12 @@ const Isolation = {
     /**
      * Isolate potential glyph regions from preprocessed image
      * @param {cv.Mat} inputImage - Preprocessed OpenCV Mat
-     * @returns {Array} Array of isolated regions with bounds and thumbnails
+     * @param {Object} options - { includeThumbnails: false skips canvas encoding (for sweeps) }
+     * @returns {Array} Isolated regions with bounds, thumbnails and (for multi-part glyphs) part boxes
      */
-    isolateGlyphs: (inputImage) => {
+    isolateGlyphs: (inputImage, options = {}) => {
+        const { includeThumbnails = true } = options;
+
         if (!inputImage || inputImage.empty()) {
             throw new Error('Invalid input image for glyph isolation');
         }
@@ -21,22 +24,7 @@ const Isolation = {
         console.log(`🔍 Isolating glyphs from ${inputImage.cols}x${inputImage.rows} image`);
         console.log(`   Area range: ${minArea.toFixed(0)} - ${maxArea.toFixed(0)} pixels`);
 
-        // Convert to grayscale if needed
-        let gray = new cv.Mat();
-        if (inputImage.channels() === 1) {
-            gray = inputImage.clone();
-        } else {
-            cv.cvtColor(inputImage, gray, cv.COLOR_RGBA2GRAY);
-        }
-
-        // Apply binary threshold
-        const binary = new cv.Mat();
-        cv.threshold(gray, binary, 0, 255, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
-
-        // Clean up noise with morphological operations
-        const kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(2, 2));
-        const cleaned = new cv.Mat();
-        cv.morphologyEx(binary, cleaned, cv.MORPH_CLOSE, kernel);
+        const cleaned = Isolation.binarize(inputImage);
 
         // Find contours
         const contours = new cv.MatVector();
@@ -45,39 +33,53 @@ const Isolation = {
 
         console.log(`   Found ${contours.size()} contours`);
 
-        // Process each contour
-        const regions = [];
+        // Collect components, keeping parts too small to be glyphs on their own (dots, bars)
+        const minComponentArea = imageArea * CONFIG.ISOLATION.GROUPING.MIN_COMPONENT_AREA_RATIO;
+        const components = [];
         for (let i = 0; i < contours.size(); i++) {
             const contour = contours.get(i);
             const area = cv.contourArea(contour);
-            
-            // Filter by area
-            if (area < minArea || area > maxArea) {
+
+            if (area < minComponentArea || area > maxArea) {
                 contour.delete();
                 continue;
             }
 
-            // Get bounding rectangle
-            const rect = cv.boundingRect(contour);
-            const aspectRatio = rect.width / rect.height;
+            components.push({ contour, area, rect: cv.boundingRect(contour) });
+        }
 
-            // Filter by aspect ratio
-            if (aspectRatio < CONFIG.ISOLATION.MIN_ASPECT_RATIO || 
-                aspectRatio > CONFIG.ISOLATION.MAX_ASPECT_RATIO) {
-                contour.delete();
-                continue;
-            }
+        // Word dividers are thinner than the aspect filter allows and small beside letters
+        const typicalHeight = Isolation.typicalHeight(components, minArea);
+        components.forEach(c => { c.divider = Isolation.isDividerShaped(c, typicalHeight); });
 
-            // Calculate solidity (contour area / bounding box area)
+        // Merge multi-part glyphs (detached dots/bars, separate strokes)
+        const groups = CONFIG.ISOLATION.GROUPING.ENABLED
+            ? Isolation.groupComponents(components, minArea)
+            : components.map(component => [component]);
+
+        // Process each glyph candidate
+        const regions = [];
+        for (const group of groups) {
+            const area = group.reduce((sum, c) => sum + c.area, 0);
+            const rect = Isolation.unionRect(group.map(c => c.rect));
+            const aspectRatio = rect.width / rect.height;
+            const divider = group.length === 1 && group[0].divider;
+
+            // Calculate solidity (ink area / bounding box area)
             const boundingArea = rect.width * rect.height;
             const solidity = area / boundingArea;
 
-            // Filter by solidity
-            if (solidity < CONFIG.ISOLATION.MIN_SOLIDITY) {
-                contour.delete();
+            // Filter by area, aspect ratio and solidity (dividers may be smaller and thinner than letters)
+            if ((area < minArea && !divider) || area > maxArea ||
+                (aspectRatio < CONFIG.ISOLATION.MIN_ASPECT_RATIO && !divider) ||
+                aspectRatio > CONFIG.ISOLATION.MAX_ASPECT_RATIO ||
+                solidity < CONFIG.ISOLATION.MIN_SOLIDITY) {
+                group.forEach(c => c.contour.delete());
                 continue;
             }
 
+            const contour = group.length === 1 ? group[0].contour : Isolation.mergeContours(group);
+
             // Add padding to bounds
             const padding = CONFIG.ISOLATION.PADDING;
             const bounds = {
@@ -87,15 +89,17 @@ const Isolation = {
                 height: Math.min(inputImage.rows - rect.y + padding, rect.height + 2 * padding)
             };
 
-            // Extract region
-            const region = inputImage.roi(new cv.Rect(bounds.x, bounds.y, bounds.width, bounds.height));
-            
             // Create thumbnail
-            const canvas = document.createElement('canvas');
-            canvas.width = bounds.width;
-            canvas.height = bounds.height;
-            cv.imshow(canvas, region);
-            const thumbnail = canvas.toDataURL();
+            let thumbnail = null;
+            if (includeThumbnails) {
+                const region = inputImage.roi(new cv.Rect(bounds.x, bounds.y, bounds.width, bounds.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = bounds.width;
+                canvas.height = bounds.height;
+                cv.imshow(canvas, region);
+                thumbnail = canvas.toDataURL();
+                region.delete();
+            }
 
             regions.push({
                 bounds: bounds,
@@ -103,23 +107,233 @@ const Isolation = {
                 aspectRatio: aspectRatio,
                 solidity: solidity,
                 thumbnail: thumbnail,
-                contour: contour
+                contour: contour,
+                // Part boxes for the grouping debug overlay (null for single-part glyphs)
+                components: group.length > 1 ? group.map(c => ({ ...c.rect })) : null
             });
-
-            region.delete();
         }
 
         console.log(`   ✅ Isolated ${regions.length} potential glyphs`);
 
         // Cleanup
+        cleaned.delete();
+        contours.delete();
+        hierarchy.delete();
+
+        return regions;
+    },
+
+    /**
+     * Threshold an image into ink (white) on background (black)
+     * @param {cv.Mat} inputImage - Preprocessed OpenCV Mat
+     * @returns {cv.Mat} Binary image (caller must delete)
+     */
+    binarize: (inputImage) => {
+        // Convert to grayscale if needed
+        let gray = new cv.Mat();
+        if (inputImage.channels() === 1) {
+            gray = inputImage.clone();
+        } else {
+            cv.cvtColor(inputImage, gray, cv.COLOR_RGBA2GRAY);
+        }
+
+        // Apply binary threshold
+        const binary = new cv.Mat();
+        cv.threshold(gray, binary, 0, 255, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
+
+        // Clean up noise with morphological operations
+        const kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(2, 2));
+        const cleaned = new cv.Mat();
+        cv.morphologyEx(binary, cleaned, cv.MORPH_CLOSE, kernel);
+
         gray.delete();
         binary.delete();
-        cleaned.delete();
         kernel.delete();
+        return cleaned;
+    },
+
+    /**
+     * Find blobs too large to be one glyph (glyphs touching each other or
+     * joined by cracks). isolateGlyphs drops these; the sliding-window
+     * detector searches inside them instead.
+     * @param {cv.Mat} inputImage - Preprocessed OpenCV Mat
+     * @returns {Array} [{ bounds, area }]
+     */
+    findOversizedRegions: (inputImage) => {
+        const maxArea = inputImage.rows * inputImage.cols * CONFIG.ISOLATION.MAX_AREA_RATIO;
+        const cleaned = Isolation.binarize(inputImage);
+        const contours = new cv.MatVector();
+        const hierarchy = new cv.Mat();
+        cv.findContours(cleaned, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+        const oversized = [];
+        for (let i = 0; i < contours.size(); i++) {
+            const contour = contours.get(i);
+            const area = cv.contourArea(contour);
+            if (area > maxArea) {
+                const rect = cv.boundingRect(contour);
+                oversized.push({ bounds: { x: rect.x, y: rect.y, width: rect.width, height: rect.height }, area });
+            }
+            contour.delete();
+        }
+
+        cleaned.delete();
         contours.delete();
         hierarchy.delete();
 
-        return regions;
+        if (oversized.length > 0) {
+            console.log(`   🔲 ${oversized.length} oversized blobs (touching glyphs?)`);
+        }
+        return oversized;
+    },
+
+    /**
+     * Group connected components that belong to the same glyph.
+     * Two parts are joined when the gap between them is small relative to the
+     * typical glyph height and they are either stacked (overlap horizontally,
+     * e.g. d-dot, t-bar) or one is much smaller than the other (a detached dot)
+     * and lines up with it or sits right next to it, as long as the combined
+     * box stays glyph-sized. Word dividers (see isDividerShaped) stay on their own.
+     * @param {Array} components - [{ contour, area, rect }]
+     * @param {number} glyphArea - Minimum area of a standalone glyph
+     * @returns {Array<Array>} Groups of components
+     */
+    groupComponents: (components, glyphArea) => {
+        if (components.length <= 1) return components.map(component => [component]);
+
+        const params = CONFIG.ISOLATION.GROUPING;
+
+        const typicalHeight = Isolation.typicalHeight(components, glyphArea);
+        const maxGap = typicalHeight * params.MAX_GAP_RATIO;
+        const maxMinorGap = typicalHeight * params.MINOR_PART_GAP_RATIO;
+        const maxSize = typicalHeight * params.MAX_GROUP_SIZE_RATIO;
+
+        // Candidate pairs, closest first
+        const pairs = [];
+        for (let i = 0; i < components.length; i++) {
+            for (let j = i + 1; j < components.length; j++) {
+                const a = components[i];
+                const b = components[j];
+                if (a.divider || b.divider) continue;
+
+                const gap = Isolation.rectGap(a.rect, b.rect);
+                if (gap > maxGap) continue;
+
+                const overlapX = Math.min(a.rect.x + a.rect.width, b.rect.x + b.rect.width) - Math.max(a.rect.x, b.rect.x);
+                const overlapY = Math.min(a.rect.y + a.rect.height, b.rect.y + b.rect.height) - Math.max(a.rect.y, b.rect.y);
+                const stacked = overlapX / Math.min(a.rect.width, b.rect.width) >= params.MIN_ALIGNMENT;
+                const beside = overlapY / Math.min(a.rect.height, b.rect.height) >= params.MIN_ALIGNMENT;
+
+                // A small part off to the side of both axes is as likely to be a neighbour's dot
+                const minorPart = Math.min(a.area, b.area) <= Math.max(a.area, b.area) * params.MAX_PART_AREA_RATIO
+                    && (beside || gap <= maxMinorGap);
+
+                if (stacked || minorPart) pairs.push({ i, j, gap });
+            }
+        }
+        pairs.sort((a, b) => a.gap - b.gap);
+
+        // Union-find over components; each root tracks its group's box
+        const parent = components.map((_, i) => i);
+        const boxes = components.map(c => ({ ...c.rect }));
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+        pairs.forEach(({ i, j }) => {
+            const rootI = find(i);
+            const rootJ = find(j);
+            if (rootI === rootJ) return;
+
+            const merged = Isolation.unionRect([boxes[rootI], boxes[rootJ]]);
+            if (merged.width > maxSize || merged.height > maxSize) return;
+
+            parent[rootJ] = rootI;
+            boxes[rootI] = merged;
+        });
+
+        const groups = new Map();
+        components.forEach((component, i) => {
+            const root = find(i);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(component);
+        });
+
+        const grouped = [...groups.values()];
+        if (grouped.length < components.length) {
+            console.log(`   🧩 Grouped ${components.length} components into ${grouped.length} candidates`);
+        }
+        return grouped;
+    },
+
+    /**
+     * Typical glyph height: median height of the components big enough to be glyphs on their own
+     * @param {Array} components - [{ area, rect }]
+     * @param {number} glyphArea - Minimum area of a standalone glyph
+     * @returns {number} Pixels
+     */
+    typicalHeight: (components, glyphArea) => {
+        if (components.length === 0) return 0;
+        const glyphSized = components.filter(c => c.area >= glyphArea);
+        const heights = (glyphSized.length > 0 ? glyphSized : components)
+            .map(c => c.rect.height)
+            .sort((a, b) => a - b);
+        return heights[Math.floor(heights.length / 2)];
+    },
+
+    /**
+     * Whether a component looks like a word divider: a solid upright bar
+     * nearly as tall as the glyphs
+     * @param {Object} component - { area, rect }
+     * @param {number} typicalHeight - Typical glyph height
+     * @returns {boolean}
+     */
+    isDividerShaped: (component, typicalHeight) => {
+        const params = CONFIG.ISOLATION.DIVIDER;
+        const { width, height } = component.rect;
+        return width / height <= params.MAX_ASPECT &&
+            height >= typicalHeight * params.MIN_HEIGHT_RATIO &&
+            component.area / (width * height) >= params.MIN_SOLIDITY;
+    },
+
+    /**
+     * Gap between two rectangles (0 if they touch or overlap)
+     * @returns {number} Pixels
+     */
+    rectGap: (a, b) => {
+        const dx = Math.max(0, Math.max(a.x, b.x) - Math.min(a.x + a.width, b.x + b.width));
+        const dy = Math.max(0, Math.max(a.y, b.y) - Math.min(a.y + a.height, b.y + b.height));
+        return Math.hypot(dx, dy);
+    },
+
+    /**
+     * Bounding rectangle of several rectangles
+     * @param {Array} rects - [{x, y, width, height}]
+     * @returns {Object} {x, y, width, height}
+     */
+    unionRect: (rects) => {
+        const x = Math.min(...rects.map(r => r.x));
+        const y = Math.min(...rects.map(r => r.y));
+        const right = Math.max(...rects.map(r => r.x + r.width));
+        const bottom = Math.max(...rects.map(r => r.y + r.height));
+        return { x, y, width: right - x, height: bottom - y };
+    },
+
+    /**
+     * Replace a group's contours with the convex hull of all their points
+     * @param {Array} group - Components (their contours are deleted)
+     * @returns {cv.Mat} Hull contour (caller must delete)
+     */
+    mergeContours: (group) => {
+        const points = [];
+        group.forEach(c => {
+            points.push(...c.contour.data32S);
+            c.contour.delete();
+        });
+
+        const allPoints = cv.matFromArray(points.length / 2, 1, cv.CV_32SC2, points);
+        const hull = new cv.Mat();
+        cv.convexHull(allPoints, hull, false, true);
+        allPoints.delete();
+        return hull;
     },
 
     /**
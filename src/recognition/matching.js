@@ -13,10 +13,24 @@ const Matching = {
      * @returns {Object} Match result with confidence and details
      */
     performTemplateMatching: (regionMat, templateMat, glyph, matchType = 'primary') => {
+        // One-off match: prepare the template, match, and free it again.
+        // Repeated matching should go through TemplateStore instead.
+        const prepared = TemplateStore.prepare(templateMat);
+        const match = Matching.matchPrepared(regionMat, prepared, matchType);
+        TemplateStore.release(prepared);
+        return match;
+    },
+
+    /**
+     * Match a region against a template whose scales/rotations are pre-computed
+     * @param {cv.Mat} regionMat - Region to match
+     * @param {Object} prepared - Template from TemplateStore (or TemplateStore.prepare)
+     * @param {string} matchType - Type of match (primary/variant/example/learned)
+     * @returns {Object} Match result with confidence and details
+     */
+    matchPrepared: (regionMat, prepared, matchType = 'primary') => {
         try {
-            // Preprocess both images
             const regionProcessed = Utils.preprocessImageForMatching(regionMat);
-            const templateProcessed = Utils.preprocessImageForMatching(templateMat);
 
             let bestMatch = {
                 confidence: 0,
@@ -25,81 +39,48 @@ const Matching = {
                 method: null
             };
 
-            // Try different scales and rotations
-            for (const scale of CONFIG.RECOGNITION.SCALES) {
-                // Skip if scaled template would be invalid
-                const scaledWidth = Math.round(templateProcessed.cols * scale);
-                const scaledHeight = Math.round(templateProcessed.rows * scale);
-                
-                if (scaledWidth < 5 || scaledHeight < 5 || 
-                    scaledWidth > regionProcessed.cols || 
-                    scaledHeight > regionProcessed.rows) {
+            const methods = [
+                cv.TM_CCOEFF_NORMED,
+                cv.TM_CCORR_NORMED,
+                cv.TM_SQDIFF_NORMED
+            ];
+
+            // Apply match type weight
+            const matchWeight = CONFIG.RECOGNITION.CONFIDENCE_WEIGHTS[matchType.toUpperCase()] || 1.0;
+
+            for (const { scale, rotation, mat } of prepared.variants) {
+                // Skip if the template is larger than the region
+                if (mat.cols > regionProcessed.cols || mat.rows > regionProcessed.rows) {
                     continue;
                 }
 
-                // Scale template
-                const scaledTemplate = new cv.Mat();
-                cv.resize(templateProcessed, scaledTemplate, new cv.Size(scaledWidth, scaledHeight));
+                for (const method of methods) {
+                    const result = new cv.Mat();
+                    cv.matchTemplate(regionProcessed, mat, result, method);
 
-                for (const rotation of CONFIG.RECOGNITION.ROTATIONS) {
-                    let rotatedTemplate = scaledTemplate;
-                    
-                    // Rotate if needed
-                    if (rotation !== 0) {
-                        rotatedTemplate = Matching.rotateImage(scaledTemplate, rotation);
-                    }
+                    const minMax = cv.minMaxLoc(result);
+                    let confidence = method === cv.TM_SQDIFF_NORMED 
+                        ? 1 - minMax.minVal 
+                        : minMax.maxVal;
 
-                    // Skip if rotated template is larger than region
-                    if (rotatedTemplate.cols > regionProcessed.cols || 
-                        rotatedTemplate.rows > regionProcessed.rows) {
-                        if (rotation !== 0) rotatedTemplate.delete();
-                        continue;
-                    }
+                    confidence *= matchWeight;
 
-                    // Perform template matching with multiple methods
-                    const methods = [
-                        cv.TM_CCOEFF_NORMED,
-                        cv.TM_CCORR_NORMED,
-                        cv.TM_SQDIFF_NORMED
-                    ];
-
-                    for (const method of methods) {
-                        const result = new cv.Mat();
-                        cv.matchTemplate(regionProcessed, rotatedTemplate, result, method);
-
-                        const minMax = cv.minMaxLoc(result);
-                        let confidence = method === cv.TM_SQDIFF_NORMED 
-                            ? 1 - minMax.minVal 
-                            : minMax.maxVal;
-
-                        // Apply match type weight
-                        const matchWeight = CONFIG.RECOGNITION.CONFIDENCE_WEIGHTS[matchType.toUpperCase()] || 1.0;
-                        confidence *= matchWeight;
-
-                        if (confidence > bestMatch.confidence) {
-                            bestMatch = {
-                                confidence: confidence,
-                                scale: scale,
-                                rotation: rotation,
-                                method: method,
-                                matchType: matchType
-                            };
-                        }
-
-                        result.delete();
+                    if (confidence > bestMatch.confidence) {
+                        bestMatch = {
+                            confidence: confidence,
+                            scale: scale,
+                            rotation: rotation,
+                            method: method,
+                            matchType: matchType
+                        };
                     }
 
-                    if (rotation !== 0) {
-                        rotatedTemplate.delete();
-                    }
+                    result.delete();
                 }
-
-                scaledTemplate.delete();
             }
 
             // Cleanup
             regionProcessed.delete();
-            templateProcessed.delete();
 
             return bestMatch;
 
@@ -109,6 +90,40 @@ const Matching = {
         }
     },
 
+    /**
+     * Match a prepared template with the selected engine
+     * @param {cv.Mat} regionMat - Region to match
+     * @param {Object} prepared - Template from TemplateStore
+     * @param {string} matchType - Template type (primary/variant/example/learned)
+     * @param {string} engine - 'template' | 'descriptor' | 'combined'
+     * @param {Object} regionDescriptor - Precomputed region descriptor (optional)
+     * @returns {Object} Match result; `engine` names the engine that produced it
+     */
+    matchWithEngine: (regionMat, prepared, matchType = 'primary', engine = CONFIG.RECOGNITION.MATCH_ENGINE, regionDescriptor = null) => {
+        if (engine === 'descriptor') {
+            return {
+                ...DescriptorMatching.matchPrepared(regionMat, prepared, matchType, regionDescriptor),
+                engine: 'descriptor'
+            };
+        }
+
+        const templateMatch = Matching.matchPrepared(regionMat, prepared, matchType);
+        if (engine !== 'combined') {
+            return { ...templateMatch, engine: 'template' };
+        }
+
+        const descriptorMatch = DescriptorMatching.matchPrepared(regionMat, prepared, matchType, regionDescriptor);
+        const weights = CONFIG.RECOGNITION.ENGINE_WEIGHTS;
+
+        return {
+            ...templateMatch,
+            confidence: templateMatch.confidence * weights.TEMPLATE + descriptorMatch.confidence * weights.DESCRIPTOR,
+            templateScore: templateMatch.confidence,
+            descriptorScore: descriptorMatch.confidence,
+            engine: 'combined'
+        };
+    },
+
     /**
      * Rotate an image by a given angle
      * @param {cv.Mat} image - Image to rotate
@@ -126,72 +141,193 @@ const Matching = {
         return rotated;
     },
 
+    /**
+     * Resize a region so the template fits inside it at every configured scale
+     * @param {cv.Mat} regionMat - Region to resize
+     * @param {cv.Mat} templateMat - Template the region will be matched against
+     * @returns {cv.Mat} Resized region (caller must delete)
+     */
+    fitRegionToTemplate: (regionMat, templateMat) => {
+        const maxScale = Math.max(...CONFIG.RECOGNITION.SCALES);
+        const fitted = new cv.Mat();
+        cv.resize(regionMat, fitted, new cv.Size(
+            Math.ceil(templateMat.cols * maxScale),
+            Math.ceil(templateMat.rows * maxScale)
+        ));
+        return fitted;
+    },
+
     /**
      * Match a region against all available templates for a glyph
      * @param {cv.Mat} regionMat - Region to match
      * @param {Object} glyph - Glyph with templates
+     * @param {string} engine - 'template' | 'descriptor' | 'combined'
      * @returns {Object} Best match across all templates
      */
-    matchAllTemplates: async (regionMat, glyph) => {
+    matchAllTemplates: async (regionMat, glyph, engine = CONFIG.RECOGNITION.MATCH_ENGINE) => {
         let bestOverallMatch = {
             confidence: 0,
             templateType: null,
             matchDetails: null
         };
 
-        // Try primary template
-        if (glyph.primary_template_url) {
-            const primaryTemplate = await Matching.loadTemplateImage(glyph.primary_template_url);
-            if (primaryTemplate) {
-                const match = Matching.performTemplateMatching(regionMat, primaryTemplate, glyph, 'primary');
-                if (match.confidence > bestOverallMatch.confidence) {
-                    bestOverallMatch = {
-                        confidence: match.confidence,
-                        templateType: 'primary',
-                        matchDetails: match
-                    };
-                }
-                primaryTemplate.delete();
+        // Every template the glyph has, ranked and trimmed to its budget
+        const candidates = Matching.collectTemplateUrls(glyph);
+        const selected = TemplateRanking.selectTemplates(glyph, candidates);
+        const regionDescriptor = engine === 'template' ? null : DescriptorMatching.computeDescriptor(regionMat);
+
+        for (const { type, index, url } of selected) {
+            // Decoded once per session; later calls hit the cache
+            const template = await TemplateStore.load(
+                TemplateStore.makeKey(glyph.id, type, index),
+                url,
+                { glyphId: glyph.id, type, index }
+            );
+            if (!template) continue;
+
+            const match = Matching.matchWithEngine(regionMat, template, type, engine, regionDescriptor);
+            if (match.confidence > bestOverallMatch.confidence) {
+                bestOverallMatch = {
+                    confidence: match.confidence,
+                    templateType: type,
+                    templateIndex: index,
+                    matchDetails: match
+                };
             }
         }
 
-        // Try variant templates
-        if (glyph.variant_template_urls && Array.isArray(glyph.variant_template_urls)) {
-            for (const variantUrl of glyph.variant_template_urls.slice(0, 3)) { // Limit to 3 variants
-                const variantTemplate = await Matching.loadTemplateImage(variantUrl);
-                if (variantTemplate) {
-                    const match = Matching.performTemplateMatching(regionMat, variantTemplate, glyph, 'variant');
-                    if (match.confidence > bestOverallMatch.confidence) {
-                        bestOverallMatch = {
-                            confidence: match.confidence,
-                            templateType: 'variant',
-                            matchDetails: match
-                        };
-                    }
-                    variantTemplate.delete();
+        return bestOverallMatch;
+    },
+
+    /**
+     * Clamp region bounds to the image so roi() never reads outside it
+     * @param {Object} bounds - Region bounds {x, y, width, height}
+     * @param {cv.Mat} image - Source image
+     * @returns {cv.Rect} Clamped rectangle
+     */
+    clampRect: (bounds, image) => {
+        const x = Math.max(0, Math.min(Math.round(bounds.x), image.cols - 1));
+        const y = Math.max(0, Math.min(Math.round(bounds.y), image.rows - 1));
+        const width = Math.max(1, Math.min(Math.round(bounds.width), image.cols - x));
+        const height = Math.max(1, Math.min(Math.round(bounds.height), image.rows - y));
+        return new cv.Rect(x, y, width, height);
+    },
+
+    /**
+     * Match one isolated region against every glyph's prepared templates.
+     * Shared by the recognition worker and the benchmark runner.
+     * @param {cv.Mat} inputMat - Image the regions were isolated from
+     * @param {Object} region - Isolated region
+     * @param {Array} glyphs - Chart glyphs
+     * @param {Map} templatesByGlyph - glyph id → [TemplateStore entry + { type, index, templateId, label, weight?, provenance? }]
+     *   (learned examples carry their own weight and provenance)
+     * @param {number} minConfidence - Minimum confidence to keep a candidate
+     * @param {string} engine - 'template' | 'descriptor' | 'combined'
+     * @returns {Object|null} Best detection with its top-k candidates, or null
+     */
+    matchRegion: (inputMat, region, glyphs, templatesByGlyph, minConfidence, engine = CONFIG.RECOGNITION.MATCH_ENGINE) => {
+        const regionMat = inputMat.roi(Matching.clampRect(region.bounds, inputMat));
+        const candidates = [];
+
+        // Descriptors are scale-invariant, so compute them on the unresized region once
+        const regionDescriptor = engine === 'template' ? null : DescriptorMatching.computeDescriptor(regionMat);
+
+        for (const glyph of glyphs) {
+            const glyphTemplates = templatesByGlyph.get(glyph.id) || [];
+            let best = null;
+
+            for (const template of glyphTemplates) {
+                const fitted = Matching.fitRegionToTemplate(regionMat, template.base);
+                const match = Matching.matchWithEngine(fitted, template, template.type, engine, regionDescriptor);
+                fitted.delete();
+                if (template.weight !== undefined) match.confidence *= template.weight;
+
+                if (!best || match.confidence > best.match.confidence) {
+                    best = { template, match };
                 }
             }
-        }
 
-        // Try example templates
-        if (glyph.example_template_urls && Array.isArray(glyph.example_template_urls)) {
-            for (const exampleUrl of glyph.example_template_urls.slice(0, 2)) { // Limit to 2 examples
-                const exampleTemplate = await Matching.loadTemplateImage(exampleUrl);
-                if (exampleTemplate) {
-                    const match = Matching.performTemplateMatching(regionMat, exampleTemplate, glyph, 'example');
-                    if (match.confidence > bestOverallMatch.confidence) {
-                        bestOverallMatch = {
-                            confidence: match.confidence,
-                            templateType: 'example',
-                            matchDetails: match
-                        };
-                    }
-                    exampleTemplate.delete();
+            if (!best) continue;
+
+            const confidence = Math.min(best.match.confidence + Matching.calculateShapeBoost(region, glyph), 0.99);
+            if (confidence < minConfidence) continue;
+
+            candidates.push({
+                glyph: glyph,
+                confidence: confidence,
+                position: region.bounds,
+                thumbnail: null,
+                matchedTemplate: best.template.type,
+                matchedTemplateLabel: best.template.label,
+                matchedTemplateIndex: best.template.index,
+                matchedTemplateId: best.template.templateId || null,
+                learnedExample: best.template.provenance || null,
+                matchType: best.match.engine,
+                matchDetails: {
+                    scale: best.match.scale,
+                    rotation: best.match.rotation,
+                    templateScore: best.match.templateScore,
+                    descriptorScore: best.match.descriptorScore
                 }
-            }
+            });
         }
 
-        return bestOverallMatch;
+        regionMat.delete();
+
+        if (candidates.length === 0) return null;
+
+        candidates.sort((a, b) => b.confidence - a.confidence);
+        const detection = candidates[0];
+        detection.candidates = Matching.toCandidates(candidates);
+        if (region.components) detection.components = region.components;
+        return detection;
+    },
+
+    /**
+     * Turn per-glyph scores for one region into the detection's top-k candidate list.
+     * Candidates carry a compact glyph so they can be saved in .hki files as-is.
+     * @param {Array} matches - [{ glyph, confidence, matchedTemplate, matchedTemplateIndex, matchedTemplateId, matchType }]
+     * @param {number} topK - Number of candidates to keep
+     * @returns {Array} Candidates, best first
+     */
+    toCandidates: (matches, topK = CONFIG.RECOGNITION.TOP_K) => {
+        return [...matches]
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, topK)
+            .map(match => ({
+                glyph: {
+                    id: match.glyph.id,
+                    name: match.glyph.name,
+                    transliteration: match.glyph.transliteration,
+                    arabic: match.glyph.arabic
+                },
+                confidence: match.confidence,
+                matchedTemplate: match.matchedTemplate || null,
+                matchedTemplateIndex: match.matchedTemplateIndex,
+                matchedTemplateId: match.matchedTemplateId || null,
+                matchedTemplateLabel: match.matchedTemplateLabel || null,
+                learnedExample: match.learnedExample || null,
+                matchType: match.matchType || null
+            }));
+    },
+
+    /**
+     * List every template URL a glyph has
+     * @param {Object} glyph - Glyph with *_template_url(s) fields
+     * @returns {Array} [{ type, index, url }]
+     */
+    collectTemplateUrls: (glyph) => {
+        const asList = (urls) => Array.isArray(urls) ? urls : [];
+        const templates = [];
+
+        if (glyph.primary_template_url) {
+            templates.push({ type: 'primary', index: 0, url: glyph.primary_template_url });
+        }
+        asList(glyph.variant_template_urls).forEach((url, index) => templates.push({ type: 'variant', index, url }));
+        asList(glyph.example_template_urls).forEach((url, index) => templates.push({ type: 'example', index, url }));
+        asList(glyph.learned_template_urls).forEach((url, index) => templates.push({ type: 'learned', index, url }));
+
+        return templates;
     },
 
     /**
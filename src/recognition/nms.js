@@ -4,8 +4,52 @@
 // ============================================
 
 const NMS = {
+    STRATEGIES: {
+        STANDARD: 'standard',       // Keep the best box, drop any overlapping one
+        CLASS_SPECIFIC: 'class',    // Only suppress overlaps of the same glyph
+        SOFT: 'soft',               // Decay overlapping confidences instead of dropping
+        MERGE: 'merge'              // Average near-identical boxes, then standard NMS
+    },
+
+    /**
+     * Default settings for apply(), from CONFIG
+     * @returns {Object} { strategy, iouThreshold, sigma, mergeThreshold }
+     */
+    getDefaultSettings: () => ({
+        strategy: CONFIG.NMS.STRATEGY,
+        iouThreshold: CONFIG.RECOGNITION.IOU_THRESHOLD,
+        sigma: CONFIG.NMS.SOFT_SIGMA,
+        mergeThreshold: CONFIG.NMS.MERGE_THRESHOLD
+    }),
+
+    /**
+     * Apply the selected suppression strategy
+     * @param {Array} detections - Array of detections
+     * @param {Object} settings - { strategy, iouThreshold, sigma, mergeThreshold } (missing values use defaults)
+     * @returns {Array} Filtered detections
+     */
+    apply: (detections, settings = {}) => {
+        const given = Object.fromEntries(Object.entries(settings || {}).filter(([, value]) => value !== undefined && value !== null));
+        const { strategy, iouThreshold, sigma, mergeThreshold } = { ...NMS.getDefaultSettings(), ...given };
+
+        switch (strategy) {
+            case NMS.STRATEGIES.CLASS_SPECIFIC:
+                return NMS.applyClassSpecificNMS(detections, iouThreshold);
+            case NMS.STRATEGIES.SOFT:
+                return NMS.applySoftNMS(detections, iouThreshold, sigma);
+            case NMS.STRATEGIES.MERGE:
+                return NMS.applyNMS(NMS.mergeOverlappingDetections(detections, mergeThreshold), iouThreshold);
+            case NMS.STRATEGIES.STANDARD:
+                return NMS.applyNMS(detections, iouThreshold);
+            default:
+                console.warn(`Unknown NMS strategy "${strategy}", using standard NMS`);
+                return NMS.applyNMS(detections, iouThreshold);
+        }
+    },
+
     /**
-     * Apply Non-Maximum Suppression to detections
+     * Apply Non-Maximum Suppression to detections.
+     * Overlap uses polygon corners when a detection has them (see Utils.calculateDetectionIoU).
      * @param {Array} detections - Array of detection objects with position and confidence
      * @param {number} iouThreshold - IoU threshold (default 0.3)
      * @returns {Array} Filtered detections
@@ -28,7 +72,7 @@ const NMS = {
 
             // Check against all kept detections
             for (let j = 0; j < keep.length; j++) {
-                const iou = Utils.calculateIoU(current.position, keep[j].position);
+                const iou = Utils.calculateDetectionIoU(current, keep[j]);
                 
                 if (iou > iouThreshold) {
                     shouldKeep = false;
@@ -117,7 +161,7 @@ const NMS = {
             
             // Decay confidence based on overlap with higher-confidence detections
             for (let j = 0; j < result.length; j++) {
-                const iou = Utils.calculateIoU(current.position, result[j].position);
+                const iou = Utils.calculateDetectionIoU(current, result[j]);
                 
                 if (iou > iouThreshold) {
                     // Gaussian decay: conf = conf * exp(-(iou^2) / sigma)
@@ -163,7 +207,7 @@ const NMS = {
             for (let j = i + 1; j < sorted.length; j++) {
                 if (processed.has(j)) continue;
 
-                const iou = Utils.calculateIoU(sorted[i].position, sorted[j].position);
+                const iou = Utils.calculateDetectionIoU(sorted[i], sorted[j]);
                 if (iou > iouThreshold) {
                     group.push(sorted[j]);
                     processed.add(j);
@@ -211,6 +255,28 @@ const NMS = {
             height: Math.round(avgHeight)
         };
 
+        // Adjusted outlines: average corner by corner when the polygons line up,
+        // otherwise keep the best detection's outline
+        if (group.some(det => Array.isArray(det.corners) && det.corners.length >= 3)) {
+            const polygons = group.map(det => Utils.getDetectionPolygon(det));
+            const sameShape = polygons.every(p => p.length === polygons[0].length);
+
+            base.corners = sameShape
+                ? polygons[0].map((_, k) => ({
+                    x: group.reduce((sum, det, i) => sum + polygons[i][k].x * det.confidence, 0) / totalConfidence,
+                    y: group.reduce((sum, det, i) => sum + polygons[i][k].y * det.confidence, 0) / totalConfidence
+                }))
+                : polygons[0];
+
+            const bounds = Utils.polygonBounds(base.corners);
+            base.position = {
+                x: Math.round(bounds.x),
+                y: Math.round(bounds.y),
+                width: Math.round(bounds.width),
+                height: Math.round(bounds.height)
+            };
+        }
+
         // Average confidence
         base.confidence = totalConfidence / group.length;
         
@@ -223,6 +289,7 @@ const NMS = {
 
     /**
      * Filter detections by minimum confidence threshold
+     * (calibrated confidence when Calibration has been fitted)
      * @param {Array} detections - Array of detections
      * @param {number} threshold - Minimum confidence (default from CONFIG)
      * @returns {Array} Filtered detections
@@ -230,7 +297,10 @@ const NMS = {
     filterByConfidence: (detections, threshold = CONFIG.RECOGNITION.MIN_CONFIDENCE) => {
         if (!detections) return [];
         
-        const filtered = detections.filter(det => det.confidence >= threshold);
+        const getConfidence = typeof Calibration !== 'undefined'
+            ? Calibration.getConfidence
+            : (det) => det.confidence;
+        const filtered = detections.filter(det => getConfidence(det) >= threshold);
         
         if (filtered.length < detections.length) {
             console.log(`   Filtered ${detections.length} → ${filtered.length} by confidence (threshold: ${threshold})`);
@@ -0,0 +1,115 @@
+// ============================================
+// RECOGNITION PIPELINE
+// Isolation → sliding window → Matching → NMS on one image.
+// Shared by the recognition worker and the main-thread
+// fallback so both produce the same detections.
+// ============================================
+
+const RecognitionPipeline = {
+    /**
+     * Give queued events (e.g. cancel) a chance to run
+     * @returns {Promise<void>}
+     */
+    yieldToEvents: () => new Promise(resolve => setTimeout(resolve, 0)),
+
+    /**
+     * Isolate candidate glyph regions, dropping their contours
+     * @param {cv.Mat} inputMat - Image to recognize (not modified)
+     * @param {Function} onProgress - Called with { stage: 'isolating' }
+     * @returns {Array} Regions without overlaps, ready for matching
+     */
+    isolate: (inputMat, onProgress = () => {}) => {
+        onProgress({ stage: 'isolating', current: 0, total: 0 });
+
+        const regions = Isolation.isolateGlyphs(inputMat, { includeThumbnails: false });
+
+        // Contours aren't needed for matching (and can't cross the worker boundary)
+        regions.forEach(region => {
+            if (region.contour) region.contour.delete();
+            delete region.contour;
+        });
+
+        return Isolation.filterOverlappingRegions(regions, 0.3);
+    },
+
+    /**
+     * Recognize glyphs in an image with already prepared templates
+     * @param {cv.Mat} inputMat - Image to recognize (not modified)
+     * @param {Array} glyphs - Chart glyphs
+     * @param {Map} templatesByGlyph - glyph id → [TemplateStore entry + { type, index, templateId, label, weight?, provenance? }]
+     * @param {Object} options - { nms, iouThreshold, minConfidence, engine, detectionMode, regions } (nms: see NMS.apply;
+     *   regions: already isolated and filtered regions to use instead of running Isolation, e.g. cached by the benchmark)
+     * @param {Object} hooks - { onProgress({ stage, current, total }), onPartial(detection), isCancelled() }
+     * @returns {Promise<{detections: Array, regionCount: number, preNmsCount: number, cancelled: boolean}>}
+     */
+    run: async (inputMat, glyphs, templatesByGlyph, options = {}, hooks = {}) => {
+        const onProgress = hooks.onProgress || (() => {});
+        const onPartial = hooks.onPartial || (() => {});
+        const isCancelled = hooks.isCancelled || (() => false);
+        const cancelled = { detections: [], regionCount: 0, preNmsCount: 0, cancelled: true };
+
+        // `nms` carries strategy/iouThreshold/sigma/mergeThreshold (see NMS.apply); a bare iouThreshold is still honoured
+        const nmsSettings = { iouThreshold: options.iouThreshold, ...options.nms };
+        const minConfidence = options.minConfidence ?? CONFIG.RECOGNITION.MIN_CONFIDENCE;
+        const engine = options.engine || CONFIG.RECOGNITION.MATCH_ENGINE;
+        const detectionMode = options.detectionMode || CONFIG.SLIDING_WINDOW.MODE;
+
+        const regions = options.regions || RecognitionPipeline.isolate(inputMat, onProgress);
+
+        const detections = [];
+        let splitRegions = new Set();
+
+        // Touching glyphs: slide templates over blobs isolation couldn't split
+        if (detectionMode !== SlidingWindow.MODES.ISOLATION) {
+            const plan = SlidingWindow.planAreas(inputMat, regions, detectionMode);
+            const windowDetections = [];
+
+            for (let a = 0; a < plan.areas.length; a++) {
+                await RecognitionPipeline.yieldToEvents();
+                if (isCancelled()) return cancelled;
+
+                onProgress({ stage: 'scanning', current: a + 1, total: plan.areas.length });
+                windowDetections.push(...SlidingWindow.detect(inputMat, { ...plan, areas: [plan.areas[a]] }, glyphs, templatesByGlyph, { minConfidence })
+                    .map(detection => ({ ...detection, areaIndex: a })));
+            }
+
+            const resolved = SlidingWindow.resolve(plan, windowDetections);
+            splitRegions = resolved.splitRegions;
+            resolved.detections.forEach(detection => {
+                detections.push(detection);
+                onPartial(detection);
+            });
+        }
+
+        for (let i = 0; i < regions.length; i++) {
+            // A full scan replaces region matching; split regions were covered by the window
+            if (detectionMode === SlidingWindow.MODES.FULL || splitRegions.has(i)) continue;
+
+            await RecognitionPipeline.yieldToEvents();
+            if (isCancelled()) return cancelled;
+
+            onProgress({ stage: 'matching', current: i + 1, total: regions.length });
+
+            const detection = Matching.matchRegion(inputMat, regions[i], glyphs, templatesByGlyph, minConfidence, engine);
+            if (detection) {
+                detections.push(detection);
+                onPartial(detection);
+            }
+        }
+
+        await RecognitionPipeline.yieldToEvents();
+        if (isCancelled()) return cancelled;
+
+        onProgress({ stage: 'nms', current: regions.length, total: regions.length });
+
+        return {
+            detections: NMS.apply(detections, nmsSettings),
+            regionCount: regions.length,
+            preNmsCount: detections.length,
+            cancelled: false
+        };
+    }
+};
+
+// Make globally available
+window.RecognitionPipeline = RecognitionPipeline;
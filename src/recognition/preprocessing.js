@@ -18,6 +18,13 @@ const Preprocessing = {
         let processed = sourceMat.clone();
 
         try {
+            // 0. Perspective rectification (quad is in original-image coordinates)
+            if (Preprocessing.hasPerspectiveCorrection(settings)) {
+                const rectified = Preprocessing.rectifyPerspective(processed, settings.perspectiveCorners);
+                processed.delete();
+                processed = rectified;
+            }
+
             // 1. Rotation
             if (settings.rotation && settings.rotation !== 0) {
                 const rotated = Preprocessing.rotateImage(processed, settings.rotation);
@@ -35,7 +42,14 @@ const Preprocessing = {
             processed.delete();
             processed = gray;
 
-            // 3. Gaussian blur (if enabled)
+            // 3. Contrast enhancement (histogram equalization / CLAHE / relief)
+            const enhanced = Preprocessing.enhanceContrast(processed, settings);
+            if (enhanced !== processed) {
+                processed.delete();
+                processed = enhanced;
+            }
+
+            // 4. Gaussian blur (if enabled)
             if (settings.gaussianBlur && settings.gaussianBlur > 0) {
                 const blurred = new cv.Mat();
                 const ksize = Math.max(3, settings.gaussianBlur * 2 + 1); // Ensure odd kernel size
@@ -44,7 +58,7 @@ const Preprocessing = {
                 processed = blurred;
             }
 
-            // 4. Thresholding
+            // 5. Thresholding
             const thresholded = new cv.Mat();
             if (settings.useAdaptiveThreshold) {
                 // Adaptive thresholding
@@ -66,7 +80,7 @@ const Preprocessing = {
             processed.delete();
             processed = thresholded;
 
-            // 5. Morphological operations
+            // 6. Morphological operations
             if (settings.morphologyOperation && settings.morphologyOperation !== 'none') {
                 const kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(3, 3));
                 const morphed = new cv.Mat();
@@ -93,7 +107,7 @@ const Preprocessing = {
                 processed = morphed;
             }
 
-            // 6. Invert colors if needed
+            // 7. Invert colors if needed
             if (settings.invertColors) {
                 const inverted = new cv.Mat();
                 cv.bitwise_not(processed, inverted);
@@ -148,6 +162,283 @@ const Preprocessing = {
         return rotated;
     },
 
+    /**
+     * Apply the enabled contrast enhancement stages to a grayscale image
+     * @param {cv.Mat} gray - Single-channel image
+     * @param {Object} settings - Preprocessing settings
+     * @returns {cv.Mat} Enhanced image (the input itself if nothing is enabled)
+     */
+    enhanceContrast: (gray, settings) => {
+        let result = gray;
+
+        const replace = (next) => {
+            if (result !== gray) result.delete();
+            result = next;
+        };
+
+        // Global histogram equalization
+        if (settings.useHistogramEqualization) {
+            const equalized = new cv.Mat();
+            cv.equalizeHist(result, equalized);
+            replace(equalized);
+        }
+
+        // CLAHE - local contrast, limited so flat rock texture isn't blown out
+        if (settings.useClahe) {
+            const tile = Math.max(2, Math.round(settings.claheTileSize || 8));
+            const clahe = new cv.CLAHE(settings.claheClipLimit || 2.0, new cv.Size(tile, tile));
+            const equalized = new cv.Mat();
+            clahe.apply(result, equalized);
+            clahe.delete();
+            replace(equalized);
+        }
+
+        // Directional relief - emphasizes pecked grooves lit from one side
+        if (settings.useReliefFilter) {
+            replace(Preprocessing.applyReliefFilter(result, settings.reliefAngle, settings.reliefStrength));
+        }
+
+        return result;
+    },
+
+    /**
+     * Directional relief (emboss) filter
+     * Projects the image gradient onto a light direction and re-centers on mid-gray,
+     * so groove walls facing the light brighten and the far walls darken.
+     * @param {cv.Mat} gray - Single-channel image
+     * @param {number} angle - Light direction in degrees (0 = from the right, 90 = from below)
+     * @param {number} strength - Gradient gain
+     * @returns {cv.Mat} Relief-shaded 8-bit image
+     */
+    applyReliefFilter: (gray, angle = 135, strength = 1.0) => {
+        const radians = angle * Math.PI / 180;
+        const gain = strength / 4; // Sobel 3x3 peaks at 4x the step height
+
+        const gx = new cv.Mat();
+        const gy = new cv.Mat();
+        cv.Sobel(gray, gx, cv.CV_32F, 1, 0, 3);
+        cv.Sobel(gray, gy, cv.CV_32F, 0, 1, 3);
+
+        const combined = new cv.Mat();
+        cv.addWeighted(gx, Math.cos(radians) * gain, gy, Math.sin(radians) * gain, 128, combined);
+
+        const relief = new cv.Mat();
+        combined.convertTo(relief, cv.CV_8U);
+
+        gx.delete();
+        gy.delete();
+        combined.delete();
+        return relief;
+    },
+
+    /**
+     * Whether settings carry a usable four-corner perspective quad
+     * @param {Object} settings - Preprocessing settings
+     * @returns {boolean} True if perspective rectification should run
+     */
+    hasPerspectiveCorrection: (settings) => {
+        const corners = settings?.perspectiveCorners;
+        return Array.isArray(corners) && corners.length === 4 &&
+            corners.every(c => c && Number.isFinite(c.x) && Number.isFinite(c.y));
+    },
+
+    /**
+     * Default quad for a freshly enabled perspective tool (slightly inset from the edges)
+     * @param {number} width - Original image width
+     * @param {number} height - Original image height
+     * @param {number} inset - Inset as a fraction of each dimension
+     * @returns {Array} Corners [tl, tr, br, bl]
+     */
+    getDefaultPerspectiveCorners: (width, height, inset = 0.05) => {
+        const dx = Math.round(width * inset);
+        const dy = Math.round(height * inset);
+        return [
+            { x: dx, y: dy },
+            { x: width - dx, y: dy },
+            { x: width - dx, y: height - dy },
+            { x: dx, y: height - dy }
+        ];
+    },
+
+    /**
+     * Size of the rectified output for a quad (longest opposing edges)
+     * @param {Array} corners - Corners [tl, tr, br, bl]
+     * @returns {Object} { width, height }
+     */
+    getRectifiedSize: (corners) => {
+        const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        const [tl, tr, br, bl] = corners;
+        return {
+            width: Math.max(1, Math.round(Math.max(dist(tl, tr), dist(bl, br)))),
+            height: Math.max(1, Math.round(Math.max(dist(tl, bl), dist(tr, br))))
+        };
+    },
+
+    /**
+     * Warp the quad to a square-on rectangle
+     * @param {cv.Mat} image - Image in original coordinates
+     * @param {Array} corners - Corners [tl, tr, br, bl]
+     * @returns {cv.Mat} Rectified image
+     */
+    rectifyPerspective: (image, corners) => {
+        const { width, height } = Preprocessing.getRectifiedSize(corners);
+
+        const srcPts = cv.matFromArray(4, 1, cv.CV_32FC2, corners.flatMap(c => [c.x, c.y]));
+        const dstPts = cv.matFromArray(4, 1, cv.CV_32FC2, [0, 0, width, 0, width, height, 0, height]);
+        const transform = cv.getPerspectiveTransform(srcPts, dstPts);
+
+        const rectified = new cv.Mat();
+        cv.warpPerspective(
+            image,
+            rectified,
+            transform,
+            new cv.Size(width, height),
+            cv.INTER_LINEAR,
+            cv.BORDER_CONSTANT,
+            new cv.Scalar(255, 255, 255, 255)
+        );
+
+        srcPts.delete();
+        dstPts.delete();
+        transform.delete();
+        return rectified;
+    },
+
+    /**
+     * Solve the 3x3 homography mapping four source points onto four destination points
+     * Pure JS so detections can be mapped back without OpenCV
+     * @param {Array} src - Four {x, y} points
+     * @param {Array} dst - Four {x, y} points
+     * @returns {Array|null} Row-major 3x3 matrix as 9 numbers, or null if degenerate
+     */
+    computeHomography: (src, dst) => {
+        // Build the 8x8 system A·h = b (h33 fixed to 1)
+        const A = [];
+        const b = [];
+        for (let i = 0; i < 4; i++) {
+            const { x, y } = src[i];
+            const { x: u, y: v } = dst[i];
+            A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+            b.push(u);
+            A.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+            b.push(v);
+        }
+
+        // Gaussian elimination with partial pivoting
+        const n = 8;
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+            }
+            if (Math.abs(A[pivot][col]) < 1e-12) return null;
+            [A[col], A[pivot]] = [A[pivot], A[col]];
+            [b[col], b[pivot]] = [b[pivot], b[col]];
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = A[row][col] / A[col][col];
+                for (let k = col; k < n; k++) A[row][k] -= factor * A[col][k];
+                b[row] -= factor * b[col];
+            }
+        }
+
+        const h = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = b[row];
+            for (let k = row + 1; k < n; k++) sum -= A[row][k] * h[k];
+            h[row] = sum / A[row][row];
+        }
+
+        return [...h, 1];
+    },
+
+    /**
+     * Apply a 3x3 homography to a point
+     * @param {Array} H - Row-major 3x3 matrix
+     * @param {Object} point - {x, y}
+     * @returns {Object} Mapped {x, y}
+     */
+    applyHomography: (H, point) => {
+        const w = H[6] * point.x + H[7] * point.y + H[8];
+        return {
+            x: (H[0] * point.x + H[1] * point.y + H[2]) / w,
+            y: (H[3] * point.x + H[4] * point.y + H[5]) / w
+        };
+    },
+
+    /**
+     * Map a point in the preprocessed image back to original-image coordinates
+     * Undoes rotation, then perspective rectification
+     * @param {Object} point - {x, y} in preprocessed-image pixels
+     * @param {Object} settings - Preprocessing settings used to produce the image
+     * @param {Object} originalDims - { width, height } of the original image
+     * @returns {Object} {x, y} in original-image pixels
+     */
+    mapPointToOriginal: (point, settings, originalDims) => {
+        const hasPerspective = Preprocessing.hasPerspectiveCorrection(settings);
+        const stageDims = hasPerspective
+            ? Preprocessing.getRectifiedSize(settings.perspectiveCorners)
+            : originalDims;
+
+        let p = { x: point.x, y: point.y };
+
+        // Undo rotation (mirrors the affine built in rotateImage)
+        if (settings.rotation && settings.rotation !== 0) {
+            const radians = settings.rotation * Math.PI / 180;
+            const alpha = Math.cos(radians);
+            const beta = Math.sin(radians);
+            const cx = stageDims.width / 2;
+            const cy = stageDims.height / 2;
+            const sin = Math.sin(Math.abs(radians));
+            const cos = Math.cos(Math.abs(radians));
+            const newWidth = Math.round(stageDims.width * cos + stageDims.height * sin);
+            const newHeight = Math.round(stageDims.width * sin + stageDims.height * cos);
+
+            // Forward: p' = R·(p - c) + c'  → inverse: p = Rᵀ·(p' - c') + c
+            const dx = p.x - newWidth / 2;
+            const dy = p.y - newHeight / 2;
+            p = {
+                x: alpha * dx - beta * dy + cx,
+                y: beta * dx + alpha * dy + cy
+            };
+        }
+
+        // Undo perspective rectification
+        if (hasPerspective) {
+            const { width, height } = stageDims;
+            const H = Preprocessing.computeHomography(
+                [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }],
+                settings.perspectiveCorners
+            );
+            if (H) p = Preprocessing.applyHomography(H, p);
+        }
+
+        return p;
+    },
+
+    /**
+     * Map a detection's box (or polygon) back to original-image coordinates
+     * @param {Object} detection - Detection with position and optional corners
+     * @param {Object} settings - Preprocessing settings used for recognition
+     * @param {Object} originalDims - { width, height } of the original image
+     * @returns {Object} { originalCorners, originalPosition }
+     */
+    mapDetectionToOriginal: (detection, settings, originalDims) => {
+        const corners = detection.corners && detection.corners.length >= 3
+            ? detection.corners
+            : PolygonRegion.rectToPolygon(detection.position);
+
+        const originalCorners = corners.map(c => {
+            const mapped = Preprocessing.mapPointToOriginal(c, settings, originalDims);
+            return { x: Math.round(mapped.x), y: Math.round(mapped.y) };
+        });
+
+        return {
+            originalCorners,
+            originalPosition: PolygonRegion.polygonToRect(originalCorners)
+        };
+    },
+
     /**
      * Apply preprocessing to canvas element
      * @param {HTMLCanvasElement} sourceCanvas - Source canvas
@@ -228,6 +519,13 @@ const Preprocessing = {
         if (validated.blockSize % 2 === 0) validated.blockSize += 1; // Must be odd
         validated.constantOffset = Math.max(-10, Math.min(10, validated.constantOffset || 2));
         validated.gaussianBlur = Math.max(0, Math.min(10, validated.gaussianBlur || 0));
+        validated.claheClipLimit = Math.max(0.5, Math.min(10, validated.claheClipLimit || 2.0));
+        validated.claheTileSize = Math.max(2, Math.min(32, Math.round(validated.claheTileSize || 8)));
+        validated.reliefAngle = ((Math.round(validated.reliefAngle ?? 135) % 360) + 360) % 360;
+        validated.reliefStrength = Math.max(0.1, Math.min(5, validated.reliefStrength || 1.0));
+        if (!Preprocessing.hasPerspectiveCorrection(validated)) {
+            validated.perspectiveCorners = null;
+        }
         
         return validated;
     }
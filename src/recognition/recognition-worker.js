@@ -0,0 +1,176 @@
+// ============================================
+// RECOGNITION WORKER
+// Runs Isolation, Matching (region and sliding-window) and NMS off the main thread
+// ============================================
+//
+// Messages from the main thread:
+//   { type: 'recognize', jobId, image, glyphs, templates, options }
+//   { type: 'cancel', jobId }
+//   { type: 'invalidate-templates', glyphId }   (glyphId null = all)
+//
+// Messages to the main thread:
+//   { type: 'ready' }
+//   { type: 'progress', jobId, stage, current, total }
+//   { type: 'partial', jobId, detection }
+//   { type: 'result', jobId, detections, regionCount, preNmsCount }
+//   { type: 'cancelled', jobId }
+//   { type: 'error', jobId, message }
+//
+// `image` and each template's `image` are ImageData-shaped objects
+// ({ width, height, data }) so they can be posted without a canvas.
+// Templates stay in this worker's TemplateStore between jobs; the
+// client only sends pixels for templates the worker hasn't seen yet.
+
+// Recognition modules register themselves on `window`
+self.window = self;
+
+importScripts(
+    '../../opencv.js',
+    '../core/config.js',
+    '../utils/helpers.js',
+    './isolation.js',
+    './matching.js',
+    './template-store.js',
+    './descriptor-matching.js',
+    './sliding-window.js',
+    './nms.js',
+    './pipeline.js'
+);
+
+// The WASM runtime initializes after the script has loaded
+const cvReady = new Promise((resolve) => {
+    const waitForRuntime = () => {
+        if (self.cv && self.cv.Mat) {
+            resolve();
+        } else if (self.cv) {
+            self.cv['onRuntimeInitialized'] = resolve;
+        } else {
+            setTimeout(waitForRuntime, 50);
+        }
+    };
+    waitForRuntime();
+});
+
+let activeJob = null;
+
+// Invalidations that arrive mid-job are applied once the job finishes,
+// since the job still holds references to the cached Mats
+const deferredInvalidations = [];
+
+/**
+ * Drop cached templates for a glyph, or all of them when glyphId is null
+ * @param {number|string|null} glyphId
+ */
+const invalidateTemplates = (glyphId) => {
+    if (glyphId === null || glyphId === undefined) {
+        TemplateStore.clear();
+    } else {
+        TemplateStore.invalidateGlyph(glyphId);
+    }
+};
+
+/**
+ * Run isolation → matching → NMS for one job, posting progress as it goes
+ * @param {Object} message - 'recognize' message
+ */
+const runRecognition = async ({ jobId, image, glyphs, templates, options = {} }) => {
+    const job = { id: jobId, cancelled: false };
+    activeJob = job;
+
+    let inputMat = null;
+    const templatesByGlyph = new Map();
+
+    try {
+        await cvReady;
+
+        inputMat = cv.matFromImageData(image);
+
+        // Decode new templates; reuse the ones already in the store
+        for (const template of templates) {
+            const meta = { glyphId: template.glyphId, type: template.type, index: template.index, source: template.source };
+            let entry = null;
+
+            if (template.image) {
+                const mat = cv.matFromImageData(template.image);
+                entry = TemplateStore.put(template.key, mat, meta);
+                mat.delete();
+            } else {
+                entry = TemplateStore.peek(template.key, template.source);
+            }
+
+            if (!entry) {
+                console.warn('Recognition worker: template missing from store', template.key);
+                continue;
+            }
+
+            if (!templatesByGlyph.has(template.glyphId)) {
+                templatesByGlyph.set(template.glyphId, []);
+            }
+            templatesByGlyph.get(template.glyphId).push({
+                ...entry,
+                templateId: template.templateId,
+                label: template.label,
+                weight: template.weight,
+                provenance: template.provenance
+            });
+        }
+
+        const outcome = await RecognitionPipeline.run(inputMat, glyphs, templatesByGlyph, options, {
+            onProgress: (progress) => self.postMessage({ type: 'progress', jobId, ...progress }),
+            onPartial: (detection) => self.postMessage({ type: 'partial', jobId, detection }),
+            isCancelled: () => job.cancelled
+        });
+
+        if (outcome.cancelled) {
+            self.postMessage({ type: 'cancelled', jobId });
+            return;
+        }
+
+        self.postMessage({
+            type: 'result',
+            jobId,
+            detections: outcome.detections,
+            regionCount: outcome.regionCount,
+            preNmsCount: outcome.preNmsCount
+        });
+
+    } catch (error) {
+        console.error('Recognition worker error:', error);
+        self.postMessage({ type: 'error', jobId, message: error.message || String(error) });
+    } finally {
+        if (inputMat) inputMat.delete();
+        if (activeJob === job) {
+            activeJob = null;
+            deferredInvalidations.splice(0).forEach(invalidateTemplates);
+        }
+    }
+};
+
+self.onmessage = (event) => {
+    const message = event.data || {};
+
+    switch (message.type) {
+        case 'recognize':
+            runRecognition(message);
+            break;
+
+        case 'cancel':
+            if (activeJob && activeJob.id === message.jobId) {
+                activeJob.cancelled = true;
+            }
+            break;
+
+        case 'invalidate-templates':
+            if (activeJob) {
+                deferredInvalidations.push(message.glyphId);
+            } else {
+                invalidateTemplates(message.glyphId);
+            }
+            break;
+
+        default:
+            console.warn('Recognition worker: unknown message', message.type);
+    }
+};
+
+cvReady.then(() => self.postMessage({ type: 'ready' }));
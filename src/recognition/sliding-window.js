@@ -0,0 +1,225 @@
+// ============================================
+// SLIDING-WINDOW DETECTION
+// Slide templates across the image (or across blobs isolation
+// couldn't split) to find glyphs that touch or overlap
+// ============================================
+
+const SlidingWindow = {
+    MODES: {
+        ISOLATION: 'isolation',   // Match isolated regions only
+        HYBRID: 'hybrid',         // Also scan oversized blobs and unusually wide/tall regions
+        FULL: 'full'              // Scan the whole image
+    },
+
+    /**
+     * Typical glyph height in the image, from the isolated regions
+     * @param {Array} regions - Isolated regions
+     * @param {cv.Mat} inputMat - Image being recognized
+     * @returns {number} Pixels
+     */
+    estimateGlyphHeight: (regions, inputMat) => {
+        const padding = CONFIG.ISOLATION.PADDING;
+        const heights = (regions || [])
+            .map(r => r.bounds.height - 2 * padding)
+            .filter(h => h > 0)
+            .sort((a, b) => a - b);
+
+        if (heights.length === 0) {
+            return inputMat.rows * CONFIG.SLIDING_WINDOW.DEFAULT_GLYPH_HEIGHT_RATIO;
+        }
+        return heights[Math.floor(heights.length / 2)];
+    },
+
+    /**
+     * Decide where to slide templates
+     * @param {cv.Mat} inputMat - Image being recognized
+     * @param {Array} regions - Isolated regions (after overlap filtering)
+     * @param {string} mode - SlidingWindow.MODES value
+     * @returns {Object} { areas: [{ bounds, regionIndex }], glyphHeight }
+     *   regionIndex is the isolated region an area came from (null for oversized blobs / the whole image)
+     */
+    planAreas: (inputMat, regions, mode) => {
+        const glyphHeight = SlidingWindow.estimateGlyphHeight(regions, inputMat);
+        const areas = [];
+
+        if (mode === SlidingWindow.MODES.FULL) {
+            areas.push({ bounds: { x: 0, y: 0, width: inputMat.cols, height: inputMat.rows }, regionIndex: null });
+        } else if (mode === SlidingWindow.MODES.HYBRID) {
+            Isolation.findOversizedRegions(inputMat).forEach(blob => {
+                areas.push({ bounds: blob.bounds, regionIndex: null });
+            });
+
+            // Regions much wider or taller than usual may hold several touching glyphs
+            const median = (values) => values.sort((a, b) => a - b)[Math.floor(values.length / 2)];
+            const typicalWidth = median(regions.map(r => r.bounds.width));
+            const typicalHeight = median(regions.map(r => r.bounds.height));
+            const ratio = CONFIG.SLIDING_WINDOW.WIDE_REGION_RATIO;
+
+            regions.forEach((region, regionIndex) => {
+                if (region.bounds.width > typicalWidth * ratio || region.bounds.height > typicalHeight * ratio) {
+                    areas.push({ bounds: region.bounds, regionIndex });
+                }
+            });
+        }
+
+        return { areas, glyphHeight };
+    },
+
+    /**
+     * Slide every glyph's templates across one area, at the configured
+     * scales and rotations, and keep each correlation peak as a detection
+     * @param {cv.Mat} inputMat - Image being recognized
+     * @param {Object} bounds - Area to search {x, y, width, height}
+     * @param {Array} glyphs - Chart glyphs
+     * @param {Map} templatesByGlyph - glyph id → [TemplateStore entry + { type, index, templateId, label }]
+     * @param {Object} options - { minConfidence, glyphHeight }
+     * @returns {Array} Raw detections (one glyph each, not yet suppressed)
+     */
+    searchArea: (inputMat, bounds, glyphs, templatesByGlyph, { minConfidence, glyphHeight }) => {
+        const params = CONFIG.SLIDING_WINDOW;
+        const threshold = Math.max(minConfidence, params.MIN_SCORE);
+        const rect = Matching.clampRect(bounds, inputMat);
+        const areaMat = inputMat.roi(rect);
+        const searchMat = Utils.preprocessImageForMatching(areaMat);
+        areaMat.delete();
+
+        const detections = [];
+
+        for (const glyph of glyphs) {
+            const glyphTemplates = (templatesByGlyph.get(glyph.id) || []).slice(0, params.MAX_TEMPLATES_PER_GLYPH);
+
+            for (const template of glyphTemplates) {
+                const weight = (CONFIG.RECOGNITION.CONFIDENCE_WEIGHTS[template.type.toUpperCase()] || 1.0) * (template.weight ?? 1);
+                // Bring the template to the glyph size found in this image
+                const factor = glyphHeight / template.base.rows;
+
+                for (const { scale, rotation, mat } of template.variants) {
+                    const width = Math.round(mat.cols * factor);
+                    const height = Math.round(mat.rows * factor);
+                    if (width < params.MIN_TEMPLATE_SIZE || height < params.MIN_TEMPLATE_SIZE ||
+                        width > searchMat.cols || height > searchMat.rows) {
+                        continue;
+                    }
+
+                    const sized = new cv.Mat();
+                    cv.resize(mat, sized, new cv.Size(width, height));
+                    const result = new cv.Mat();
+                    cv.matchTemplate(searchMat, sized, result, cv.TM_CCOEFF_NORMED);
+                    sized.delete();
+
+                    // Take peaks one by one, blanking each one's neighbourhood
+                    for (let peak = 0; peak < params.MAX_PEAKS_PER_TEMPLATE; peak++) {
+                        const { maxVal, maxLoc } = cv.minMaxLoc(result);
+                        const confidence = Math.min(maxVal * weight, 0.99);
+                        if (confidence < threshold) break;
+
+                        detections.push({
+                            glyph: glyph,
+                            confidence: confidence,
+                            position: { x: rect.x + maxLoc.x, y: rect.y + maxLoc.y, width, height },
+                            thumbnail: null,
+                            matchedTemplate: template.type,
+                            matchedTemplateLabel: template.label,
+                            matchedTemplateIndex: template.index,
+                            matchedTemplateId: template.templateId || null,
+                            learnedExample: template.provenance || null,
+                            matchType: 'template',
+                            detectionMode: 'sliding',
+                            matchDetails: { scale, rotation }
+                        });
+
+                        cv.rectangle(result,
+                            new cv.Point(maxLoc.x - Math.floor(width / 2), maxLoc.y - Math.floor(height / 2)),
+                            new cv.Point(maxLoc.x + Math.floor(width / 2), maxLoc.y + Math.floor(height / 2)),
+                            new cv.Scalar(-1), -1);
+                    }
+
+                    result.delete();
+                }
+            }
+        }
+
+        searchMat.delete();
+        return detections;
+    },
+
+    /**
+     * Search every planned area, suppress duplicates within each glyph class,
+     * and give each survivor the other glyphs found at the same spot as candidates
+     * @param {cv.Mat} inputMat - Image being recognized
+     * @param {Object} plan - Result of planAreas()
+     * @param {Array} glyphs - Chart glyphs
+     * @param {Map} templatesByGlyph - glyph id → templates
+     * @param {Object} options - { minConfidence, iouThreshold, onArea(current, total) }
+     * @returns {Array} Detections, each tagged with the areaIndex it was found in
+     */
+    detect: (inputMat, plan, glyphs, templatesByGlyph, options = {}) => {
+        const minConfidence = options.minConfidence ?? CONFIG.RECOGNITION.MIN_CONFIDENCE;
+        const iouThreshold = options.iouThreshold ?? CONFIG.SLIDING_WINDOW.IOU_THRESHOLD;
+        const raw = [];
+
+        plan.areas.forEach((area, areaIndex) => {
+            if (options.onArea) options.onArea(areaIndex + 1, plan.areas.length);
+            SlidingWindow.searchArea(inputMat, area.bounds, glyphs, templatesByGlyph, {
+                minConfidence,
+                glyphHeight: plan.glyphHeight
+            }).forEach(detection => raw.push({ ...detection, areaIndex }));
+        });
+
+        if (raw.length === 0) return [];
+
+        const kept = NMS.applyClassSpecificNMS(raw, iouThreshold);
+
+        // Every class that fired on the same spot is an alternative reading
+        kept.forEach(detection => {
+            const rivals = kept.filter(other =>
+                other === detection || Utils.calculateDetectionIoU(detection, other) > iouThreshold);
+            detection.candidates = Matching.toCandidates(rivals);
+        });
+
+        console.log(`🪟 Sliding window: ${raw.length} peaks in ${plan.areas.length} areas → ${kept.length} after class-specific NMS`);
+        return kept;
+    },
+
+    /**
+     * Decide which window detections to keep. Detections from oversized blobs
+     * or a full scan are always kept; a wide isolated region is only replaced
+     * when the window found at least two glyphs in it.
+     * @param {Object} plan - Result of planAreas()
+     * @param {Array} detections - Result of detect()
+     * @returns {Object} { detections, splitRegions: Set of region indices to skip in region matching }
+     */
+    resolve: (plan, detections) => {
+        const perArea = new Map();
+        detections.forEach(detection => {
+            if (!perArea.has(detection.areaIndex)) perArea.set(detection.areaIndex, []);
+            perArea.get(detection.areaIndex).push(detection);
+        });
+
+        const kept = [];
+        const splitRegions = new Set();
+
+        perArea.forEach((areaDetections, areaIndex) => {
+            const { regionIndex } = plan.areas[areaIndex];
+            if (regionIndex === null) {
+                kept.push(...areaDetections);
+                return;
+            }
+
+            // Distinct glyph positions, regardless of class
+            const distinct = NMS.applyNMS(areaDetections, CONFIG.SLIDING_WINDOW.IOU_THRESHOLD);
+            if (distinct.length >= 2) {
+                kept.push(...areaDetections);
+                splitRegions.add(regionIndex);
+            }
+        });
+
+        return {
+            detections: kept.map(({ areaIndex, ...detection }) => detection),
+            splitRegions
+        };
+    }
+};
+
+// Make globally available
+window.SlidingWindow = SlidingWindow;
@@ -6,9 +6,19 @@
 const TemplateLearning = {
     STORAGE_KEY: 'hakli_learned_variants',
     
-    // Threshold: require this many occurrences before using as variant
+    // Threshold: a glyph with this many pending examples is a recurring correction, flagged for review
     OCCURRENCE_THRESHOLD: 2,
 
+    // Review state of a learned example. Only approved examples match, as their own
+    // 'learned' template class with weights and decay; pending ones wait for review.
+    // Approved examples stay here rather than being copied into the chart, so they
+    // match the same way in every session.
+    STATUS: {
+        PENDING: 'pending',
+        APPROVED: 'approved',
+        REJECTED: 'rejected'
+    },
+
     /**
      * Get all learned variants
      * @returns {Object} Learned variants by glyph ID
@@ -70,18 +80,23 @@ const TemplateLearning = {
 
         // Add new example
         variants[glyphId].learnedExamples.push({
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
             thumbnail,
             originalGlyph: detection.glyph?.name || 'unknown',
+            originalGlyphId: detection.glyph?.id,
             confidence: detection.confidence,
             inscriptionId,
             position: detection.position,
-            timestamp: new Date().toISOString()
+            timestamp: new Date().toISOString(),
+            hits: 0,
+            misses: 0,
+            status: TemplateLearning.STATUS.PENDING
         });
 
         TemplateLearning._saveVariants(variants);
 
-        const count = variants[glyphId].learnedExamples.length;
-        console.log(`📚 Recorded correction for ${glyphId} (${count} examples)`);
+        const count = TemplateLearning._pendingCount(variants[glyphId]);
+        console.log(`📚 Recorded correction for ${glyphId} (${count} pending examples)`);
 
         // Return true if we've hit the threshold
         return count >= TemplateLearning.OCCURRENCE_THRESHOLD;
@@ -98,32 +113,243 @@ const TemplateLearning = {
     },
 
     /**
-     * Get variant thumbnails that meet the occurrence threshold
+     * Stable ID of a learned example (older examples are keyed by timestamp)
+     * @param {Object} example - Learned example
+     * @returns {string}
+     */
+    getExampleId: (example) => example.id || example.timestamp,
+
+    /**
+     * Review status of a learned example (older examples are pending)
+     * @param {Object} example - Learned example
+     * @returns {string} TemplateLearning.STATUS value
+     */
+    getStatus: (example) => example.status || TemplateLearning.STATUS.PENDING,
+
+    _pendingCount: (data) => (data?.learnedExamples || [])
+        .filter(ex => TemplateLearning.getStatus(ex) === TemplateLearning.STATUS.PENDING).length,
+
+    /**
+     * Matching weight of a learned example, on top of the LEARNED type weight.
+     * Each wrong match it produced (not offset by a confirmed one) decays it.
+     * @param {Object} example - Learned example
+     * @returns {number} 0-1
+     */
+    getExampleWeight: (example) => {
+        const net = Math.max(0, (example.misses || 0) - (example.hits || 0));
+        return Math.pow(CONFIG.LEARNING.DECAY, net);
+    },
+
+    /**
+     * Learned examples that take part in matching for a glyph: approved ones,
+     * one per source inscription, heaviest first, dropping examples that have
+     * decayed below CONFIG.LEARNING.MIN_WEIGHT. Pending and rejected examples
+     * never match.
      * @param {string} glyphId - Glyph ID or name
-     * @returns {Array} Array of thumbnail data URLs
+     * @returns {Array} [{ id, thumbnail, weight, inscriptionId, originalGlyph, timestamp }]
      */
-    getActiveVariants: (glyphId) => {
-        const examples = TemplateLearning.getVariantsForGlyph(glyphId);
-        
-        if (examples.length < TemplateLearning.OCCURRENCE_THRESHOLD) {
-            return [];
-        }
+    getMatchingExamples: (glyphId) => {
+        if (!CONFIG.LEARNING.ENABLED) return [];
 
-        // Return unique thumbnails (deduplicated by inscription)
         const seen = new Set();
-        return examples
-            .filter(ex => {
+        return TemplateLearning.getVariantsForGlyph(glyphId)
+            .filter(ex => TemplateLearning.getStatus(ex) === TemplateLearning.STATUS.APPROVED)
+            .map(ex => ({ ex, weight: TemplateLearning.getExampleWeight(ex) }))
+            .filter(({ weight }) => weight >= CONFIG.LEARNING.MIN_WEIGHT)
+            .sort((a, b) => b.weight - a.weight)
+            .filter(({ ex }) => {
                 if (seen.has(ex.inscriptionId)) return false;
                 seen.add(ex.inscriptionId);
                 return true;
             })
-            .map(ex => ex.thumbnail)
-            .slice(0, 5); // Limit to 5 variants
+            .slice(0, CONFIG.LEARNING.MAX_EXAMPLES_PER_GLYPH)
+            .map(({ ex, weight }) => ({
+                id: TemplateLearning.getExampleId(ex),
+                thumbnail: ex.thumbnail,
+                weight,
+                inscriptionId: ex.inscriptionId || null,
+                originalGlyph: ex.originalGlyph,
+                timestamp: ex.timestamp
+            }));
+    },
+
+    /**
+     * Get thumbnails of the learned examples that match (see getMatchingExamples)
+     * @param {string} glyphId - Glyph ID or name
+     * @returns {Array} Array of thumbnail data URLs
+     */
+    getActiveVariants: (glyphId) => {
+        return TemplateLearning.getMatchingExamples(glyphId).map(ex => ex.thumbnail);
+    },
+
+    /**
+     * Take a detection's outcome out of whichever learned example it was counted for
+     * @param {Object} variants - All variants (modified)
+     * @param {string} outcomeKey - See CorrectionMemory.makeOutcomeKey
+     * @returns {boolean} true if an outcome was removed
+     */
+    _removeOutcome: (variants, outcomeKey) => {
+        let removed = false;
+        Object.values(variants).forEach(data => {
+            (data.learnedExamples || []).forEach(example => {
+                if (!example.outcomes || !(outcomeKey in example.outcomes)) return;
+                if (example.outcomes[outcomeKey]) {
+                    example.hits = Math.max(0, (example.hits || 0) - 1);
+                } else {
+                    example.misses = Math.max(0, (example.misses || 0) - 1);
+                }
+                delete example.outcomes[outcomeKey];
+                removed = true;
+            });
+        });
+        return removed;
+    },
+
+    /**
+     * Record whether a match produced by a learned example was right.
+     * A detection counts once: recording it again replaces its earlier outcome,
+     * and isCorrect null withdraws it (its validation was undone).
+     * @param {string} glyphId - Glyph the example belongs to
+     * @param {string} exampleId - getExampleId() of the example
+     * @param {boolean|null} isCorrect - Confirmed (true), rejected/corrected (false) or withdrawn (null)
+     * @param {string} outcomeKey - Detection, see CorrectionMemory.makeOutcomeKey
+     * @returns {boolean} Whether anything changed
+     */
+    recordOutcome: (glyphId, exampleId, isCorrect, outcomeKey) => {
+        const variants = TemplateLearning.getAllVariants();
+        const removed = TemplateLearning._removeOutcome(variants, outcomeKey);
+
+        const example = isCorrect === null ? null : (variants[glyphId]?.learnedExamples || [])
+            .find(ex => TemplateLearning.getExampleId(ex) === exampleId);
+        if (!example) {
+            if (removed) TemplateLearning._saveVariants(variants);
+            return removed;
+        }
+
+        if (isCorrect) {
+            example.hits = (example.hits || 0) + 1;
+        } else {
+            example.misses = (example.misses || 0) + 1;
+        }
+        example.outcomes = { ...example.outcomes, [outcomeKey]: !!isCorrect };
+        TemplateLearning._saveVariants(variants);
+
+        console.log(`📚 Learned example ${exampleId} for ${glyphId}: ${isCorrect ? 'hit' : 'miss'} (weight ${TemplateLearning.getExampleWeight(example).toFixed(2)})`);
+        return true;
+    },
+
+    /**
+     * Pending learned examples, grouped by glyph, for review
+     * @returns {Array} [{ glyphId, glyphName, glyphArabic, eligible, examples }]
+     *   eligible: the glyph has OCCURRENCE_THRESHOLD pending examples, i.e. the correction recurs
+     *   examples: [{ id, thumbnail, inscriptionId, originalGlyph, originalGlyphId, timestamp, hits, misses, weight }]
+     */
+    getReviewQueue: () => {
+        const variants = TemplateLearning.getAllVariants();
+
+        return Object.entries(variants)
+            .map(([glyphId, data]) => {
+                const examples = (data.learnedExamples || [])
+                    .filter(ex => TemplateLearning.getStatus(ex) === TemplateLearning.STATUS.PENDING)
+                    .map(ex => ({
+                        id: TemplateLearning.getExampleId(ex),
+                        thumbnail: ex.thumbnail,
+                        inscriptionId: ex.inscriptionId || null,
+                        originalGlyph: ex.originalGlyph,
+                        originalGlyphId: ex.originalGlyphId,
+                        timestamp: ex.timestamp,
+                        hits: ex.hits || 0,
+                        misses: ex.misses || 0,
+                        weight: TemplateLearning.getExampleWeight(ex)
+                    }));
+
+                return {
+                    glyphId,
+                    glyphName: data.glyphName,
+                    glyphArabic: data.glyphArabic,
+                    eligible: examples.length >= TemplateLearning.OCCURRENCE_THRESHOLD,
+                    examples
+                };
+            })
+            .filter(group => group.examples.length > 0)
+            .sort((a, b) => b.examples.length - a.examples.length);
+    },
+
+    /**
+     * Number of learned examples awaiting review
+     * @returns {number}
+     */
+    getPendingCount: () => {
+        return TemplateLearning.getReviewQueue().reduce((sum, group) => sum + group.examples.length, 0);
+    },
+
+    /**
+     * Approve or reject a learned example
+     * @param {string} glyphId - Glyph the example belongs to
+     * @param {string} exampleId - getExampleId() of the example
+     * @param {string} status - TemplateLearning.STATUS value
+     * @returns {Object|null} The updated example, or null if not found
+     */
+    setExampleStatus: (glyphId, exampleId, status) => {
+        const variants = TemplateLearning.getAllVariants();
+        const example = (variants[glyphId]?.learnedExamples || [])
+            .find(ex => TemplateLearning.getExampleId(ex) === exampleId);
+        if (!example) return null;
+
+        example.status = status;
+        example.reviewedAt = new Date().toISOString();
+        TemplateLearning._saveVariants(variants);
+
+        console.log(`📚 Learned example ${exampleId} for ${glyphId}: ${status}`);
+        return example;
+    },
+
+    /**
+     * Move a learned example to the glyph it actually shows. It stays pending
+     * under the new glyph so it still needs approval there.
+     * @param {string} glyphId - Glyph the example is filed under
+     * @param {string} exampleId - getExampleId() of the example
+     * @param {Object} newGlyph - Glyph it should belong to
+     * @returns {boolean} Success status
+     */
+    reassignExample: (glyphId, exampleId, newGlyph) => {
+        const newGlyphId = newGlyph?.id ?? newGlyph?.name;
+        if (newGlyphId === undefined || String(newGlyphId) === String(glyphId)) return false;
+
+        const variants = TemplateLearning.getAllVariants();
+        const examples = variants[glyphId]?.learnedExamples || [];
+        const index = examples.findIndex(ex => TemplateLearning.getExampleId(ex) === exampleId);
+        if (index === -1) return false;
+
+        const [example] = examples.splice(index, 1);
+        if (examples.length === 0) delete variants[glyphId];
+
+        if (!variants[newGlyphId]) {
+            variants[newGlyphId] = {
+                glyphName: newGlyph.name,
+                glyphArabic: newGlyph.arabic,
+                learnedExamples: []
+            };
+        }
+        variants[newGlyphId].learnedExamples.push({
+            ...example,
+            status: TemplateLearning.STATUS.PENDING,
+            reassignedFrom: glyphId,
+            // Its match record was earned as the other glyph
+            hits: 0,
+            misses: 0,
+            outcomes: {}
+        });
+
+        TemplateLearning._saveVariants(variants);
+        console.log(`📚 Reassigned learned example ${exampleId}: ${glyphId} → ${newGlyphId}`);
+        return true;
     },
 
     /**
      * Analyze corrections to find glyph confusion patterns
-     * @returns {Array} Array of confusion patterns
+     * @returns {Array} [{ correctGlyph, glyphName, totalExamples, confusedWith }]
+     *   confusedWith: [{ originalGlyph, originalGlyphId, count, avgConfidence, confidences }]
      */
     analyzeConfusionPatterns: () => {
         const variants = TemplateLearning.getAllVariants();
@@ -135,10 +361,11 @@ const TemplateLearning = {
             data.learnedExamples.forEach(ex => {
                 const orig = ex.originalGlyph;
                 if (!confusedWith[orig]) {
-                    confusedWith[orig] = { count: 0, avgConfidence: 0 };
+                    confusedWith[orig] = { count: 0, avgConfidence: 0, originalGlyphId: ex.originalGlyphId, confidences: [] };
                 }
                 confusedWith[orig].count++;
                 confusedWith[orig].avgConfidence += ex.confidence;
+                confusedWith[orig].confidences.push(ex.confidence);
             });
 
             // Calculate averages
@@ -155,8 +382,10 @@ const TemplateLearning = {
                     confusedWith: Object.entries(confusedWith)
                         .map(([orig, stats]) => ({
                             originalGlyph: orig,
+                            originalGlyphId: stats.originalGlyphId,
                             count: stats.count,
-                            avgConfidence: stats.avgConfidence.toFixed(2)
+                            avgConfidence: stats.avgConfidence.toFixed(2),
+                            confidences: stats.confidences
                         }))
                         .sort((a, b) => b.count - a.count)
                 });
@@ -231,11 +460,13 @@ const TemplateLearning = {
         
         let totalExamples = 0;
         let activeVariants = 0;
+        let pendingReview = 0;
 
         glyphIds.forEach(id => {
             const count = variants[id].learnedExamples.length;
             totalExamples += count;
-            if (count >= TemplateLearning.OCCURRENCE_THRESHOLD) {
+            pendingReview += TemplateLearning._pendingCount(variants[id]);
+            if (variants[id].learnedExamples.some(ex => TemplateLearning.getStatus(ex) === TemplateLearning.STATUS.APPROVED)) {
                 activeVariants++;
             }
         });
@@ -244,6 +475,7 @@ const TemplateLearning = {
             totalGlyphs: glyphIds.length,
             totalExamples,
             activeVariants,
+            pendingReview,
             occurrenceThreshold: TemplateLearning.OCCURRENCE_THRESHOLD
         };
     },
@@ -0,0 +1,86 @@
+// ============================================
+// TEMPLATE RANKING
+// Pick the most reliable templates per glyph from
+// past validation outcomes, within a per-glyph budget
+// ============================================
+
+const TemplateRanking = {
+    /**
+     * Number of templates to match for a glyph
+     * @param {Object} glyph - Glyph (may set template_budget in the chart)
+     * @returns {number}
+     */
+    getBudget: (glyph) => {
+        const budget = Number(glyph?.template_budget);
+        return budget > 0 ? budget : CONFIG.RECOGNITION.TEMPLATE_BUDGET;
+    },
+
+    /**
+     * Score a template by how often its detections were confirmed vs. corrected.
+     * Uses a smoothed precision so unseen templates sit at 0.5, scaled by the
+     * template type's confidence weight.
+     * @param {Object} template - { type, index, templateId } (templateId: CorrectionMemory.makeTemplateId)
+     * @param {Object} outcomes - CorrectionMemory.getTemplateOutcomes(glyph.id)
+     * @returns {number} Rank score (higher is better)
+     */
+    scoreTemplate: (template, outcomes = {}) => {
+        const templateId = template.templateId || `${template.type}:${template.index || 0}`;
+        const record = outcomes[templateId] || { confirmed: 0, rejected: 0 };
+        let confirmed = record.confirmed;
+        const rejected = record.rejected;
+
+        // Learned templates come from a user's correction, so they start with one confirmation
+        if (template.type === 'learned') confirmed += 1;
+
+        const precision = (confirmed + 1) / (confirmed + rejected + 2);
+        const typeWeight = CONFIG.RECOGNITION.CONFIDENCE_WEIGHTS[template.type.toUpperCase()] || 1.0;
+
+        return precision * typeWeight;
+    },
+
+    /**
+     * Rank a glyph's templates. The primary template always comes first;
+     * the rest are ordered by score, keeping chart order for ties.
+     * @param {Object} glyph - Glyph
+     * @param {Array} templates - [{ type, index, ... }]
+     * @returns {Array} Templates with rankScore, best first
+     */
+    rankTemplates: (glyph, templates) => {
+        const outcomes = typeof CorrectionMemory !== 'undefined'
+            ? CorrectionMemory.getTemplateOutcomes(glyph.id)
+            : {};
+
+        return templates
+            .map((template, order) => ({
+                ...template,
+                rankScore: TemplateRanking.scoreTemplate(template, outcomes),
+                order
+            }))
+            .sort((a, b) => {
+                if (a.type === 'primary') return -1;
+                if (b.type === 'primary') return 1;
+                return (b.rankScore - a.rankScore) || (a.order - b.order);
+            })
+            .map(({ order, ...template }) => template);
+    },
+
+    /**
+     * Rank a glyph's templates and keep the best ones within its budget
+     * @param {Object} glyph - Glyph
+     * @param {Array} templates - [{ type, index, ... }]
+     * @param {number} budget - Max templates (defaults to getBudget(glyph))
+     * @returns {Array} Selected templates, best first
+     */
+    selectTemplates: (glyph, templates, budget = TemplateRanking.getBudget(glyph)) => {
+        const ranked = TemplateRanking.rankTemplates(glyph, templates);
+
+        if (ranked.length > budget && CONFIG.DEBUG.SHOW_MATCHING_SCORES) {
+            console.log(`   📊 ${glyph.name}: using ${budget} of ${ranked.length} templates`);
+        }
+
+        return ranked.slice(0, budget);
+    }
+};
+
+// Make globally available
+window.TemplateRanking = TemplateRanking;
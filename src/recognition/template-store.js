@@ -0,0 +1,210 @@
+// ============================================
+// TEMPLATE STORE
+// Decodes each chart template once per session and keeps
+// its scaled/rotated versions ready for matching
+// ============================================
+
+const TemplateStore = (() => {
+    const entries = new Map();   // key → prepared template
+    const pending = new Map();   // key → Promise while the image decodes
+    const listeners = new Set();
+
+    let hits = 0;
+    let misses = 0;
+
+    /**
+     * Build the cache key for a template
+     * @param {number|string} glyphId - Glyph ID
+     * @param {string} type - primary | variant | example | learned
+     * @param {number} index - Index within its type (0 for primary)
+     * @returns {string}
+     */
+    const makeKey = (glyphId, type, index = 0) => `${glyphId}:${type}:${index || 0}`;
+
+    /**
+     * Preprocess a template and pre-compute every scale × rotation
+     * from CONFIG.RECOGNITION.SCALES and ROTATIONS
+     * @param {cv.Mat} templateMat - Decoded template (not modified)
+     * @returns {Object} { base, variants: [{ scale, rotation, mat }], descriptor } (release when done)
+     */
+    const prepare = (templateMat) => {
+        const base = Utils.preprocessImageForMatching(templateMat);
+        const variants = [];
+
+        for (const scale of CONFIG.RECOGNITION.SCALES) {
+            const scaledWidth = Math.round(base.cols * scale);
+            const scaledHeight = Math.round(base.rows * scale);
+            if (scaledWidth < 5 || scaledHeight < 5) continue;
+
+            const scaled = new cv.Mat();
+            cv.resize(base, scaled, new cv.Size(scaledWidth, scaledHeight));
+
+            for (const rotation of CONFIG.RECOGNITION.ROTATIONS) {
+                const mat = rotation === 0 ? scaled.clone() : Matching.rotateImage(scaled, rotation);
+                variants.push({ scale, rotation, mat });
+            }
+
+            scaled.delete();
+        }
+
+        // Shape descriptor for the descriptor/combined engines
+        const descriptor = typeof DescriptorMatching !== 'undefined'
+            ? DescriptorMatching.computeDescriptor(templateMat)
+            : null;
+
+        return { base, variants, descriptor };
+    };
+
+    /**
+     * Free the Mats held by a prepared template
+     * @param {Object} prepared - Result of prepare()
+     */
+    const release = (prepared) => {
+        if (!prepared) return;
+        prepared.base.delete();
+        prepared.variants.forEach(v => v.mat.delete());
+    };
+
+    const remove = (key) => {
+        const entry = entries.get(key);
+        if (entry) {
+            release(entry);
+            entries.delete(key);
+        }
+        pending.delete(key);
+    };
+
+    /**
+     * Store an already-decoded template
+     * @param {string} key - Cache key from makeKey()
+     * @param {cv.Mat} templateMat - Decoded template (caller keeps ownership)
+     * @param {Object} meta - { glyphId, type, index, source }
+     * @returns {Object} Cached entry
+     */
+    const put = (key, templateMat, meta = {}) => {
+        remove(key);
+        const entry = { key, ...meta, ...prepare(templateMat) };
+        entries.set(key, entry);
+        return entry;
+    };
+
+    /**
+     * Get a cached entry without decoding anything
+     * @param {string} key - Cache key
+     * @param {string} source - Expected source; a mismatch drops the stale entry
+     * @returns {Object|null}
+     */
+    const peek = (key, source) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+
+        if (source !== undefined && entry.source !== source) {
+            remove(key);
+            return null;
+        }
+
+        hits++;
+        return entry;
+    };
+
+    /**
+     * Get a template, decoding it from its URL on first use
+     * @param {string} key - Cache key
+     * @param {string} url - Template URL or data URL
+     * @param {Object} meta - { glyphId, type, index }
+     * @returns {Promise<Object|null>} Cached entry, or null if the image failed to load
+     */
+    const load = (key, url, meta = {}) => {
+        const cached = peek(key, url);
+        if (cached) return Promise.resolve(cached);
+        if (pending.has(key)) return pending.get(key);
+
+        misses++;
+        const promise = Matching.loadTemplateImage(url).then(mat => {
+            // Invalidated while decoding
+            if (pending.get(key) !== promise) {
+                if (mat) mat.delete();
+                return null;
+            }
+            pending.delete(key);
+            if (!mat) return null;
+
+            const entry = put(key, mat, { ...meta, source: url });
+            mat.delete();
+            return entry;
+        });
+
+        pending.set(key, promise);
+        return promise;
+    };
+
+    const notify = (glyphId) => {
+        listeners.forEach(listener => {
+            try {
+                listener(glyphId);
+            } catch (error) {
+                console.error('TemplateStore listener error:', error);
+            }
+        });
+    };
+
+    /**
+     * Drop every cached template for a glyph (after editing it)
+     * @param {number|string} glyphId - Glyph ID
+     */
+    const invalidateGlyph = (glyphId) => {
+        const prefix = `${glyphId}:`;
+        [...entries.keys(), ...pending.keys()]
+            .filter(key => key.startsWith(prefix))
+            .forEach(remove);
+
+        console.log(`🔄 TemplateStore: invalidated glyph ${glyphId}`);
+        notify(glyphId);
+    };
+
+    /**
+     * Drop everything (chart reloaded)
+     */
+    const clear = () => {
+        [...entries.keys()].forEach(remove);
+        pending.clear();
+
+        console.log('🔄 TemplateStore: cleared');
+        notify(null);
+    };
+
+    /**
+     * Subscribe to invalidations
+     * @param {Function} listener - Called with a glyph ID, or null when cleared
+     * @returns {Function} Unsubscribe
+     */
+    const onInvalidate = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    /**
+     * @returns {Object} { templates, variants, hits, misses }
+     */
+    const getStats = () => {
+        let variants = 0;
+        entries.forEach(entry => { variants += entry.variants.length; });
+        return { templates: entries.size, variants, hits, misses };
+    };
+
+    return {
+        makeKey,
+        prepare,
+        release,
+        put,
+        peek,
+        load,
+        invalidateGlyph,
+        clear,
+        onInvalidate,
+        getStats
+    };
+})();
+
+// Make globally available
+window.TemplateStore = TemplateStore;
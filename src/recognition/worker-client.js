@@ -0,0 +1,394 @@
+// ============================================
+// RECOGNITION WORKER CLIENT
+// Main-thread side of recognition-worker.js:
+// starts jobs, relays progress and handles cancellation;
+// runs the same pipeline inline where workers are unavailable
+// ============================================
+
+const RecognitionWorker = (() => {
+    const WORKER_URL = 'src/recognition/recognition-worker.js';
+
+    let worker = null;
+    let currentJob = null;
+    let jobCounter = 0;
+
+    // Template key → source the worker already holds in its TemplateStore
+    const sentTemplates = new Map();
+
+    /**
+     * Check whether the browser can run the worker
+     * @returns {boolean}
+     */
+    const isSupported = () => typeof Worker !== 'undefined';
+
+    /**
+     * Point a detection back at the main-thread glyph object, since structured
+     * cloning hands us a copy (candidates keep their compact glyphs)
+     */
+    const relinkGlyphs = (detection, glyphsById) => ({
+        ...detection,
+        glyph: glyphsById.get(detection.glyph.id) || detection.glyph
+    });
+
+    /**
+     * Fail the running job and drop the worker (it is respawned on the next run)
+     */
+    const handleError = (event) => {
+        console.error('❌ RecognitionWorker: worker failed', event.message || event);
+        // Forget what was sent before anything can start a new job on a fresh worker
+        sentTemplates.clear();
+        if (currentJob) {
+            const job = currentJob;
+            currentJob = null;
+            job.reject(new Error(event.message || 'Recognition worker failed'));
+        }
+        terminate();
+    };
+
+    const handleMessage = (event) => {
+        const message = event.data || {};
+
+        if (message.type === 'ready') {
+            console.log('✅ RecognitionWorker: OpenCV ready in worker');
+            return;
+        }
+
+        // Ignore late messages from a job that was cancelled or replaced
+        if (!currentJob || message.jobId !== currentJob.id) return;
+
+        const job = currentJob;
+
+        switch (message.type) {
+            case 'progress':
+                if (job.onProgress) job.onProgress(message);
+                break;
+
+            case 'partial':
+                if (job.onPartial) job.onPartial(relinkGlyphs(message.detection, job.glyphsById));
+                break;
+
+            case 'result':
+                currentJob = null;
+                job.resolve({
+                    detections: message.detections.map(d => relinkGlyphs(d, job.glyphsById)),
+                    regionCount: message.regionCount,
+                    preNmsCount: message.preNmsCount,
+                    cancelled: false
+                });
+                break;
+
+            case 'cancelled':
+                currentJob = null;
+                job.resolve({ detections: [], regionCount: 0, cancelled: true });
+                break;
+
+            case 'error':
+                // The job may have died before storing every template it was sent
+                sentTemplates.clear();
+                currentJob = null;
+                job.reject(new Error(message.message));
+                break;
+        }
+    };
+
+    const getWorker = () => {
+        if (!worker) {
+            worker = new Worker(WORKER_URL);
+            worker.onmessage = handleMessage;
+            worker.onerror = handleError;
+        }
+        return worker;
+    };
+
+    /**
+     * Copy a cv.Mat into RGBA ImageData that can be transferred to the worker
+     * @param {cv.Mat} mat - Source image (gray, RGB or RGBA)
+     * @returns {ImageData}
+     */
+    const matToImageData = (mat) => {
+        const rgba = new cv.Mat();
+        if (mat.channels() === 1) {
+            cv.cvtColor(mat, rgba, cv.COLOR_GRAY2RGBA);
+        } else if (mat.channels() === 3) {
+            cv.cvtColor(mat, rgba, cv.COLOR_RGB2RGBA);
+        } else {
+            mat.copyTo(rgba);
+        }
+        const imageData = new ImageData(new Uint8ClampedArray(rgba.data), rgba.cols, rgba.rows);
+        rgba.delete();
+        return imageData;
+    };
+
+    /**
+     * Read pixels from a loaded <img>
+     * @param {HTMLImageElement} img - Loaded template image
+     * @returns {ImageData|null} null if the image is cross-origin tainted
+     */
+    const imageToImageData = (img) => {
+        try {
+            const width = img.naturalWidth || img.width;
+            const height = img.naturalHeight || img.height;
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0);
+            return ctx.getImageData(0, 0, width, height);
+        } catch (error) {
+            console.warn('⚠️ RecognitionWorker: could not read template pixels', img.src, error);
+            return null;
+        }
+    };
+
+    /**
+     * Describe one template for the worker, attaching pixels only if
+     * the worker doesn't already hold this exact source
+     * @param {Object} extra - { templateId, weight?, provenance? } (weight/provenance for learned examples)
+     * @returns {Object|null} { key, glyphId, type, index, label, source, templateId, weight?, provenance?, image? }
+     */
+    const describeTemplate = (img, glyphId, type, index, label, extra = {}) => {
+        const key = TemplateStore.makeKey(glyphId, type, index);
+        const template = { key, glyphId, type, index, label, source: img.src, ...extra };
+
+        if (sentTemplates.get(key) !== img.src) {
+            const image = imageToImageData(img);
+            if (!image) return null;
+            template.image = image;
+            sentTemplates.set(key, img.src);
+        }
+
+        return template;
+    };
+
+    /**
+     * Collect each glyph's loaded templates, keeping the best-ranked ones
+     * within its budget (see TemplateRanking)
+     * @param {Array} glyphs - Chart glyphs
+     * @param {Object} loadedImages - Image cache keyed by glyph id / `${id}_variant_${idx}` / `${id}_example_${idx}`
+     *   / `${id}_learned_${exampleId}`
+     * @returns {Array} [{ glyphId, type, index, templateId, img, label, weight?, provenance? }]
+     */
+    const selectTemplates = (glyphs, loadedImages) => {
+        const selected = [];
+
+        glyphs.forEach(glyph => {
+            const candidates = [];
+
+            // Outcomes are kept per template source, so they survive variants being reordered
+            const templateId = (type, index, source) => CorrectionMemory.makeTemplateId(type, index, source);
+
+            if (loadedImages[glyph.id]) {
+                candidates.push({
+                    type: 'primary', index: 0, img: loadedImages[glyph.id], label: '🎯',
+                    templateId: templateId('primary', 0, glyph.images?.primary)
+                });
+            }
+            (glyph.images?.variants || []).forEach((variantSrc, idx) => {
+                const img = loadedImages[`${glyph.id}_variant_${idx}`];
+                if (img) candidates.push({ type: 'variant', index: idx, img, label: `⭐${idx + 1}`, templateId: templateId('variant', idx, variantSrc) });
+            });
+            (glyph.images?.examples || []).forEach((exampleSrc, idx) => {
+                const img = loadedImages[`${glyph.id}_example_${idx}`];
+                if (img) candidates.push({ type: 'example', index: idx, img, label: `📝${idx + 1}`, templateId: templateId('example', idx, exampleSrc) });
+            });
+            // Learned examples are indexed by their example ID so outcomes stay attached to them
+            if (typeof TemplateLearning !== 'undefined') {
+                TemplateLearning.getMatchingExamples(glyph.id).forEach((example, n) => {
+                    const img = loadedImages[`${glyph.id}_learned_${example.id}`];
+                    if (!img) return;
+                    candidates.push({
+                        type: 'learned', index: example.id, img, label: `📚${n + 1}`,
+                        templateId: templateId('learned', example.id),
+                        weight: example.weight,
+                        provenance: {
+                            exampleId: example.id,
+                            inscriptionId: example.inscriptionId,
+                            originalGlyph: example.originalGlyph,
+                            timestamp: example.timestamp,
+                            weight: example.weight
+                        }
+                    });
+                });
+            }
+
+            TemplateRanking.selectTemplates(glyph, candidates).forEach(candidate => {
+                selected.push({ ...candidate, glyphId: glyph.id });
+            });
+        });
+
+        return selected;
+    };
+
+    /**
+     * Describe the selected templates for the worker
+     * @param {Array} glyphs - Chart glyphs
+     * @param {Object} loadedImages - Loaded template images (see selectTemplates)
+     * @returns {Array} Template descriptors for the worker
+     */
+    const buildTemplates = (glyphs, loadedImages) => {
+        const templates = [];
+
+        selectTemplates(glyphs, loadedImages).forEach(({ glyphId, img, type, index, templateId, label, weight, provenance }) => {
+            const template = describeTemplate(img, glyphId, type, index, label, provenance ? { templateId, weight, provenance } : { templateId });
+            if (template) templates.push(template);
+        });
+
+        return templates;
+    };
+
+    /**
+     * Prepare the selected templates in the main-thread TemplateStore
+     * @param {Array} glyphs - Chart glyphs
+     * @param {Object} loadedImages - Loaded template images (see selectTemplates)
+     * @returns {Map} glyph id → prepared templates, as Matching.matchRegion expects
+     */
+    const prepareTemplates = (glyphs, loadedImages) => {
+        const templatesByGlyph = new Map();
+
+        selectTemplates(glyphs, loadedImages).forEach(({ glyphId, img, type, index, templateId, label, weight, provenance }) => {
+            const key = TemplateStore.makeKey(glyphId, type, index);
+            let entry = TemplateStore.peek(key, img.src);
+
+            if (!entry) {
+                const image = imageToImageData(img);
+                if (!image) return;
+                const mat = cv.matFromImageData(image);
+                entry = TemplateStore.put(key, mat, { glyphId, type, index, source: img.src });
+                mat.delete();
+            }
+
+            if (!templatesByGlyph.has(glyphId)) {
+                templatesByGlyph.set(glyphId, []);
+            }
+            templatesByGlyph.get(glyphId).push({ ...entry, templateId, label, weight, provenance });
+        });
+
+        return templatesByGlyph;
+    };
+
+    /**
+     * Run recognition in the worker. Starting a new run cancels the previous one.
+     * @param {Object} params
+     * @param {cv.Mat} params.mat - Image to recognize (preprocessed or original)
+     * @param {Array} params.glyphs - Chart glyphs
+     * @param {Object} params.loadedImages - Loaded template images
+     * @param {Object} params.options - { nms, minConfidence, engine, detectionMode } (nms: see NMS.apply)
+     * @param {Function} params.onProgress - Called with { stage, current, total }
+     * @param {Function} params.onPartial - Called with each matched detection before NMS
+     * @returns {Promise<{detections: Array, regionCount: number, preNmsCount: number, cancelled: boolean}>}
+     */
+    const run = ({ mat, glyphs, loadedImages, options = {}, onProgress, onPartial }) => {
+        if (currentJob) cancel();
+
+        const image = matToImageData(mat);
+        const templates = buildTemplates(glyphs, loadedImages);
+        const glyphsById = new Map(glyphs.map(g => [g.id, g]));
+        const jobId = ++jobCounter;
+
+        const transfers = templates.filter(t => t.image).map(t => t.image.data.buffer);
+        console.log(`🔄 RecognitionWorker: job ${jobId} with ${templates.length} templates (${transfers.length} new)`);
+
+        return new Promise((resolve, reject) => {
+            currentJob = { id: jobId, resolve, reject, onProgress, onPartial, glyphsById };
+            getWorker().postMessage(
+                { type: 'recognize', jobId, image, glyphs, templates, options },
+                [image.data.buffer, ...transfers]
+            );
+        });
+    };
+
+    /**
+     * Run the same recognition pipeline on the main thread, for browsers
+     * without workers. Takes the same parameters and resolves the same way as run().
+     * @returns {Promise<{detections: Array, regionCount: number, preNmsCount: number, cancelled: boolean}>}
+     */
+    const runInline = ({ mat, glyphs, loadedImages, options = {}, onProgress, onPartial }) => {
+        if (currentJob) cancel();
+
+        const jobId = ++jobCounter;
+
+        return new Promise((resolve, reject) => {
+            const job = { id: jobId, inline: true, cancelled: false, resolve, reject };
+            currentJob = job;
+
+            Promise.resolve().then(() => {
+                const templatesByGlyph = prepareTemplates(glyphs, loadedImages);
+                console.log(`🔄 RecognitionWorker: inline job ${jobId} with ${[...templatesByGlyph.values()].reduce((n, list) => n + list.length, 0)} templates`);
+
+                return RecognitionPipeline.run(mat, glyphs, templatesByGlyph, options, {
+                    onProgress: (progress) => { if (!job.cancelled && onProgress) onProgress(progress); },
+                    onPartial: (detection) => { if (!job.cancelled && onPartial) onPartial(detection); },
+                    isCancelled: () => job.cancelled
+                });
+            }).then(outcome => {
+                // cancel() has already resolved a cancelled job
+                if (job.cancelled) return;
+                currentJob = null;
+                resolve(outcome);
+            }).catch(error => {
+                if (job.cancelled) return;
+                currentJob = null;
+                reject(error);
+            });
+        });
+    };
+
+    /**
+     * Cancel the running job. Its promise resolves with { cancelled: true }.
+     * @returns {boolean} true if a job was running
+     */
+    const cancel = () => {
+        if (!currentJob) return false;
+
+        const job = currentJob;
+        currentJob = null;
+        job.cancelled = true;
+        if (worker && !job.inline) worker.postMessage({ type: 'cancel', jobId: job.id });
+        job.resolve({ detections: [], regionCount: 0, cancelled: true });
+
+        console.log(`⏹️ RecognitionWorker: cancelled job ${job.id}`);
+        return true;
+    };
+
+    /**
+     * @returns {boolean} true while a job is running
+     */
+    const isRunning = () => currentJob !== null;
+
+    /**
+     * Stop the worker outright
+     */
+    const terminate = () => {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        // A fresh worker starts with an empty template store
+        sentTemplates.clear();
+    };
+
+    // Keep the worker's template store in step with the main-thread one
+    TemplateStore.onInvalidate((glyphId) => {
+        if (glyphId === null) {
+            sentTemplates.clear();
+        } else {
+            const prefix = `${glyphId}:`;
+            [...sentTemplates.keys()]
+                .filter(key => key.startsWith(prefix))
+                .forEach(key => sentTemplates.delete(key));
+        }
+        if (worker) worker.postMessage({ type: 'invalidate-templates', glyphId });
+    });
+
+    return {
+        isSupported,
+        run,
+        runInline,
+        cancel,
+        isRunning,
+        terminate
+    };
+})();
+
+// Make globally available
+window.RecognitionWorker = RecognitionWorker;
@@ -7,7 +7,7 @@
 const ChangeTracker = {
     /**
      * Create a change log entry
-     * @param {string} type - Type of change: 'correction', 'validation', 'transcription', 'translation', 'note'
+     * @param {string} type - Type of change: 'correction', 'validation', 'editorial', 'transcription', 'translation', 'note'
      * @param {Object} details - Change details
      * @param {string} userEmail - Email of user making the change
      * @returns {Object} Change log entry
@@ -62,6 +62,22 @@ const ChangeTracker = {
         }, userEmail);
     },
 
+    /**
+     * Log an editorial (Leiden) status change
+     * @param {number} detectionIndex - Index of the detection
+     * @param {string} oldStatus - Previous status (see Leiden.STATUS)
+     * @param {string} newStatus - New status
+     * @param {string} userEmail - User making the change
+     * @returns {Object} Change log entry
+     */
+    logEditorial: (detectionIndex, oldStatus, newStatus, userEmail) => {
+        return ChangeTracker.createEntry('editorial', {
+            detectionIndex: detectionIndex,
+            before: oldStatus,
+            after: newStatus
+        }, userEmail);
+    },
+
     /**
      * Log a transcription edit
      * @param {string} oldTranscription - Previous transcription
@@ -170,6 +186,7 @@ const ChangeTracker = {
             totalChanges: changeLog.length,
             corrections: byType.correction || 0,
             validations: byType.validation || 0,
+            editorial: byType.editorial || 0,
             transcriptions: byType.transcription || 0,
             translations: byType.translation || 0,
             notes: byType.note || 0,
@@ -194,6 +211,8 @@ const ChangeTracker = {
             case 'validation':
                 const status = entry.after === true ? 'correct ✓' : 'incorrect ✗';
                 return `${user} marked as ${status} ${time}`;
+            case 'editorial':
+                return `${user} marked as ${entry.after} ${time}`;
             case 'transcription':
                 return `${user} edited transcription ${time}`;
             case 'translation':
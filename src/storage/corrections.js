@@ -66,6 +66,135 @@ const CorrectionMemory = {
         }
     },
 
+    /**
+     * Stable ID for a chart template, so outcomes stay with the template when
+     * variants or examples are added, removed or reordered
+     * @param {string} templateType - primary | variant | example | learned
+     * @param {number|string} templateIndex - Index within its type (example ID for learned)
+     * @param {string} source - Template image source (URL or data URL)
+     * @returns {string}
+     */
+    makeTemplateId: (templateType, templateIndex, source) => {
+        if (templateType === 'learned') return `learned:${templateIndex}`;
+        if (!source) return `${templateType}:${templateIndex || 0}`;
+        return `${templateType}:${Utils.hashString(source)}`;
+    },
+
+    /**
+     * Build the key that identifies one validated detection, so re-validating it
+     * replaces its outcome instead of counting it again
+     * @param {string} inscriptionId - Inscription ID (or null for an unsaved session)
+     * @param {Object} position - Detection bounds {x, y}
+     * @returns {string}
+     */
+    makeOutcomeKey: (inscriptionId, position) => {
+        const x = Math.round(position?.x || 0);
+        const y = Math.round(position?.y || 0);
+        return `${inscriptionId || 'session'}:${x},${y}`;
+    },
+
+    /**
+     * Take a detection's outcome out of whichever template it was counted for
+     * @param {Object} outcomes - All outcomes (modified)
+     * @param {string} outcomeKey - See makeOutcomeKey
+     * @returns {boolean} true if an outcome was removed
+     */
+    _removeOutcome: (outcomes, outcomeKey) => {
+        let removed = false;
+        Object.values(outcomes).forEach(templates => {
+            Object.values(templates).forEach(entry => {
+                if (!entry.detections || !(outcomeKey in entry.detections)) return;
+                if (entry.detections[outcomeKey]) {
+                    entry.confirmed = Math.max(0, entry.confirmed - 1);
+                } else {
+                    entry.rejected = Math.max(0, entry.rejected - 1);
+                }
+                delete entry.detections[outcomeKey];
+                removed = true;
+            });
+        });
+        return removed;
+    },
+
+    /**
+     * Record whether a detection produced by a specific template was right.
+     * A detection counts once: recording it again replaces its earlier outcome.
+     * @param {string} glyphId - Detected glyph ID
+     * @param {string} templateId - See makeTemplateId
+     * @param {string} outcomeKey - See makeOutcomeKey
+     * @param {boolean} isCorrect - Confirmed (true) or rejected/corrected (false)
+     * @returns {boolean} Success status
+     */
+    recordTemplateOutcome: (glyphId, templateId, outcomeKey, isCorrect) => {
+        if (glyphId === undefined || glyphId === null || !templateId || !outcomeKey) return false;
+
+        try {
+            const outcomes = CorrectionMemory.getAllTemplateOutcomes();
+            CorrectionMemory._removeOutcome(outcomes, outcomeKey);
+
+            if (!outcomes[glyphId]) outcomes[glyphId] = {};
+            if (!outcomes[glyphId][templateId]) {
+                outcomes[glyphId][templateId] = { confirmed: 0, rejected: 0, lastSeen: null, detections: {} };
+            }
+
+            const entry = outcomes[glyphId][templateId];
+            if (!entry.detections) entry.detections = {};
+            if (isCorrect) {
+                entry.confirmed++;
+            } else {
+                entry.rejected++;
+            }
+            entry.detections[outcomeKey] = !!isCorrect;
+            entry.lastSeen = new Date().toISOString();
+
+            localStorage.setItem(CONFIG.STORAGE.TEMPLATE_OUTCOMES_KEY, JSON.stringify(outcomes));
+            return true;
+        } catch (error) {
+            console.error('Failed to save template outcome:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Withdraw a detection's template outcome (its validation was undone)
+     * @param {string} outcomeKey - See makeOutcomeKey
+     * @returns {boolean} true if there was an outcome to withdraw
+     */
+    retractTemplateOutcome: (outcomeKey) => {
+        try {
+            const outcomes = CorrectionMemory.getAllTemplateOutcomes();
+            if (!CorrectionMemory._removeOutcome(outcomes, outcomeKey)) return false;
+            localStorage.setItem(CONFIG.STORAGE.TEMPLATE_OUTCOMES_KEY, JSON.stringify(outcomes));
+            return true;
+        } catch (error) {
+            console.error('Failed to withdraw template outcome:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Get all per-template validation outcomes
+     * @returns {Object} glyphId → { templateId: { confirmed, rejected, lastSeen, detections: { outcomeKey: isCorrect } } }
+     */
+    getAllTemplateOutcomes: () => {
+        try {
+            const stored = localStorage.getItem(CONFIG.STORAGE.TEMPLATE_OUTCOMES_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Failed to load template outcomes:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Get validation outcomes for one glyph's templates
+     * @param {string} glyphId - Glyph ID
+     * @returns {Object} templateId → { confirmed, rejected, lastSeen, detections }
+     */
+    getTemplateOutcomes: (glyphId) => {
+        return CorrectionMemory.getAllTemplateOutcomes()[glyphId] || {};
+    },
+
     /**
      * Get correction suggestion for a glyph
      * @param {string} glyphId - Detected glyph ID
@@ -158,7 +287,8 @@ const CorrectionMemory = {
                     version: CONFIG.APP_VERSION,
                     statistics: stats
                 },
-                corrections: corrections
+                corrections: corrections,
+                templateOutcomes: CorrectionMemory.getAllTemplateOutcomes()
             };
 
             const filename = `hakli-corrections-${Utils.formatDateForFilename()}.json`;
@@ -200,6 +330,37 @@ const CorrectionMemory = {
 
             localStorage.setItem(CONFIG.STORAGE.CORRECTIONS_KEY, JSON.stringify(corrections));
             
+            // Merge per-template outcomes
+            if (data.templateOutcomes) {
+                const outcomes = merge ? CorrectionMemory.getAllTemplateOutcomes() : {};
+                Object.entries(data.templateOutcomes).forEach(([glyphId, templates]) => {
+                    if (!outcomes[glyphId]) outcomes[glyphId] = {};
+                    Object.entries(templates).forEach(([templateKey, entry]) => {
+                        const existing = outcomes[glyphId][templateKey];
+                        if (!existing || !merge) {
+                            outcomes[glyphId][templateKey] = entry;
+                            return;
+                        }
+                        // Detections both sides already counted are counted once
+                        const detections = { ...(entry.detections || {}), ...(existing.detections || {}) };
+                        let confirmed = existing.confirmed + entry.confirmed;
+                        let rejected = existing.rejected + entry.rejected;
+                        Object.entries(entry.detections || {}).forEach(([key, isCorrect]) => {
+                            if (!existing.detections || !(key in existing.detections)) return;
+                            if (isCorrect) confirmed--;
+                            else rejected--;
+                        });
+                        outcomes[glyphId][templateKey] = {
+                            confirmed: Math.max(0, confirmed),
+                            rejected: Math.max(0, rejected),
+                            lastSeen: entry.lastSeen,
+                            detections
+                        };
+                    });
+                });
+                localStorage.setItem(CONFIG.STORAGE.TEMPLATE_OUTCOMES_KEY, JSON.stringify(outcomes));
+            }
+            
             const imported = Object.keys(data.corrections || data).length;
             console.log(`📤 Imported ${imported} correction patterns`);
             alert(`✅ Imported ${imported} correction patterns`);
@@ -223,6 +384,7 @@ const CorrectionMemory = {
 
         try {
             localStorage.removeItem(CONFIG.STORAGE.CORRECTIONS_KEY);
+            localStorage.removeItem(CONFIG.STORAGE.TEMPLATE_OUTCOMES_KEY);
             console.log('🗑️ Cleared all corrections');
             alert('✅ Correction memory cleared');
             return true;
@@ -763,6 +763,11 @@ Click OK to proceed to Google's permission screen.`;
 
             console.log(`✅ Loaded chart with ${chartData.glyphs?.length || 0} glyphs from Drive`);
             
+            // Cached template Mats belong to the previous chart
+            if (typeof TemplateStore !== 'undefined') {
+                TemplateStore.clear();
+            }
+            
             return chartData;
 
         } catch (error) {
@@ -783,9 +788,9 @@ Click OK to proceed to Google's permission screen.`;
         }
 
         try {
-            // Add save metadata
+            // Add save metadata; the built-in divider glyph is not part of the team's chart
             const enrichedChart = {
-                ...chartData,
+                ...(typeof WordBoundaries !== 'undefined' ? WordBoundaries.withoutBuiltIn(chartData) : chartData),
                 _metadata: {
                     lastModified: new Date().toISOString(),
                     modifiedBy: DriveSync._userEmail,
@@ -921,6 +926,129 @@ Click OK to proceed to Google's permission screen.`;
         return result;
     },
 
+    // ==========================================
+    // LEXICON (shared alongside the chart)
+    // ==========================================
+
+    LEXICON_FILENAME: 'lexicon-hakli.json',
+
+    /**
+     * Load the shared lexicon from Google Drive
+     * @returns {Object|null} Lexicon data or null if not found
+     */
+    loadLexiconFromDrive: async () => {
+        if (!DriveSync.isSignedIn()) {
+            console.log('Not signed in, cannot load lexicon from Drive');
+            return null;
+        }
+
+        try {
+            const folderId = DriveSync.CONFIG.SHARED_FOLDER_ID;
+            const searchUrl = `https://www.googleapis.com/drive/v3/files?q=name='${DriveSync.LEXICON_FILENAME}' and '${folderId}' in parents and trashed=false&fields=files(id,name,modifiedTime,size)`;
+
+            const searchResponse = await DriveSync._apiRequest(searchUrl);
+            const searchData = await searchResponse.json();
+
+            if (!searchData.files || searchData.files.length === 0) {
+                console.log('No lexicon file found in Drive');
+                return null;
+            }
+
+            const lexiconFile = searchData.files[0];
+            localStorage.setItem('driveLexiconId', lexiconFile.id);
+            localStorage.setItem('driveLexiconModified', lexiconFile.modifiedTime);
+
+            const contentUrl = `https://www.googleapis.com/drive/v3/files/${lexiconFile.id}?alt=media`;
+            const contentResponse = await DriveSync._apiRequest(contentUrl);
+            const lexiconData = await contentResponse.json();
+
+            console.log(`✅ Loaded lexicon with ${lexiconData.entries?.length || 0} entries from Drive`);
+            return lexiconData;
+
+        } catch (error) {
+            console.error('Error loading lexicon from Drive:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Save the lexicon to Google Drive (create or update)
+     * @param {Object} lexiconData - { entries, ... }
+     * @returns {Object} Result with fileId and status
+     */
+    saveLexiconToDrive: async (lexiconData) => {
+        if (!DriveSync.isSignedIn()) {
+            throw new Error('Not signed in');
+        }
+
+        try {
+            const lexiconJson = JSON.stringify({
+                ...lexiconData,
+                _metadata: {
+                    lastModified: new Date().toISOString(),
+                    modifiedBy: DriveSync._userEmail
+                }
+            }, null, 2);
+            const existingFileId = localStorage.getItem('driveLexiconId');
+
+            if (existingFileId) {
+                const url = `https://www.googleapis.com/upload/drive/v3/files/${existingFileId}?uploadType=media`;
+                await DriveSync._apiRequest(url, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: lexiconJson
+                });
+
+                const fileUrl = `https://www.googleapis.com/drive/v3/files/${existingFileId}?fields=modifiedTime`;
+                const fileResponse = await DriveSync._apiRequest(fileUrl);
+                const fileData = await fileResponse.json();
+                localStorage.setItem('driveLexiconModified', fileData.modifiedTime);
+
+                return { success: true, fileId: existingFileId, action: 'updated', modifiedTime: fileData.modifiedTime };
+            }
+
+            console.log('Creating new lexicon file in Drive');
+
+            const metadataObj = {
+                name: DriveSync.LEXICON_FILENAME,
+                mimeType: 'application/json',
+                parents: [DriveSync.CONFIG.SHARED_FOLDER_ID]
+            };
+
+            const boundary = '-------HakliLexiconBoundary';
+            const body = [
+                `--${boundary}`,
+                'Content-Type: application/json; charset=UTF-8',
+                '',
+                JSON.stringify(metadataObj),
+                `--${boundary}`,
+                'Content-Type: application/json',
+                '',
+                lexiconJson,
+                `--${boundary}--`
+            ].join('\r\n');
+
+            const url = 'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart&fields=id,name,modifiedTime';
+            const response = await DriveSync._apiRequest(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': `multipart/related; boundary=${boundary}`
+                },
+                body
+            });
+
+            const result = await response.json();
+            localStorage.setItem('driveLexiconId', result.id);
+            localStorage.setItem('driveLexiconModified', result.modifiedTime);
+
+            return { success: true, fileId: result.id, action: 'created', modifiedTime: result.modifiedTime };
+
+        } catch (error) {
+            console.error('Error saving lexicon to Drive:', error);
+            throw error;
+        }
+    },
+
     // ==========================================
     // LEGACY METHODS (for compatibility)
     // ==========================================
@@ -0,0 +1,525 @@
+// ============================================
+// EPIDOC
+// TEI XML export and import of inscriptions following the
+// EpiDoc guidelines (https://epidoc.stoa.org/gl/latest/)
+// ============================================
+
+/*
+ * Mapping between .hki data and EpiDoc:
+ *
+ *   title, inscription ID      titleStmt/title, msIdentifier/idno
+ *   metadata.site, location    history/origin/origPlace/placeName
+ *   metadata.date_photographed history/provenance[@type='observed']/date
+ *   metadata.stone_type        physDesc//support/material
+ *   metadata.condition         physDesc//supportDesc/condition
+ *   metadata.notes             notesStmt/note
+ *   glyphs of the chart        encodingDesc/charDecl/glyph, referenced by g/@ref
+ *   detection boxes            facsimile/surface/zone, referenced by @facs
+ *   reading                    div[@type='edition']/ab: cb, lb and w elements
+ *   editorial status           unclear (damaged), unclear[@cert='low'] (uncertain),
+ *                              supplied[@reason='lost'] (restored), gap (lost),
+ *                              del[@rend='erasure'] (erased)
+ *   translations               div[@type='translation'][@xml:lang='en' | 'ar']
+ *   notes, source              div[@type='commentary'], div[@type='bibliography']
+ */
+
+const EpiDoc = {
+    TEI_NS: 'http://www.tei-c.org/ns/1.0',
+    XML_NS: 'http://www.w3.org/XML/1998/namespace',
+
+    // Size and spacing of the boxes given to imported glyphs without a facsimile zone
+    PLACEHOLDER_BOX: { size: 40, gap: 10, perLine: 20 },
+
+    /**
+     * Escape text for XML content and attribute values
+     * @param {*} text
+     * @returns {string}
+     */
+    _escape: (text) => String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;'),
+
+    /**
+     * xml:id for a chart glyph (IDs must be XML names)
+     * @param {string} glyphId - Chart glyph ID
+     * @returns {string}
+     */
+    _glyphXmlId: (glyphId) => `glyph-${String(glyphId ?? 'unknown').replace(/[^\w.-]/g, '_')}`,
+
+    /**
+     * Read either .hki layout (the app's v2.0 save or HKIStorage packages)
+     * @param {Object} hki - .hki data
+     * @returns {Object} Normalized inscription
+     */
+    _normalize: (hki) => {
+        const reading = hki.readingData || {};
+        const detections = hki.recognitionResults || hki.detections || [];
+        const order = hki.readingOrder || reading.readingOrder || reading.order;
+        const metadata = hki.metadata || {};
+
+        return {
+            id: hki.inscriptionId || hki.currentInscriptionId || '',
+            title: hki.inscriptionTitle || hki.title || '',
+            notes: hki.inscriptionNotes || hki.notes || '',
+            source: hki.inscriptionSource || hki.source || '',
+            image: hki.image || hki.images?.original || '',
+            detections,
+            order: order && order.length > 0 ? Array.from(order) : detections.map((_, i) => i),
+            wordBoundaries: new Set(hki.wordBoundaries || reading.wordBoundaries || []),
+            lineBreaks: new Set(hki.lineBreaks || reading.lineBreaks || []),
+            columnBreaks: new Set(hki.columnBreaks || reading.columnBreaks || []),
+            english: hki.translationEnglish || hki.translations?.english || '',
+            arabic: hki.translationArabic || hki.translations?.arabic || '',
+            metadata: {
+                site: metadata.site || '',
+                location: metadata.location || '',
+                date_photographed: metadata.date_photographed || '',
+                stone_type: metadata.stone_type || '',
+                condition: metadata.condition || '',
+                notes: metadata.notes || ''
+            }
+        };
+    },
+
+    /**
+     * Paragraphs of a text block, one per blank-line separated part
+     * @param {string} text
+     * @param {string} indent
+     * @returns {string}
+     */
+    _paragraphs: (text, indent) => String(text)
+        .split(/\n\s*\n/)
+        .map(p => p.trim())
+        .filter(Boolean)
+        .map(p => `${indent}<p>${EpiDoc._escape(p).replace(/\n/g, '<lb/>')}</p>`)
+        .join('\n'),
+
+    /**
+     * Markup of one glyph of the edition
+     * @param {Object} glyph - Transcription word glyph ({ index, glyph, status, lostLength })
+     * @param {string} text - Transliteration
+     * @returns {string}
+     */
+    _glyphXml: (glyph, text) => {
+        const facs = `facs="#zone-${glyph.index}"`;
+        if (glyph.status === Leiden.STATUS.LOST) {
+            return glyph.lostLength
+                ? `<gap reason="lost" quantity="${glyph.lostLength}" unit="character" ${facs}/>`
+                : `<gap reason="lost" extent="unknown" unit="character" ${facs}/>`;
+        }
+
+        const g = `<g ref="#${EpiDoc._glyphXmlId(glyph.glyph.id)}" ${facs}>${EpiDoc._escape(text)}</g>`;
+        switch (glyph.status) {
+            case Leiden.STATUS.DAMAGED: return `<unclear>${g}</unclear>`;
+            case Leiden.STATUS.UNCERTAIN: return `<unclear cert="low">${g}</unclear>`;
+            case Leiden.STATUS.RESTORED: return `<supplied reason="lost">${g}</supplied>`;
+            case Leiden.STATUS.ERASED: return `<del rend="erasure">${g}</del>`;
+            default: return g;
+        }
+    },
+
+    /**
+     * Build an EpiDoc TEI document from .hki data
+     * @param {Object} hki - .hki data (either layout)
+     * @returns {string} XML
+     */
+    toXml: (hki) => {
+        const data = EpiDoc._normalize(hki);
+        const e = EpiDoc._escape;
+        const m = data.metadata;
+
+        // Only editor-set statuses; machine confidence is not an editorial judgement
+        const transcription = Transcription.generate(
+            data.detections, data.order, data.wordBoundaries, data.lineBreaks, data.columnBreaks,
+            { uncertainThreshold: null, lexicon: false });
+        const columns = transcription.columns || [];
+
+        // Character declarations for the glyphs used
+        const glyphs = new Map();
+        data.detections.forEach(d => {
+            if (d?.glyph && !glyphs.has(d.glyph.id)) glyphs.set(d.glyph.id, d.glyph);
+        });
+        const charDecl = Array.from(glyphs.values()).map(glyph => [
+            `        <glyph xml:id="${EpiDoc._glyphXmlId(glyph.id)}">`,
+            `          <glyphName>${e(glyph.name || glyph.id)}</glyphName>`,
+            `          <localProp name="hakli-id" value="${e(glyph.id)}"/>`,
+            glyph.transliteration ? `          <mapping type="transliteration">${e(glyph.transliteration)}</mapping>` : null,
+            glyph.arabic ? `          <mapping type="arabic">${e(glyph.arabic)}</mapping>` : null,
+            `        </glyph>`
+        ].filter(Boolean).join('\n')).join('\n');
+
+        // Facsimile zones, one per detection
+        const zones = data.detections.map((d, i) => {
+            const p = d?.position;
+            if (!p) return null;
+            return `        <zone xml:id="zone-${i}" ulx="${Math.round(p.x)}" uly="${Math.round(p.y)}" ` +
+                `lrx="${Math.round(p.x + p.width)}" lry="${Math.round(p.y + p.height)}"/>`;
+        }).filter(Boolean).join('\n');
+        // Embedded images stay in the .hki; only a linked image is referenced
+        const graphic = data.image && !data.image.startsWith('data:')
+            ? `\n        <graphic url="${e(data.image)}"/>`
+            : '';
+
+        // Edition: column and line beginnings, one w per word
+        let lineNumber = 0;
+        const edition = columns.map((column, c) => {
+            const lines = column.map(line => {
+                lineNumber++;
+                const words = line.map(word =>
+                    `<w>${word.glyphs.map((glyph, k) => EpiDoc._glyphXml(glyph, word.transliteration[k])).join('')}</w>`);
+                return `          <lb n="${lineNumber}"/>${words.join(' ')}`;
+            });
+            return (columns.length > 1 ? `          <cb n="${c + 1}"/>\n` : '') + lines.join('\n');
+        }).join('\n');
+
+        const place = [
+            m.site ? `<placeName type="site">${e(m.site)}</placeName>` : '',
+            m.location ? `<placeName type="region">${e(m.location)}</placeName>` : ''
+        ].filter(Boolean).join(', ');
+        const photographed = m.date_photographed
+            ? (/^\d{4}(-\d{2}){0,2}$/.test(m.date_photographed)
+                ? `<date when="${e(m.date_photographed)}">${e(m.date_photographed)}</date>`
+                : `<date>${e(m.date_photographed)}</date>`)
+            : '';
+
+        const translation = (lang, text) => text ? `
+      <div type="translation" xml:lang="${lang}">
+${EpiDoc._paragraphs(text, '        ')}
+      </div>` : '';
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<?xml-model href="https://epidoc.stoa.org/schema/latest/tei-epidoc.rng" schematypens="http://relaxng.org/ns/structure/1.0"?>
+<TEI xmlns="${EpiDoc.TEI_NS}" xml:lang="en">
+  <teiHeader>
+    <fileDesc>
+      <titleStmt>
+        <title>${e(data.title || data.id || 'Untitled')}</title>
+      </titleStmt>
+      <publicationStmt>
+        <authority>Hakli Glyph Recognizer</authority>
+        <idno type="filename">${e(data.id)}</idno>
+      </publicationStmt>${m.notes ? `
+      <notesStmt>
+        <note>${e(m.notes)}</note>
+      </notesStmt>` : ''}
+      <sourceDesc>
+        <msDesc>
+          <msIdentifier>
+            <idno>${e(data.id)}</idno>
+          </msIdentifier>
+          <physDesc>
+            <objectDesc>
+              <supportDesc>
+                <support><material>${e(m.stone_type)}</material></support>
+                <condition><p>${e(m.condition)}</p></condition>
+              </supportDesc>
+            </objectDesc>
+          </physDesc>
+          <history>
+            <origin><origPlace>${place}</origPlace></origin>
+            <provenance type="observed">${photographed}</provenance>
+          </history>
+        </msDesc>
+      </sourceDesc>
+    </fileDesc>
+    <encodingDesc>
+      <charDecl>
+${charDecl}
+      </charDecl>
+    </encodingDesc>
+    <revisionDesc>
+      <change when="${new Date().toISOString().slice(0, 10)}">Exported from Hakli Glyph Recognizer ${e(CONFIG.APP_VERSION)}</change>
+    </revisionDesc>
+  </teiHeader>
+  <facsimile>
+    <surface>${graphic}
+${zones}
+    </surface>
+  </facsimile>
+  <text>
+    <body>
+      <div type="edition" xml:space="preserve">
+        <ab>
+${edition}
+        </ab>
+      </div>${translation('en', data.english)}${translation('ar', data.arabic)}${data.notes ? `
+      <div type="commentary">
+${EpiDoc._paragraphs(data.notes, '        ')}
+      </div>` : ''}${data.source ? `
+      <div type="bibliography">
+        <listBibl>
+          <bibl>${e(data.source)}</bibl>
+        </listBibl>
+      </div>` : ''}
+    </body>
+  </text>
+</TEI>
+`;
+    },
+
+    /**
+     * Whether file text is XML rather than .hki JSON
+     * @param {string} text - File contents
+     * @returns {boolean}
+     */
+    isXml: (text) => /^\s*</.test(text || ''),
+
+    /**
+     * Elements of the TEI namespace below a node
+     * @param {Node} node
+     * @param {string} name - Local name
+     * @returns {Array<Element>}
+     */
+    _all: (node, name) => node ? Array.from(node.getElementsByTagNameNS(EpiDoc.TEI_NS, name)) : [],
+
+    _first: (node, name) => EpiDoc._all(node, name)[0] || null,
+
+    _text: (node) => (node?.textContent || '').replace(/\s+/g, ' ').trim(),
+
+    /**
+     * Text of a div's paragraphs, blank-line separated
+     * @param {Element} div
+     * @returns {string}
+     */
+    _divText: (div) => {
+        if (!div) return '';
+        const paragraphs = EpiDoc._all(div, 'p');
+        return (paragraphs.length > 0 ? paragraphs : [div])
+            .map(p => {
+                const copy = p.cloneNode(true);
+                EpiDoc._all(copy, 'lb').forEach(lb => lb.replaceWith('\n'));
+                return copy.textContent.split('\n').map(l => l.replace(/\s+/g, ' ').trim()).join('\n').trim();
+            })
+            .filter(Boolean)
+            .join('\n\n');
+    },
+
+    /**
+     * Read an EpiDoc TEI document into .hki data (the app's v2.0 layout).
+     * Glyphs without a facsimile zone are given placeholder boxes in reading order.
+     * @param {string} xml - TEI XML
+     * @param {Array} chartGlyphs - Glyphs of the loaded chart; declared glyphs are matched to them by ID
+     * @returns {Object} .hki data
+     */
+    parse: (xml, chartGlyphs = []) => {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Not well-formed XML');
+        }
+        const tei = doc.documentElement;
+        if (tei.namespaceURI !== EpiDoc.TEI_NS || tei.localName !== 'TEI') {
+            throw new Error('Not a TEI document');
+        }
+
+        const edition = EpiDoc._all(tei, 'div').find(d => d.getAttribute('type') === 'edition');
+        if (!edition) {
+            throw new Error('No edition (div type="edition") found');
+        }
+
+        // Chart glyphs from the character declarations. Attributes are text, while chart
+        // IDs are numbers: use the chart's glyph, or at least a numeric ID, so corrections,
+        // templates and readings recognise it.
+        const glyphs = {};
+        EpiDoc._all(tei, 'glyph').forEach(el => {
+            const xmlId = el.getAttributeNS(EpiDoc.XML_NS, 'id');
+            const prop = EpiDoc._all(el, 'localProp').find(p => p.getAttribute('name') === 'hakli-id');
+            const mapping = (type) => EpiDoc._text(EpiDoc._all(el, 'mapping').find(p => p.getAttribute('type') === type));
+            const hakliId = prop?.getAttribute('value') || null;
+            const chartGlyph = hakliId !== null && (chartGlyphs || []).find(g => String(g.id) === hakliId);
+            if (chartGlyph) {
+                glyphs[xmlId] = chartGlyph;
+                return;
+            }
+            glyphs[xmlId] = {
+                id: hakliId === null ? xmlId : (/^\d+$/.test(hakliId) ? Number(hakliId) : hakliId),
+                name: EpiDoc._text(EpiDoc._first(el, 'glyphName')) || xmlId,
+                transliteration: mapping('transliteration'),
+                arabic: mapping('arabic')
+            };
+        });
+
+        // Facsimile zones
+        const zones = {};
+        EpiDoc._all(tei, 'zone').forEach(el => {
+            const n = (attr) => parseFloat(el.getAttribute(attr)) || 0;
+            zones[el.getAttributeNS(EpiDoc.XML_NS, 'id')] = {
+                x: n('ulx'),
+                y: n('uly'),
+                width: n('lrx') - n('ulx'),
+                height: n('lry') - n('uly')
+            };
+        });
+
+        const detections = [];
+        const wordBoundaries = [];
+        const lineBreaks = [];
+        const columnBreaks = [];
+        let line = 0;
+        let slot = 0;
+
+        const addGlyph = (glyph, text, facs, editorial) => {
+            const box = EpiDoc.PLACEHOLDER_BOX;
+            const zone = zones[(facs || '').replace(/^#/, '')];
+            const position = zone || {
+                x: (slot % box.perLine) * (box.size + box.gap),
+                y: (line + Math.floor(slot / box.perLine)) * (box.size + box.gap),
+                width: box.size,
+                height: box.size
+            };
+            slot++;
+            detections.push({
+                glyph: glyph || { id: text || 'unknown', name: text || '?', transliteration: text, arabic: '' },
+                confidence: 1,
+                position,
+                matchType: 'epidoc',
+                editorial
+            });
+        };
+
+        const statusOf = (el) => {
+            for (let node = el.parentElement; node && node !== edition; node = node.parentElement) {
+                if (node.namespaceURI !== EpiDoc.TEI_NS) continue;
+                if (node.localName === 'unclear') {
+                    return node.getAttribute('cert') === 'low' ? Leiden.STATUS.UNCERTAIN : Leiden.STATUS.DAMAGED;
+                }
+                if (node.localName === 'supplied') return Leiden.STATUS.RESTORED;
+                if (node.localName === 'del') return Leiden.STATUS.ERASED;
+            }
+            return Leiden.STATUS.CERTAIN;
+        };
+
+        // Glyphs of a word: g elements, gaps, and plain letters (editions made elsewhere)
+        const readWord = (word) => {
+            const walk = (node) => {
+                node.childNodes.forEach(child => {
+                    if (child.nodeType === 3) {
+                        const status = statusOf(child);
+                        Array.from(child.textContent.replace(/\s+/g, '')).forEach(letter =>
+                            addGlyph(null, letter, null, Leiden.makeEditorial(status)));
+                    } else if (child.nodeType === 1 && child.namespaceURI === EpiDoc.TEI_NS) {
+                        if (child.localName === 'g') {
+                            const glyph = glyphs[(child.getAttribute('ref') || '').replace(/^#/, '')];
+                            const text = EpiDoc._text(child);
+                            addGlyph(glyph ? { ...glyph } : null, text, child.getAttribute('facs'),
+                                Leiden.makeEditorial(statusOf(child)));
+                        } else if (child.localName === 'gap') {
+                            const quantity = parseInt(child.getAttribute('quantity'));
+                            addGlyph({ id: 'lost', name: 'lost', transliteration: '', arabic: '' }, '',
+                                child.getAttribute('facs'), Leiden.makeEditorial(Leiden.STATUS.LOST, quantity || null));
+                        } else if (!['note', 'certainty', 'desc'].includes(child.localName)) {
+                            walk(child);
+                        }
+                    }
+                });
+            };
+            walk(word);
+        };
+
+        // Structure in document order: a break closes the line (or column) before it,
+        // and a word is followed by a boundary unless a break follows
+        const last = () => detections.length - 1;
+        let pendingWord = false;
+        const visit = (node) => {
+            node.childNodes.forEach(el => {
+                if (el.nodeType !== 1 || el.namespaceURI !== EpiDoc.TEI_NS) return;
+                if (el.localName === 'lb' || el.localName === 'cb') {
+                    if (detections.length > 0 && el.getAttribute('break') !== 'no') {
+                        if (el.localName === 'cb') {
+                            if (!columnBreaks.includes(last())) columnBreaks.push(last());
+                        } else if (!columnBreaks.includes(last()) && !lineBreaks.includes(last())) {
+                            lineBreaks.push(last());
+                        }
+                        line++;
+                        slot = 0;
+                    }
+                    pendingWord = false;
+                } else if (el.localName === 'w') {
+                    if (pendingWord) wordBoundaries.push(last());
+                    const before = detections.length;
+                    readWord(el);
+                    pendingWord = detections.length > before;
+                } else {
+                    visit(el);
+                }
+            });
+        };
+        visit(edition);
+
+        // Header
+        const header = EpiDoc._first(tei, 'teiHeader');
+        const idno = EpiDoc._text(EpiDoc._first(EpiDoc._first(header, 'msIdentifier'), 'idno')) ||
+            EpiDoc._text(EpiDoc._first(EpiDoc._first(header, 'publicationStmt'), 'idno'));
+        const placeName = (type) => EpiDoc._text(EpiDoc._all(EpiDoc._first(header, 'origPlace'), 'placeName')
+            .find(p => p.getAttribute('type') === type));
+        const provenanceDate = EpiDoc._first(EpiDoc._first(header, 'provenance'), 'date');
+        const metadata = {
+            site: placeName('site') || (EpiDoc._all(EpiDoc._first(header, 'origPlace'), 'placeName').length === 0
+                ? EpiDoc._text(EpiDoc._first(header, 'origPlace')) : ''),
+            location: placeName('region'),
+            date_photographed: provenanceDate?.getAttribute('when') || EpiDoc._text(provenanceDate),
+            stone_type: EpiDoc._text(EpiDoc._first(header, 'material')),
+            condition: EpiDoc._text(EpiDoc._first(header, 'condition')),
+            notes: EpiDoc._text(EpiDoc._first(EpiDoc._first(header, 'notesStmt'), 'note'))
+        };
+
+        const divs = EpiDoc._all(tei, 'div');
+        const translation = (lang) => EpiDoc._divText(divs.find(d =>
+            d.getAttribute('type') === 'translation' && (d.getAttributeNS(EpiDoc.XML_NS, 'lang') || '').startsWith(lang)));
+        const commentary = EpiDoc._divText(divs.find(d => d.getAttribute('type') === 'commentary'));
+        const bibliography = EpiDoc._all(divs.find(d => d.getAttribute('type') === 'bibliography'), 'bibl')
+            .map(EpiDoc._text).filter(Boolean).join('; ');
+
+        const graphic = EpiDoc._first(EpiDoc._first(tei, 'facsimile'), 'graphic');
+
+        console.log(`📜 EpiDoc: read ${detections.length} glyphs in ${line + (detections.length > 0 ? 1 : 0)} lines`);
+
+        return {
+            version: '2.0',
+            created: new Date().toISOString(),
+            inscriptionId: idno || null,
+            currentInscriptionId: idno || null,
+            inscriptionTitle: EpiDoc._text(EpiDoc._first(EpiDoc._first(header, 'titleStmt'), 'title')),
+            inscriptionNotes: commentary,
+            inscriptionSource: bibliography,
+            image: graphic?.getAttribute('url') || null,
+            recognitionResults: detections,
+            readingOrder: detections.map((_, i) => i),
+            wordBoundaries,
+            lineBreaks,
+            columnBreaks,
+            validations: {},
+            translationEnglish: translation('en'),
+            translationArabic: translation('ar'),
+            metadata
+        };
+    },
+
+    /**
+     * Download the EpiDoc edition of an inscription
+     * @param {Object} hki - .hki data (either layout)
+     * @returns {boolean} Success status
+     */
+    downloadXml: (hki) => {
+        try {
+            const xml = EpiDoc.toXml(hki);
+            const name = hki.inscriptionTitle || hki.title || hki.inscriptionId || 'inscription';
+            const filename = `${String(name).replace(/\s+/g, '-')}-epidoc.xml`;
+            Utils.downloadBlob(new Blob([xml], { type: 'application/xml' }), filename);
+
+            if (typeof CacheStorage !== 'undefined' && CacheStorage.addRecentExport) {
+                CacheStorage.addRecentExport({ type: 'epidoc', filename, inscriptionId: hki.inscriptionId || null });
+            }
+            console.log(`📜 Exported EpiDoc: ${filename}`);
+            return true;
+        } catch (error) {
+            console.error('EpiDoc export failed:', error);
+            alert('❌ EpiDoc export failed: ' + error.message);
+            return false;
+        }
+    }
+};
+
+// Make globally available
+window.EpiDoc = EpiDoc;
@@ -255,11 +255,15 @@ const ExportUtils = {
             }
 
             const transcription = Reading.getEnhancedTranscription(state);
+            // Calibrated probabilities when validation history is available
+            const getConfidence = typeof Calibration !== 'undefined'
+                ? Calibration.getConfidence
+                : (r) => r.confidence;
             const stats = {
                 total: recognitionResults.length,
                 validated: Object.keys(validations).length,
                 correct: Object.values(validations).filter(v => v.isCorrect).length,
-                avgConfidence: (recognitionResults.reduce((sum, r) => sum + r.confidence, 0) / recognitionResults.length * 100).toFixed(1)
+                avgConfidence: (recognitionResults.reduce((sum, r) => sum + getConfidence(r), 0) / recognitionResults.length * 100).toFixed(1)
             };
             
             // Build source images grid HTML
@@ -23,7 +23,7 @@ const HKIStorage = {
     // Save as .hki file
     saveAsHkiFile: async (state, inscriptionId = null, updateMetadata = false) => {
         const {
-            recognitionResults, validations, image, displayImage, preprocessing,
+            recognitionResults, validations, image, displayImage, preprocessing, recognitionSettings,
             viewMode, readingDirection, readingOrder, wordBoundaries, columnBreaks, lineBreaks,
             translationEnglish, translationArabic, actionHistory, currentInscriptionId,
             inscriptionComplete, inscriptionTitle,
@@ -98,20 +98,30 @@ const HKIStorage = {
                 preprocessingSettings: preprocessing
             },
             
+            // Matcher, detection mode and NMS used for the detections, with NMS before/after counts
+            recognitionSettings: recognitionSettings || null,
+            
             detections: recognitionResults.map((result, index) => ({
                 index: index,
                 glyph: {
                     id: result.glyph.id,
                     name: result.glyph.name,
                     transliteration: result.glyph.transliteration,
-                    arabic: result.glyph.arabic || result.glyph.transliteration || result.glyph.name
+                    arabic: result.glyph.arabic || result.glyph.transliteration || result.glyph.name,
+                    glyphClass: result.glyph.glyphClass
                 },
                 confidence: result.confidence,
                 position: result.position,
                 corners: result.corners || null,
+                originalPosition: result.originalPosition || null,
+                originalCorners: result.originalCorners || null,
                 thumbnail: result.thumbnail || null,
                 regionIndex: result.regionIndex !== undefined ? result.regionIndex : index,
                 matchType: result.matchType,
+                candidates: result.candidates || null,
+                learnedExample: result.learnedExample || null,
+                confusion: result.confusion || null,
+                editorial: result.editorial || null,
                 isManual: result.isManual || false,
                 isMerged: result.isMerged || false,
                 isAdjusted: result.isAdjusted || false,
@@ -178,7 +188,8 @@ const HKIStorage = {
                 setReadingOrder, setWordBoundaries, setColumnBreaks, setLineBreaks,
                 setTranslationEnglish, setTranslationArabic, setActionHistory,
                 setShowLibraryModal,
-                setInscriptionTitle, setInscriptionComplete
+                setInscriptionTitle, setInscriptionComplete,
+                setRecognitionSettings
             } = setters;
 
             setCurrentInscriptionId(hkiData.inscriptionId);
@@ -187,14 +198,23 @@ const HKIStorage = {
             if (hkiData.images.preprocessingSettings) {
                 setPreprocessing(hkiData.images.preprocessingSettings);
             }
+            if (hkiData.recognitionSettings && setRecognitionSettings) {
+                setRecognitionSettings(hkiData.recognitionSettings);
+            }
             
             setRecognitionResults(hkiData.detections.map(d => ({
                 glyph: d.glyph,
                 confidence: d.confidence,
                 position: d.position,
                 corners: d.corners,
+                originalPosition: d.originalPosition,
+                originalCorners: d.originalCorners,
                 thumbnail: d.thumbnail,
                 matchType: d.matchType,
+                candidates: d.candidates || null,
+                learnedExample: d.learnedExample || null,
+                confusion: d.confusion || null,
+                editorial: d.editorial || null,
                 isManual: d.isManual,
                 isMerged: d.isMerged,
                 isAdjusted: d.isAdjusted,
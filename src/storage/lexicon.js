@@ -0,0 +1,245 @@
+// ============================================
+// LEXICON
+// Attested Hakli words, names and formulae with glosses,
+// kept locally and shared through Google Drive
+// ============================================
+
+const Lexicon = {
+    CATEGORIES: {
+        WORD: 'word',
+        NAME: 'name',
+        FORMULA: 'formula'
+    },
+
+    /**
+     * Get the stored lexicon, including deleted entries (kept so deletions sync)
+     * @returns {Object} { version, entries, modified }
+     */
+    getData: () => {
+        try {
+            const stored = localStorage.getItem(CONFIG.STORAGE.LEXICON_KEY);
+            const data = stored ? JSON.parse(stored) : null;
+            return data && Array.isArray(data.entries) ? data : { version: 1, entries: [], modified: null };
+        } catch (error) {
+            console.error('Failed to load lexicon:', error);
+            return { version: 1, entries: [], modified: null };
+        }
+    },
+
+    /**
+     * Save the lexicon
+     * @param {Object} data - Lexicon data
+     * @returns {boolean} Success status
+     */
+    _save: (data) => {
+        try {
+            localStorage.setItem(CONFIG.STORAGE.LEXICON_KEY, JSON.stringify({
+                ...data,
+                modified: new Date().toISOString()
+            }));
+            return true;
+        } catch (error) {
+            console.error('Failed to save lexicon:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Current (non-deleted) entries
+     * @returns {Array} [{ id, word, arabic, gloss, category, reference, notes, updated }]
+     */
+    getEntries: () => Lexicon.getData().entries.filter(e => !e.deleted),
+
+    /**
+     * Fill in defaults and trim text fields
+     * @param {Object} entry - Raw entry
+     * @returns {Object} Entry
+     */
+    _normalizeEntry: (entry) => ({
+        id: entry.id || `lx${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        word: String(entry.word || '').trim(),
+        arabic: String(entry.arabic || '').trim(),
+        gloss: String(entry.gloss || '').trim(),
+        category: Object.values(Lexicon.CATEGORIES).includes(entry.category) ? entry.category : Lexicon.CATEGORIES.WORD,
+        reference: String(entry.reference || '').trim(),
+        notes: String(entry.notes || '').trim(),
+        updated: entry.updated || new Date().toISOString(),
+        ...(entry.deleted ? { deleted: true } : {})
+    }),
+
+    /**
+     * Add an entry
+     * @param {Object} entry - { word, arabic, gloss, category, reference, notes }
+     * @returns {Object|null} The stored entry, or null if it has no word
+     */
+    addEntry: (entry) => {
+        const normalized = Lexicon._normalizeEntry({ ...entry, id: null, updated: null });
+        if (!normalized.word) return null;
+
+        const data = Lexicon.getData();
+        data.entries.push(normalized);
+        Lexicon._save(data);
+        console.log(`📖 Lexicon: added "${normalized.word}"`);
+        return normalized;
+    },
+
+    /**
+     * Update an entry
+     * @param {string} id - Entry ID
+     * @param {Object} changes - Fields to change
+     * @returns {boolean} Success status
+     */
+    updateEntry: (id, changes) => {
+        const data = Lexicon.getData();
+        const index = data.entries.findIndex(e => e.id === id);
+        if (index === -1) return false;
+
+        const updated = Lexicon._normalizeEntry({ ...data.entries[index], ...changes, id, updated: null });
+        if (!updated.word) return false;
+
+        data.entries[index] = updated;
+        return Lexicon._save(data);
+    },
+
+    /**
+     * Delete an entry. It is kept as a tombstone so the deletion reaches Drive.
+     * @param {string} id - Entry ID
+     * @returns {boolean} Success status
+     */
+    removeEntry: (id) => {
+        const data = Lexicon.getData();
+        const entry = data.entries.find(e => e.id === id);
+        if (!entry) return false;
+
+        entry.deleted = true;
+        entry.updated = new Date().toISOString();
+        return Lexicon._save(data);
+    },
+
+    /**
+     * Merge two entry lists: the most recently updated version of each entry wins.
+     * Entries without an ID are matched by word and category.
+     * @param {Array} existing - Entries
+     * @param {Array} incoming - Entries
+     * @returns {Object} { entries, added, updated }
+     */
+    mergeEntries: (existing, incoming) => {
+        const entries = existing.map(e => ({ ...e }));
+        let added = 0;
+        let updated = 0;
+
+        incoming.forEach(raw => {
+            const entry = Lexicon._normalizeEntry(raw);
+            if (!entry.word) return;
+
+            const index = entries.findIndex(e => raw.id
+                ? e.id === raw.id
+                : !e.deleted && e.word === entry.word && e.category === entry.category);
+
+            if (index === -1) {
+                entries.push(entry);
+                if (!entry.deleted) added++;
+            } else if ((entry.updated || '') > (entries[index].updated || '')) {
+                entries[index] = { ...entry, id: entries[index].id };
+                updated++;
+            }
+        });
+
+        return { entries, added, updated };
+    },
+
+    /**
+     * Export the lexicon to a JSON file
+     * @returns {boolean} Success status
+     */
+    exportJson: () => {
+        try {
+            const entries = Lexicon.getEntries();
+            const exportData = {
+                metadata: {
+                    exportDate: new Date().toISOString(),
+                    version: CONFIG.APP_VERSION,
+                    entryCount: entries.length
+                },
+                entries
+            };
+
+            const filename = `hakli-lexicon-${Utils.formatDateForFilename()}.json`;
+            Utils.downloadBlob(Utils.createJsonBlob(exportData), filename);
+
+            console.log(`📥 Exported ${entries.length} lexicon entries`);
+            return true;
+        } catch (error) {
+            console.error('Failed to export lexicon:', error);
+            alert('❌ Failed to export lexicon');
+            return false;
+        }
+    },
+
+    /**
+     * Import entries from JSON (an exported file or a plain array of entries)
+     * @param {Object|Array} data - Imported data
+     * @param {boolean} merge - Merge with existing entries (false = replace; entries
+     *   missing from the file are deleted as tombstones, so the deletion reaches Drive)
+     * @returns {boolean} Success status
+     */
+    importJson: (data, merge = true) => {
+        try {
+            const incoming = Array.isArray(data) ? data : data?.entries;
+            if (!Array.isArray(incoming)) {
+                throw new Error('No entries found');
+            }
+
+            const existing = Lexicon.getData().entries;
+            let { entries, added, updated } = Lexicon.mergeEntries(merge ? existing : [], incoming);
+            let removed = 0;
+
+            if (!merge) {
+                const now = new Date().toISOString();
+                const live = new Set(existing.filter(e => !e.deleted).map(e => e.id));
+                const kept = new Set(entries.map(e => e.id));
+                added = entries.filter(e => !e.deleted && !live.has(e.id)).length;
+                updated = entries.filter(e => live.has(e.id)).length;
+
+                existing.filter(e => !kept.has(e.id)).forEach(e => {
+                    if (!e.deleted) removed++;
+                    entries.push(e.deleted ? e : { ...e, deleted: true, updated: now });
+                });
+            }
+            Lexicon._save({ ...Lexicon.getData(), entries });
+
+            console.log(`📤 Imported lexicon: ${added} added, ${updated} updated, ${removed} removed`);
+            alert(`✅ Imported lexicon: ${added} new, ${updated} updated${removed ? `, ${removed} removed` : ''}`);
+            return true;
+        } catch (error) {
+            console.error('Failed to import lexicon:', error);
+            alert('❌ Failed to import lexicon: ' + error.message);
+            return false;
+        }
+    },
+
+    /**
+     * Two-way sync with the shared Drive copy: merge the remote entries
+     * into the local ones, then save the result back
+     * @returns {Promise<Object>} { added, updated, total }
+     */
+    syncWithDrive: async () => {
+        if (typeof DriveSync === 'undefined' || !DriveSync.isSignedIn()) {
+            throw new Error('Not signed in');
+        }
+
+        const remote = await DriveSync.loadLexiconFromDrive();
+        const local = Lexicon.getData();
+        const { entries, added, updated } = Lexicon.mergeEntries(local.entries, remote?.entries || []);
+
+        Lexicon._save({ ...local, entries });
+        await DriveSync.saveLexiconToDrive(Lexicon.getData());
+
+        const total = entries.filter(e => !e.deleted).length;
+        console.log(`☁️ Lexicon synced: ${added} added, ${updated} updated from Drive (${total} entries)`);
+        return { added, updated, total };
+    }
+};
+
+// Make globally available
+window.Lexicon = Lexicon;
@@ -28,6 +28,174 @@ const Utils = {
         return union > 0 ? intersection / union : 0;
     },
     
+    /**
+     * IoU of two detections, using their polygon corners when either has them
+     * (rotated or reshaped boxes) and plain box IoU otherwise
+     * @param {Object} det1 - Detection with position (and optional corners)
+     * @param {Object} det2 - Detection with position (and optional corners)
+     * @returns {number} IoU value between 0 and 1
+     */
+    calculateDetectionIoU: (det1, det2) => {
+        const hasCorners = (det) => Array.isArray(det.corners) && det.corners.length >= 3;
+        if (!hasCorners(det1) && !hasCorners(det2)) {
+            return Utils.calculateIoU(det1.position, det2.position);
+        }
+        return Utils.calculatePolygonIoU(Utils.getDetectionPolygon(det1), Utils.getDetectionPolygon(det2));
+    },
+    
+    /**
+     * Outline of a detection: its corners, or its box as four corners
+     * @param {Object} detection - Detection with position (and optional corners)
+     * @returns {Array} [{x, y}]
+     */
+    getDetectionPolygon: (detection) => {
+        if (Array.isArray(detection.corners) && detection.corners.length >= 3) {
+            return detection.corners;
+        }
+        const { x, y, width, height } = detection.position || detection.bounds || detection;
+        return [
+            { x: x, y: y },
+            { x: x + width, y: y },
+            { x: x + width, y: y + height },
+            { x: x, y: y + height }
+        ];
+    },
+    
+    /**
+     * Intersection over Union for two polygons. Convex polygons (boxes,
+     * rotated boxes, dragged quadrilaterals) are exact; a concave outline
+     * is approximated by its convex hull.
+     * @param {Array} poly1 - [{x, y}]
+     * @param {Array} poly2 - [{x, y}]
+     * @returns {number} IoU value between 0 and 1
+     */
+    calculatePolygonIoU: (poly1, poly2) => {
+        const convex1 = Utils.isConvexPolygon(poly1) ? poly1 : Utils.convexHull(poly1);
+        const convex2 = Utils.isConvexPolygon(poly2) ? poly2 : Utils.convexHull(poly2);
+
+        const area1 = Utils.polygonArea(convex1);
+        const area2 = Utils.polygonArea(convex2);
+        const intersection = Utils.polygonArea(Utils.clipPolygon(convex1, convex2));
+        const union = area1 + area2 - intersection;
+
+        return union > 0 ? intersection / union : 0;
+    },
+    
+    /**
+     * Polygon area by the shoelace formula
+     * @param {Array} points - [{x, y}]
+     * @returns {number} Area (always positive)
+     */
+    polygonArea: (points) => Math.abs(Utils._signedArea(points)),
+    
+    /**
+     * Signed shoelace area: positive for counter-clockwise in y-up
+     * coordinates (clockwise on screen)
+     */
+    _signedArea: (points) => {
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return area / 2;
+    },
+    
+    /**
+     * Whether a polygon is convex (every turn goes the same way)
+     * @param {Array} points - [{x, y}]
+     * @returns {boolean}
+     */
+    isConvexPolygon: (points) => {
+        let sign = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            const c = points[(i + 2) % points.length];
+            const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+            if (Math.abs(cross) < 1e-9) continue;
+            if (sign === 0) sign = Math.sign(cross);
+            else if (Math.sign(cross) !== sign) return false;
+        }
+        return true;
+    },
+    
+    /**
+     * Convex hull (Andrew's monotone chain)
+     * @param {Array} points - [{x, y}]
+     * @returns {Array} Hull corners in order
+     */
+    convexHull: (points) => {
+        const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+        if (sorted.length <= 2) return sorted;
+
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const half = (list) => {
+            const hull = [];
+            list.forEach(p => {
+                while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) hull.pop();
+                hull.push(p);
+            });
+            hull.pop();
+            return hull;
+        };
+
+        return [...half(sorted), ...half([...sorted].reverse())];
+    },
+    
+    /**
+     * Clip a polygon by a convex polygon (Sutherland–Hodgman)
+     * @param {Array} subject - Polygon to clip [{x, y}]
+     * @param {Array} clip - Convex clipping polygon [{x, y}], either winding
+     * @returns {Array} Intersection polygon (empty if they don't overlap)
+     */
+    clipPolygon: (subject, clip) => {
+        const orientation = Math.sign(Utils._signedArea(clip)) || 1;
+        const side = (a, b, p) => orientation * ((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x));
+
+        let output = subject;
+        for (let i = 0; i < clip.length && output.length > 0; i++) {
+            const a = clip[i];
+            const b = clip[(i + 1) % clip.length];
+            const input = output;
+            output = [];
+
+            for (let j = 0; j < input.length; j++) {
+                const current = input[j];
+                const previous = input[(j + input.length - 1) % input.length];
+                const currentInside = side(a, b, current) >= 0;
+                const previousInside = side(a, b, previous) >= 0;
+
+                if (currentInside !== previousInside) {
+                    // Where the edge previous → current crosses the clip line
+                    const sp = side(a, b, previous);
+                    const t = sp / (sp - side(a, b, current));
+                    output.push({
+                        x: previous.x + (current.x - previous.x) * t,
+                        y: previous.y + (current.y - previous.y) * t
+                    });
+                }
+                if (currentInside) output.push(current);
+            }
+        }
+
+        return output;
+    },
+    
+    /**
+     * Bounding box of a polygon
+     * @param {Array} points - [{x, y}]
+     * @returns {Object} {x, y, width, height}
+     */
+    polygonBounds: (points) => {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    },
+    
     /**
      * Preprocess image for template matching
      * Converts to grayscale, normalizes, and resizes if needed
@@ -234,6 +402,20 @@ const Utils = {
         return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     },
     
+    /**
+     * Short, stable hash of a string (FNV-1a), e.g. to identify an image by its source
+     * @param {string} str - String to hash
+     * @returns {string} 8 hex digits
+     */
+    hashString: (str) => {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    },
+    
     /**
      * Deep clone an object
      * @param {Object} obj - Object to clone
@@ -0,0 +1,726 @@
+#!/usr/bin/env node
+// ============================================
+// RECOGNITION BENCHMARK
+// Runs isolation → matching → NMS headlessly against
+// validated .hki files and reports how well it did
+// ============================================
+//
+// Usage:
+//   node tools/benchmark.js --chart Hakli_glyphs.JSON --data path/to/ground-truth [options]
+//
+// Options:
+//   --chart <file>            Glyph chart JSON (templates as data URLs or paths)
+//   --data <dir>              Folder of .hki files; an image with the same base name
+//                             (.png/.jpg/.jpeg) is used if present, otherwise the
+//                             image embedded in the .hki
+//   --opencv <file>           opencv.js build (default: ./opencv.js, as served by the app)
+//   --engine <name>           template | descriptor | combined (default: CONFIG)
+//   --mode <name>             isolation | hybrid | full sliding-window detection (default: CONFIG)
+//   --nms <strategy>          standard | class | soft | merge (default: CONFIG.NMS.STRATEGY)
+//   --nms-iou <n>             NMS IoU threshold (default: CONFIG.RECOGNITION.IOU_THRESHOLD)
+//   --soft-sigma <n>          Soft-NMS decay (default: CONFIG.NMS.SOFT_SIGMA)
+//   --merge-iou <n>           IoU above which 'merge' averages boxes (default: CONFIG.NMS.MERGE_THRESHOLD)
+//   --min-confidence <n>      Minimum match confidence (default: CONFIG.RECOGNITION.MIN_CONFIDENCE)
+//   --match-iou <n>           IoU needed to pair a detection with a ground-truth box (default 0.5)
+//   --no-preprocess           Run on the raw image instead of re-applying the .hki's preprocessing
+//   --json <file>             Write the full report (incl. confusion matrix) as JSON
+//   --baseline <file>         Compare against an earlier --json report; exits 1 if overall
+//                             F1 drops by more than --tolerance (default 0.01)
+//   --cache <dir>             Where decoded templates and preprocessed, isolated images are
+//                             kept between runs (default: <tmp>/hakli-benchmark-cache)
+//   --no-cache                Decode and isolate everything again
+//   --verbose                 Keep the pipeline's console logging
+//
+// Progress goes to stderr, so it shows even when the report is piped.
+//
+// Cache entries are keyed by the template or image bytes, the settings that
+// shape them and the source of the recognition modules, so editing any of
+// those simply misses the cache.
+//
+// Ground truth: detections validated correct, corrected to another glyph, or drawn
+// manually are labeled boxes. Unvalidated and rejected detections are "ignore"
+// regions: predictions landing on them count neither for nor against.
+//
+// Needs the pure-JS image decoders (not used by the app itself):
+//   npm install --no-save pngjs jpeg-js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const v8 = require('v8');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Loaded in the same order as index.html
+const MODULES = [
+    'src/core/config.js',
+    'src/utils/helpers.js',
+    'src/recognition/preprocessing.js',
+    'src/recognition/isolation.js',
+    'src/recognition/matching.js',
+    'src/recognition/descriptor-matching.js',
+    'src/recognition/template-store.js',
+    'src/recognition/template-ranking.js',
+    'src/recognition/sliding-window.js',
+    'src/recognition/nms.js',
+    'src/recognition/pipeline.js'
+];
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+// ========== SETUP ==========
+
+const parseArgs = (argv) => {
+    const args = {
+        matchIou: 0.5, tolerance: 0.01, preprocess: true, verbose: false,
+        cache: path.join(os.tmpdir(), 'hakli-benchmark-cache')
+    };
+    const names = {
+        '--chart': 'chart', '--data': 'data', '--opencv': 'opencv', '--engine': 'engine',
+        '--mode': 'mode', '--nms': 'nms', '--soft-sigma': 'softSigma', '--merge-iou': 'mergeIou',
+        '--nms-iou': 'nmsIou', '--min-confidence': 'minConfidence', '--match-iou': 'matchIou',
+        '--json': 'json', '--baseline': 'baseline', '--tolerance': 'tolerance', '--cache': 'cache'
+    };
+    const numeric = new Set(['nmsIou', 'softSigma', 'mergeIou', 'minConfidence', 'matchIou', 'tolerance']);
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--no-preprocess') args.preprocess = false;
+        else if (arg === '--verbose') args.verbose = true;
+        else if (arg === '--no-cache') args.cache = null;
+        else if (names[arg]) {
+            const key = names[arg];
+            const value = argv[++i];
+            if (value === undefined) throw new Error(`Missing value for ${arg}`);
+            args[key] = numeric.has(key) ? parseFloat(value) : value;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!args.chart || !args.data) {
+        throw new Error('Usage: node tools/benchmark.js --chart <chart.json> --data <folder> [options]');
+    }
+    return args;
+};
+
+/**
+ * Load opencv.js and wait for its WASM runtime. Some builds are thenables,
+ * so cv comes back wrapped; resolving a promise with it directly never settles.
+ * @param {string} file - Path to opencv.js
+ * @returns {Promise<{cv: Object}>}
+ */
+const loadOpenCV = (file) => new Promise((resolve, reject) => {
+    // Must be required before `window` exists, or the build assumes a browser
+    const cv = require(path.resolve(file));
+    if (cv.Mat) resolve({ cv });
+    else cv.onRuntimeInitialized = () => resolve({ cv });
+    setTimeout(() => reject(new Error('opencv.js did not initialize within 60s')), 60000).unref();
+});
+
+/**
+ * Run the browser modules in this process; each registers itself on `window`
+ * @returns {string} Hash of their source, so cache entries follow code and CONFIG changes
+ */
+const loadModules = () => {
+    global.window = global;
+    const hash = crypto.createHash('sha1');
+    MODULES.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        hash.update(source);
+        vm.runInThisContext(source, { filename: file });
+    });
+    return hash.digest('hex');
+};
+
+// ========== PROGRESS ==========
+
+/**
+ * Show progress on stderr: one line rewritten in place on a terminal,
+ * one line per step when redirected
+ * @param {string} line - Progress text ('' clears the terminal line)
+ */
+const progress = (line) => {
+    if (process.stderr.isTTY) {
+        process.stderr.write(`\r\x1b[K${line}`);
+    } else if (line) {
+        process.stderr.write(`${line}\n`);
+    }
+};
+
+// ========== CACHE ==========
+
+/**
+ * Disk cache for decoded templates and preprocessed, isolated images
+ * @param {string|null} dir - Cache folder (null disables caching)
+ * @param {string} codeHash - Hash of the recognition modules (see loadModules)
+ */
+const createCache = (dir, codeHash) => {
+    if (dir) fs.mkdirSync(dir, { recursive: true });
+
+    const file = (kind, parts) => {
+        const hash = crypto.createHash('sha1').update(codeHash);
+        parts.forEach(part => hash.update(typeof part === 'string' || Buffer.isBuffer(part) ? part : JSON.stringify(part)));
+        return path.join(dir, `${kind}-${hash.digest('hex')}.bin`);
+    };
+
+    return {
+        /**
+         * @param {string} kind - templates | image
+         * @param {Array} parts - Everything the cached value depends on
+         * @returns {*} Cached value, or undefined
+         */
+        get: (kind, parts) => {
+            if (!dir) return undefined;
+            try {
+                return v8.deserialize(fs.readFileSync(file(kind, parts)));
+            } catch (error) {
+                return undefined;
+            }
+        },
+
+        set: (kind, parts, value) => {
+            if (!dir) return;
+            try {
+                fs.writeFileSync(file(kind, parts), v8.serialize(value));
+            } catch (error) {
+                console.warn(`   ⚠️ Could not write cache entry: ${error.message}`);
+            }
+        }
+    };
+};
+
+/**
+ * @param {cv.Mat} mat
+ * @returns {Object} Plain copy that v8.serialize can store
+ */
+const matToPlain = (mat) => ({ rows: mat.rows, cols: mat.cols, type: mat.type(), data: Uint8Array.from(mat.data) });
+
+/**
+ * @param {Object} plain - Result of matToPlain
+ * @returns {cv.Mat} Caller must delete
+ */
+const plainToMat = ({ rows, cols, type, data }) => {
+    const mat = new cv.Mat(rows, cols, type);
+    mat.data.set(data);
+    return mat;
+};
+
+const loadDecoders = () => {
+    try {
+        return { PNG: require('pngjs').PNG, jpeg: require('jpeg-js') };
+    } catch (error) {
+        throw new Error('The benchmark needs pngjs and jpeg-js: npm install --no-save pngjs jpeg-js');
+    }
+};
+
+// ========== IMAGES ==========
+
+/**
+ * Decode a PNG/JPEG buffer into an RGBA Mat
+ * @returns {cv.Mat} Caller must delete
+ */
+const decodeImage = (buffer, decoders) => {
+    let image;
+    if (buffer[0] === 0x89 && buffer[1] === 0x50) {
+        image = decoders.PNG.sync.read(buffer);
+    } else if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        image = decoders.jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 });
+    } else {
+        throw new Error('Unsupported image format (PNG and JPEG only)');
+    }
+    return cv.matFromImageData({ width: image.width, height: image.height, data: image.data });
+};
+
+/**
+ * Read an image from a data URL or a path relative to baseDir
+ * @returns {cv.Mat|null} null if the source can't be read here
+ */
+const readImage = (source, baseDir, decoders) => {
+    if (!source || typeof source !== 'string') return null;
+
+    if (source.startsWith('data:')) {
+        return decodeImage(Buffer.from(source.slice(source.indexOf(',') + 1), 'base64'), decoders);
+    }
+    if (/^https?:\/\//.test(source)) {
+        console.warn(`   ⚠️ Skipping remote image ${source} (save it locally to include it)`);
+        return null;
+    }
+
+    const file = path.resolve(baseDir, source);
+    if (!fs.existsSync(file)) {
+        console.warn(`   ⚠️ Image not found: ${file}`);
+        return null;
+    }
+    return decodeImage(fs.readFileSync(file), decoders);
+};
+
+// ========== TEMPLATES ==========
+
+/**
+ * List a glyph's templates, for charts with an `images` block or *_template_url fields
+ * @returns {Array} [{ type, index, source, label }]
+ */
+const collectTemplates = (glyph) => {
+    if (glyph.images) {
+        const templates = [];
+        if (glyph.images.primary) {
+            templates.push({ type: 'primary', index: 0, source: glyph.images.primary, label: '🎯' });
+        }
+        (glyph.images.variants || []).forEach((source, index) =>
+            templates.push({ type: 'variant', index, source, label: `⭐${index + 1}` }));
+        (glyph.images.examples || []).forEach((source, index) =>
+            templates.push({ type: 'example', index, source, label: `📝${index + 1}` }));
+        return templates;
+    }
+
+    return Matching.collectTemplateUrls(glyph).map(({ type, index, url }) => ({ type, index, source: url, label: type }));
+};
+
+/**
+ * Decode and prepare one template, or restore it from the cache
+ * @returns {Object|null} TemplateStore.prepare() result
+ */
+const prepareTemplate = (source, chartDir, decoders, cache) => {
+    const parts = [source];
+    const cached = cache.get('template', parts);
+    if (cached) {
+        return {
+            base: plainToMat(cached.base),
+            variants: cached.variants.map(v => ({ scale: v.scale, rotation: v.rotation, mat: plainToMat(v.mat) })),
+            descriptor: cached.descriptor
+        };
+    }
+
+    const mat = readImage(source, chartDir, decoders);
+    if (!mat) return null;
+
+    const prepared = TemplateStore.prepare(mat);
+    mat.delete();
+    cache.set('template', parts, {
+        base: matToPlain(prepared.base),
+        variants: prepared.variants.map(v => ({ scale: v.scale, rotation: v.rotation, mat: matToPlain(v.mat) })),
+        descriptor: prepared.descriptor
+    });
+    return prepared;
+};
+
+/**
+ * Prepare every glyph's selected templates
+ * @returns {Map} glyph id → [prepared template + { type, index, label }], as Matching.matchRegion expects
+ */
+const loadTemplates = (glyphs, chartDir, decoders, cache) => {
+    const templatesByGlyph = new Map();
+
+    glyphs.forEach((glyph, g) => {
+        const entries = [];
+        progress(`🔤 Preparing templates: glyph ${g + 1}/${glyphs.length} (${glyph.name})`);
+
+        TemplateRanking.selectTemplates(glyph, collectTemplates(glyph)).forEach(({ type, index, source, label }) => {
+            let prepared = null;
+            try {
+                prepared = prepareTemplate(source, chartDir, decoders, cache);
+            } catch (error) {
+                console.warn(`   ⚠️ ${glyph.name} ${type} ${index}: ${error.message}`);
+            }
+            if (!prepared) return;
+
+            const key = TemplateStore.makeKey(glyph.id, type, index);
+            entries.push({ key, glyphId: glyph.id, type, index, source: key, ...prepared, label });
+        });
+
+        if (entries.length > 0) templatesByGlyph.set(glyph.id, entries);
+    });
+
+    progress('');
+    return templatesByGlyph;
+};
+
+// ========== GROUND TRUTH ==========
+
+/**
+ * Split an .hki file's detections into labeled boxes and ignore regions.
+ * Reads both the `detections` and the `recognitionResults` + `validations` layouts.
+ * @returns {Object} { labeled: [{ glyph, position }], ignored: [position] }
+ */
+const loadGroundTruth = (data) => {
+    let items = [];
+    if (Array.isArray(data.detections)) {
+        items = data.detections.map(d => ({ detection: d, validation: d.validated }));
+    } else if (Array.isArray(data.recognitionResults)) {
+        const validations = data.validations || {};
+        items = data.recognitionResults.map((d, i) => ({ detection: d, validation: validations[i] }));
+    }
+
+    const labeled = [];
+    const ignored = [];
+
+    items.forEach(({ detection, validation }) => {
+        if (!detection?.glyph || !detection.position) return;
+
+        if (validation?.isCorrect || detection.corrected || detection.isManual) {
+            labeled.push({ glyph: detection.glyph, position: detection.position });
+        } else {
+            ignored.push(detection.position);
+        }
+    });
+
+    return { labeled, ignored };
+};
+
+/**
+ * Scale boxes from the dimensions they were recorded in to the benchmark image
+ */
+const scaleBoxes = (truth, sourceDims, mat) => {
+    if (!sourceDims?.width || !sourceDims?.height) return truth;
+
+    const sx = mat.cols / sourceDims.width;
+    const sy = mat.rows / sourceDims.height;
+    if (Math.abs(sx - 1) < 1e-3 && Math.abs(sy - 1) < 1e-3) return truth;
+
+    const scale = (p) => ({ x: p.x * sx, y: p.y * sy, width: p.width * sx, height: p.height * sy });
+    return {
+        labeled: truth.labeled.map(t => ({ ...t, position: scale(t.position) })),
+        ignored: truth.ignored.map(scale)
+    };
+};
+
+// ========== PIPELINE ==========
+
+/**
+ * What an image's cache entry depends on: the file's bytes, or the source itself
+ * for data URLs and images that can't be read here
+ * @returns {Buffer|string}
+ */
+const imageBytes = (source, baseDir) => {
+    if (source.startsWith('data:') || /^https?:\/\//.test(source)) return source;
+    const file = path.resolve(baseDir, source);
+    return fs.existsSync(file) ? fs.readFileSync(file) : source;
+};
+
+/**
+ * Apply the .hki's preprocessing and isolate regions, or restore both from the cache
+ * @param {Buffer|string} imageKey - See imageBytes
+ * @returns {Object|null} { mat, regions } (caller deletes mat), null without an image
+ */
+const prepareImage = (imageKey, readSource, settings, cache) => {
+    const parts = [imageKey, settings || null];
+    const cached = cache.get('image', parts);
+    if (cached) return { mat: plainToMat(cached.mat), regions: cached.regions };
+
+    const source = readSource();
+    if (!source) return null;
+
+    let mat = source;
+    if (settings) {
+        mat = Preprocessing.processImageWithSettings(source, { ...Preprocessing.getDefaultSettings(), ...settings });
+        source.delete();
+    }
+
+    const regions = RecognitionPipeline.isolate(mat);
+    cache.set('image', parts, { mat: matToPlain(mat), regions });
+    return { mat, regions };
+};
+
+/**
+ * Same steps as recognition-worker.js (see RecognitionPipeline)
+ * @returns {Promise<Array>} Final detections
+ */
+const recognize = async (mat, regions, glyphs, templatesByGlyph, options, label) => {
+    const stages = { scanning: 'scanning area', matching: 'matching region', nms: 'NMS' };
+    const outcome = await RecognitionPipeline.run(mat, glyphs, templatesByGlyph, {
+        regions,
+        engine: options.engine,
+        detectionMode: options.mode,
+        minConfidence: options.minConfidence,
+        nms: {
+            strategy: options.nms,
+            iouThreshold: options.nmsIou,
+            sigma: options.softSigma,
+            mergeThreshold: options.mergeIou
+        }
+    }, {
+        onProgress: ({ stage, current, total }) => {
+            progress(`   ${label}: ${stages[stage] || stage}${total ? ` ${current}/${total}` : ''}`);
+        }
+    });
+    progress('');
+    return outcome.detections;
+};
+
+// ========== SCORING ==========
+
+const BACKGROUND = '(background)';
+const MISSED = '(missed)';
+
+const createTally = () => ({
+    glyphs: {},        // id → { name, truth, tp, fp, fn }
+    confusion: {},     // truth id → predicted id → count
+    localization: { sum: 0, count: 0 },
+    ignored: 0,
+    predictions: 0,
+    truth: 0
+});
+
+const glyphEntry = (tally, glyph) => {
+    const id = String(glyph.id ?? glyph.name);
+    if (!tally.glyphs[id]) tally.glyphs[id] = { name: glyph.name || id, truth: 0, tp: 0, fp: 0, fn: 0 };
+    return tally.glyphs[id];
+};
+
+const countConfusion = (tally, truthId, predictedId) => {
+    if (!tally.confusion[truthId]) tally.confusion[truthId] = {};
+    tally.confusion[truthId][predictedId] = (tally.confusion[truthId][predictedId] || 0) + 1;
+};
+
+/**
+ * Pair predictions with ground truth greedily by confidence and tally the outcome
+ */
+const scoreImage = (predictions, truth, matchIou, tally) => {
+    const matched = new Set();
+    tally.predictions += predictions.length;
+    tally.truth += truth.labeled.length;
+    truth.labeled.forEach(t => { glyphEntry(tally, t.glyph).truth++; });
+
+    [...predictions].sort((a, b) => b.confidence - a.confidence).forEach(prediction => {
+        let best = -1;
+        let bestIoU = matchIou;
+        truth.labeled.forEach((t, i) => {
+            if (matched.has(i)) return;
+            const iou = Utils.calculateIoU(prediction.position, t.position);
+            if (iou >= bestIoU) {
+                best = i;
+                bestIoU = iou;
+            }
+        });
+
+        const predicted = glyphEntry(tally, prediction.glyph);
+        const predictedId = String(prediction.glyph.id ?? prediction.glyph.name);
+
+        if (best >= 0) {
+            matched.add(best);
+            const target = truth.labeled[best];
+            const truthId = String(target.glyph.id ?? target.glyph.name);
+            tally.localization.sum += bestIoU;
+            tally.localization.count++;
+            countConfusion(tally, truthId, predictedId);
+
+            if (truthId === predictedId) {
+                predicted.tp++;
+            } else {
+                predicted.fp++;
+                glyphEntry(tally, target.glyph).fn++;
+            }
+        } else if (truth.ignored.some(box => Utils.calculateIoU(prediction.position, box) >= matchIou)) {
+            tally.ignored++;
+        } else {
+            predicted.fp++;
+            countConfusion(tally, BACKGROUND, predictedId);
+        }
+    });
+
+    truth.labeled.forEach((t, i) => {
+        if (matched.has(i)) return;
+        glyphEntry(tally, t.glyph).fn++;
+        countConfusion(tally, String(t.glyph.id ?? t.glyph.name), MISSED);
+    });
+};
+
+const ratio = (a, b) => (b > 0 ? a / b : 0);
+const f1 = (p, r) => (p + r > 0 ? (2 * p * r) / (p + r) : 0);
+
+/**
+ * Turn a tally into the report written by --json
+ */
+const buildReport = (tally, args, images) => {
+    const perGlyph = Object.entries(tally.glyphs).map(([id, g]) => {
+        const precision = ratio(g.tp, g.tp + g.fp);
+        const recall = ratio(g.tp, g.tp + g.fn);
+        return { id, ...g, precision, recall, f1: f1(precision, recall) };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+
+    const tp = perGlyph.reduce((sum, g) => sum + g.tp, 0);
+    const fp = perGlyph.reduce((sum, g) => sum + g.fp, 0);
+    const fn = perGlyph.reduce((sum, g) => sum + g.fn, 0);
+    const precision = ratio(tp, tp + fp);
+    const recall = ratio(tp, tp + fn);
+
+    return {
+        created: new Date().toISOString(),
+        settings: {
+            engine: args.engine,
+            mode: args.mode,
+            nms: args.nms,
+            nmsIou: args.nmsIou,
+            softSigma: args.softSigma,
+            mergeIou: args.mergeIou,
+            minConfidence: args.minConfidence,
+            matchIou: args.matchIou,
+            preprocess: args.preprocess
+        },
+        images,
+        overall: {
+            truth: tally.truth,
+            predictions: tally.predictions,
+            ignored: tally.ignored,
+            tp, fp, fn,
+            precision,
+            recall,
+            f1: f1(precision, recall),
+            meanIoU: ratio(tally.localization.sum, tally.localization.count)
+        },
+        perGlyph,
+        confusion: tally.confusion
+    };
+};
+
+// ========== OUTPUT ==========
+
+const pct = (n) => `${(n * 100).toFixed(1)}%`.padStart(7);
+
+const printReport = (report) => {
+    const { overall } = report;
+    const names = Object.fromEntries(report.perGlyph.map(g => [g.id, g.name]));
+    const out = (line = '') => process.stdout.write(line + '\n');
+
+    out();
+    out(`📊 ${report.images.length} images · ${overall.truth} labeled glyphs · ${overall.predictions} detections (${overall.ignored} on unlabeled regions)`);
+    out(`   Precision ${pct(overall.precision)}   Recall ${pct(overall.recall)}   F1 ${pct(overall.f1)}   Mean IoU ${overall.meanIoU.toFixed(3)}`);
+    out();
+    out(`${'Glyph'.padEnd(12)}${'Truth'.padStart(6)}${'TP'.padStart(5)}${'FP'.padStart(5)}${'FN'.padStart(5)}${'Prec'.padStart(8)}${'Recall'.padStart(8)}${'F1'.padStart(8)}`);
+    report.perGlyph.forEach(g => {
+        out(`${g.name.padEnd(12)}${String(g.truth).padStart(6)}${String(g.tp).padStart(5)}${String(g.fp).padStart(5)}${String(g.fn).padStart(5)}` +
+            `${pct(g.precision).padStart(8)}${pct(g.recall).padStart(8)}${pct(g.f1).padStart(8)}`);
+    });
+
+    const confusions = [];
+    Object.entries(report.confusion).forEach(([truthId, row]) => {
+        Object.entries(row).forEach(([predictedId, count]) => {
+            if (truthId !== predictedId) confusions.push({ truthId, predictedId, count });
+        });
+    });
+    confusions.sort((a, b) => b.count - a.count);
+
+    if (confusions.length > 0) {
+        out();
+        out('Most frequent errors (truth → detected):');
+        confusions.slice(0, 15).forEach(({ truthId, predictedId, count }) => {
+            out(`   ${(names[truthId] || truthId).padEnd(12)} → ${(names[predictedId] || predictedId).padEnd(12)} ${count}`);
+        });
+    }
+};
+
+/**
+ * Compare with an earlier report
+ * @returns {boolean} true if overall F1 regressed beyond the tolerance
+ */
+const compareWithBaseline = (report, baseline, tolerance) => {
+    const out = (line = '') => process.stdout.write(line + '\n');
+    const delta = (now, before) => `${now >= before ? '+' : ''}${((now - before) * 100).toFixed(1)}`;
+
+    out();
+    out(`Compared with baseline from ${baseline.created}:`);
+    ['precision', 'recall', 'f1', 'meanIoU'].forEach(key => {
+        out(`   ${key.padEnd(10)} ${delta(report.overall[key], baseline.overall[key]).padStart(6)}`);
+    });
+
+    const before = Object.fromEntries(baseline.perGlyph.map(g => [g.id, g]));
+    report.perGlyph
+        .filter(g => before[g.id] && g.f1 < before[g.id].f1 - tolerance)
+        .forEach(g => out(`   ⚠️ ${g.name}: F1 ${pct(before[g.id].f1).trim()} → ${pct(g.f1).trim()}`));
+
+    const regressed = report.overall.f1 < baseline.overall.f1 - tolerance;
+    out(regressed ? `❌ Overall F1 dropped by more than ${tolerance}` : '✅ No overall regression');
+    return regressed;
+};
+
+// ========== MAIN ==========
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const decoders = loadDecoders();
+
+    global.cv = (await loadOpenCV(args.opencv || path.join(ROOT, 'opencv.js'))).cv;
+    const cache = createCache(args.cache, loadModules());
+
+    args.engine = args.engine || CONFIG.RECOGNITION.MATCH_ENGINE;
+    args.mode = args.mode || CONFIG.SLIDING_WINDOW.MODE;
+    args.nms = args.nms || CONFIG.NMS.STRATEGY;
+    args.nmsIou = args.nmsIou ?? CONFIG.RECOGNITION.IOU_THRESHOLD;
+    args.softSigma = args.softSigma ?? CONFIG.NMS.SOFT_SIGMA;
+    args.mergeIou = args.mergeIou ?? CONFIG.NMS.MERGE_THRESHOLD;
+    args.minConfidence = args.minConfidence ?? CONFIG.RECOGNITION.MIN_CONFIDENCE;
+
+    const chartPath = path.resolve(args.chart);
+    const chart = JSON.parse(fs.readFileSync(chartPath, 'utf8'));
+    const glyphs = chart.glyphs || [];
+
+    const log = console.log;
+    if (!args.verbose) console.log = () => {};
+
+    const templatesByGlyph = loadTemplates(glyphs, path.dirname(chartPath), decoders, cache);
+    const templateCount = [...templatesByGlyph.values()].reduce((sum, list) => sum + list.length, 0);
+    log(`🔤 ${glyphs.length} glyphs, ${templateCount} templates`);
+
+    const dataDir = path.resolve(args.data);
+    const files = fs.readdirSync(dataDir).filter(f => f.toLowerCase().endsWith('.hki')).sort();
+    if (files.length === 0) throw new Error(`No .hki files in ${dataDir}`);
+
+    const tally = createTally();
+    const images = [];
+
+    for (const [n, file] of files.entries()) {
+        const data = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+        const base = path.join(dataDir, path.basename(file, path.extname(file)));
+        const sibling = IMAGE_EXTENSIONS.map(ext => base + ext).find(f => fs.existsSync(f));
+        const imageSource = sibling || data.images?.original || data.image;
+        const label = `[${n + 1}/${files.length}] ${file}`;
+
+        progress(`   ${label}: preparing image`);
+        const settings = args.preprocess ? (data.preprocessing || data.images?.preprocessingSettings) : null;
+        const prepared = imageSource
+            ? prepareImage(imageBytes(sibling || imageSource, dataDir),
+                () => readImage(imageSource, dataDir, decoders), settings, cache)
+            : null;
+        if (!prepared) {
+            progress('');
+            log(`   ⚠️ ${file}: no image, skipped`);
+            continue;
+        }
+
+        const { mat, regions } = prepared;
+        const truth = scaleBoxes(loadGroundTruth(data), data.recognitionSourceDims, mat);
+        const started = Date.now();
+        const predictions = await recognize(mat, regions, glyphs, templatesByGlyph, args, label);
+        mat.delete();
+
+        scoreImage(predictions, truth, args.matchIou, tally);
+        images.push({ file, truth: truth.labeled.length, predictions: predictions.length, ms: Date.now() - started });
+        log(`   ${file}: ${truth.labeled.length} labeled, ${predictions.length} detected (${Date.now() - started} ms)`);
+    }
+
+    console.log = log;
+
+    const report = buildReport(tally, args, images);
+    printReport(report);
+
+    if (args.json) {
+        fs.writeFileSync(args.json, JSON.stringify(report, null, 2));
+        log(`\n💾 Report written to ${args.json}`);
+    }
+
+    if (args.baseline) {
+        const baseline = JSON.parse(fs.readFileSync(args.baseline, 'utf8'));
+        if (compareWithBaseline(report, baseline, args.tolerance)) process.exitCode = 1;
+    }
+};
+
+main().then(() => {
+    // The WASM runtime keeps the event loop alive
+    process.exit(process.exitCode || 0);
+}).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+});